@@ -0,0 +1,469 @@
+/**
+ * Logger - Common
+ *
+ * Leveled, namespaced logging untuk semua wp-datatable scripts.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/Common
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/common/logger.js
+ *
+ * Description: Satu logging facility untuk panel manager, tab manager,
+ *              modal integration, auto refresh, dll. Output ke console
+ *              hanya di atas level aktif; semua entries tetap disimpan
+ *              di ring buffer supaya support bisa export dari console.
+ *
+ * Levels: debug < info < warn < error < silent
+ *
+ * Active Level (first match wins):
+ * - Runtime: WPDTLogger.setLevel('debug') (optionally persisted in localStorage)
+ * - wpdtConfig.logLevel
+ * - wpdtConfig.debug: truthy → 'debug', otherwise 'warn'
+ *
+ * Namespaces:
+ * - Every module logs through its own namespace ('Panel', 'Tab', 'Modal', ...)
+ * - wpdtConfig.debug may list namespaces ("Panel,Tab") to debug only those
+ * - WPDTLogger.setNamespaces(['Tab']) does the same at runtime
+ *
+ * Ring Buffer:
+ * - Last 500 entries (all levels, also when not printed)
+ * - Arguments stored as text (no references to DOM or payload objects)
+ * - Printed entries keep serialized arguments (JSON, truncated); entries
+ *   below the active level keep a summary only (text and primitives,
+ *   type/size of objects) - payloads are never serialized for them
+ *
+ * Usage:
+ * ```javascript
+ * const log = WPDTLogger.create('Panel');
+ * log.debug('Opening panel for ID:', id);
+ * log.warn('No AJAX action defined');
+ *
+ * // Browser console (support)
+ * WPDTLogger.setLevel('debug', true); // survives reload
+ * WPDTLogger.download();              // wpdt-log-{timestamp}.json
+ * copy(WPDTLogger.export());          // or copy to clipboard
+ * ```
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Objects of entries that are not printed are summarized, not serialized
+ */
+
+(function($) {
+    'use strict';
+
+    const WPDTLogger = {
+        /**
+         * Level weights
+         *
+         * @var {Object}
+         */
+        levels: {
+            debug: 10,
+            info: 20,
+            warn: 30,
+            error: 40,
+            silent: 100
+        },
+
+        /**
+         * Ring buffer entries (oldest first)
+         *
+         * @var {Array}
+         */
+        buffer: [],
+
+        /**
+         * Maximum buffered entries
+         *
+         * @var {number}
+         */
+        bufferSize: 500,
+
+        /**
+         * Maximum length of one stored argument
+         *
+         * @var {number}
+         */
+        maxArgLength: 2000,
+
+        /**
+         * Runtime level (null = from storage/config)
+         *
+         * @var {string|null}
+         */
+        level: null,
+
+        /**
+         * Runtime namespace filter for debug/info (null = from config)
+         *
+         * @var {Array|null}
+         */
+        namespaces: null,
+
+        /**
+         * Persisted level (undefined = not read yet)
+         *
+         * @var {string|null|undefined}
+         */
+        storedLevel: undefined,
+
+        /**
+         * localStorage key for persisted level
+         *
+         * @var {string}
+         */
+        storageKey: 'wpdt:log-level',
+
+        /**
+         * Create namespaced logger
+         *
+         * @param {string} namespace Module name (printed as "[WPDT {namespace}]")
+         * @return {Object} Logger with debug/info/warn/error/group/groupEnd/isEnabled
+         */
+        create(namespace) {
+            const self = this;
+            const groups = [];
+
+            return {
+                namespace: namespace,
+                debug: (...args) => self.log(namespace, 'debug', args),
+                info: (...args) => self.log(namespace, 'info', args),
+                warn: (...args) => self.log(namespace, 'warn', args),
+                error: (...args) => self.log(namespace, 'error', args),
+
+                /**
+                 * Open console group (debug level)
+                 *
+                 * @param {string} label Group label
+                 */
+                group(label) {
+                    const printed = self.isEnabled(namespace, 'debug');
+
+                    groups.push(printed);
+                    self.record(namespace, 'debug', ['[group] ' + label]);
+
+                    if (printed) {
+                        console.group(self.prefix(namespace) + ' ' + label);
+                    }
+                },
+
+                /**
+                 * Close console group opened by group()
+                 */
+                groupEnd() {
+                    if (groups.pop()) {
+                        console.groupEnd();
+                    }
+                },
+
+                /**
+                 * Check if level prints (skip expensive diagnostics otherwise)
+                 *
+                 * @param {string} level Level name
+                 * @return {boolean} True if printed
+                 */
+                isEnabled(level) {
+                    return self.isEnabled(namespace, level);
+                }
+            };
+        },
+
+        /**
+         * Record entry and print it when enabled
+         *
+         * @param {string} namespace Module name
+         * @param {string} level Level name
+         * @param {Array} args Console arguments
+         */
+        log(namespace, level, args) {
+            const enabled = this.isEnabled(namespace, level);
+
+            this.record(namespace, level, args, enabled);
+
+            if (!enabled) {
+                return;
+            }
+
+            const method = level === 'error' ? 'error' : (level === 'warn' ? 'warn' : 'log');
+            console[method].apply(console, [this.prefix(namespace)].concat(args));
+        },
+
+        /**
+         * Console prefix of a namespace
+         *
+         * @param {string} namespace Module name
+         * @return {string} Prefix
+         */
+        prefix(namespace) {
+            return '[WPDT ' + namespace + ']';
+        },
+
+        /**
+         * Check if a level prints for a namespace
+         *
+         * Warnings and errors are never filtered by namespace.
+         *
+         * @param {string} namespace Module name
+         * @param {string} level Level name
+         * @return {boolean} True if printed
+         */
+        isEnabled(namespace, level) {
+            const weight = this.levels[level] || this.levels.debug;
+
+            if (weight < this.levels[this.getLevel()]) {
+                return false;
+            }
+
+            const namespaces = this.getNamespaces();
+            return weight >= this.levels.warn || !namespaces || namespaces.indexOf(namespace) !== -1;
+        },
+
+        /**
+         * Get active level
+         *
+         * @return {string} Level name
+         */
+        getLevel() {
+            if (this.level) {
+                return this.level;
+            }
+
+            // Persisted level is read once (log calls are frequent)
+            if (this.storedLevel === undefined) {
+                this.storedLevel = null;
+
+                try {
+                    const stored = window.localStorage.getItem(this.storageKey);
+                    this.storedLevel = this.levels[stored] ? stored : null;
+                } catch (e) {
+                    // Storage disabled - fall through to config
+                }
+            }
+
+            if (this.storedLevel) {
+                return this.storedLevel;
+            }
+
+            const config = this.getConfig();
+
+            if (config.logLevel && this.levels[config.logLevel]) {
+                return config.logLevel;
+            }
+
+            return config.debug ? 'debug' : 'warn';
+        },
+
+        /**
+         * Set active level at runtime
+         *
+         * @param {string|null} level Level name (null = back to config)
+         * @param {boolean} persist Keep level in localStorage across reloads
+         */
+        setLevel(level, persist) {
+            if (level !== null && !this.levels[level]) {
+                console.warn(this.prefix('Logger') + ' Unknown level:', level);
+                return;
+            }
+
+            this.level = level;
+
+            try {
+                if (persist && level !== null) {
+                    window.localStorage.setItem(this.storageKey, level);
+                    this.storedLevel = level;
+                } else if (level === null || persist === false) {
+                    window.localStorage.removeItem(this.storageKey);
+                    this.storedLevel = null;
+                }
+            } catch (e) {
+                // Storage disabled - runtime level only
+            }
+        },
+
+        /**
+         * Get namespace filter for debug/info output
+         *
+         * @return {Array|null} Namespaces, null = all
+         */
+        getNamespaces() {
+            if (this.namespaces) {
+                return this.namespaces;
+            }
+
+            // wp_localize_script turns booleans into "1"/""
+            const debug = this.getConfig().debug;
+            if (typeof debug === 'string' && debug !== '' && debug !== '1' && debug !== 'true') {
+                return debug.split(',').map((name) => name.trim()).filter(Boolean);
+            }
+
+            return null;
+        },
+
+        /**
+         * Limit debug/info output to namespaces at runtime
+         *
+         * @param {Array|null} namespaces Namespaces, null = all
+         */
+        setNamespaces(namespaces) {
+            this.namespaces = namespaces && namespaces.length > 0 ? namespaces : null;
+        },
+
+        /**
+         * Get localized config
+         *
+         * @return {Object} wpdtConfig or empty object
+         */
+        getConfig() {
+            return typeof wpdtConfig !== 'undefined' ? wpdtConfig : {};
+        },
+
+        /**
+         * Append entry to ring buffer
+         *
+         * @param {string} namespace Module name
+         * @param {string} level Level name
+         * @param {Array} args Console arguments
+         * @param {boolean} printed Entry is printed (full serialization is worth it)
+         */
+        record(namespace, level, args, printed) {
+            if (this.bufferSize <= 0) {
+                return;
+            }
+
+            this.buffer.push({
+                time: new Date().toISOString(),
+                level: level,
+                namespace: namespace,
+                message: args.map((arg) => printed ? this.stringify(arg) : this.summarize(arg)).join(' ')
+            });
+
+            if (this.buffer.length > this.bufferSize) {
+                this.buffer.splice(0, this.buffer.length - this.bufferSize);
+            }
+        },
+
+        /**
+         * Convert console argument to text
+         *
+         * @param {*} arg Argument
+         * @return {string} Text (truncated)
+         */
+        stringify(arg) {
+            let text;
+
+            if (typeof arg === 'string') {
+                text = arg;
+            } else if (arg instanceof Error) {
+                text = arg.name + ': ' + arg.message;
+            } else if (arg && arg.jquery) {
+                text = 'jQuery(' + arg.length + ')';
+            } else if (arg && arg.nodeType === 1) {
+                text = '<' + arg.nodeName.toLowerCase() + (arg.id ? '#' + arg.id : '') + '>';
+            } else {
+                try {
+                    text = JSON.stringify(arg);
+                } catch (e) {
+                    text = String(arg);
+                }
+
+                if (text === undefined) {
+                    text = String(arg);
+                }
+            }
+
+            return text.length > this.maxArgLength ? text.slice(0, this.maxArgLength) + '…' : text;
+        },
+
+        /**
+         * Cheap description of a console argument (entries not printed)
+         *
+         * @param {*} arg Argument
+         * @return {string} Text, or type and size for objects
+         */
+        summarize(arg) {
+            if (typeof arg === 'string') {
+                return arg.length > this.maxArgLength ? arg.slice(0, this.maxArgLength) + '…' : arg;
+            }
+
+            if (arg === null || arg === undefined || typeof arg !== 'object') {
+                return typeof arg === 'function' ? '[function]' : String(arg);
+            }
+
+            if (arg instanceof Error || arg.jquery || arg.nodeType === 1) {
+                return this.stringify(arg);
+            }
+
+            if (Array.isArray(arg)) {
+                return '[Array(' + arg.length + ')]';
+            }
+
+            return '[' + ((arg.constructor && arg.constructor.name) || 'Object') + ']';
+        },
+
+        /**
+         * Get buffered entries
+         *
+         * @param {Object} filter Optional { level: 'warn', namespace: 'Panel' }
+         * @return {Array} Entries (copies)
+         */
+        getEntries(filter) {
+            const opts = filter || {};
+            const minWeight = opts.level ? this.levels[opts.level] : 0;
+
+            return this.buffer.filter((entry) => {
+                return this.levels[entry.level] >= minWeight &&
+                    (!opts.namespace || entry.namespace === opts.namespace);
+            }).map((entry) => $.extend({}, entry));
+        },
+
+        /**
+         * Clear ring buffer
+         */
+        clear() {
+            this.buffer = [];
+        },
+
+        /**
+         * Export buffer as JSON (with page context for support)
+         *
+         * @param {Object} filter Optional entry filter (see getEntries)
+         * @return {string} JSON text
+         */
+        export(filter) {
+            return JSON.stringify({
+                exported: new Date().toISOString(),
+                url: window.location.href,
+                userAgent: window.navigator.userAgent,
+                level: this.getLevel(),
+                entries: this.getEntries(filter)
+            }, null, 2);
+        },
+
+        /**
+         * Download buffer as JSON file
+         *
+         * @param {string} filename Optional file name
+         */
+        download(filename) {
+            const blob = new Blob([this.export()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+
+            link.href = url;
+            link.download = filename || 'wpdt-log-' + Date.now() + '.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    };
+
+    // Expose to global scope
+    window.WPDTLogger = WPDTLogger;
+
+})(jQuery);
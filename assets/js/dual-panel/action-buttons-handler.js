@@ -3,7 +3,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Assets/JS/DualPanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/assets/js/dual-panel/action-buttons-handler.js
@@ -49,6 +49,9 @@
  * ```
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Console output through WPDTLogger ('Actions' namespace)
+ *
  * 0.1.0 - 2025-12-25
  * - Initial implementation
  * - Edit button handler
@@ -60,6 +63,8 @@
 (function($) {
     'use strict';
 
+    const log = WPDTLogger.create('Actions');
+
     /**
      * Action Buttons Handler Class
      */
@@ -72,9 +77,9 @@
          * Initialize handler
          */
         init() {
-            console.log('[WPDT Actions] Initializing action buttons handler...');
+            log.debug('Initializing action buttons handler...');
             this.bindEvents();
-            console.log('[WPDT Actions] Action buttons handler ready');
+            log.debug('Action buttons handler ready');
         }
 
         /**
@@ -93,11 +98,11 @@
                 const entity = $button.data('entity') || self.extractEntityFromClass($button, 'edit');
 
                 if (!entityId) {
-                    console.error('[WPDT Actions] Edit button missing data-id attribute', $button);
+                    log.error('Edit button missing data-id attribute', $button);
                     return;
                 }
 
-                console.log('[WPDT Actions] Edit button clicked', {
+                log.debug('Edit button clicked', {
                     entity: entity,
                     id: entityId,
                     button: $button[0]
@@ -121,11 +126,11 @@
                 const entity = $button.data('entity') || self.extractEntityFromClass($button, 'delete');
 
                 if (!entityId) {
-                    console.error('[WPDT Actions] Delete button missing data-id attribute', $button);
+                    log.error('Delete button missing data-id attribute', $button);
                     return;
                 }
 
-                console.log('[WPDT Actions] Delete button clicked', {
+                log.debug('Delete button clicked', {
                     entity: entity,
                     id: entityId,
                     button: $button[0]
@@ -150,11 +155,11 @@
                 const entity = $button.data('entity');
 
                 if (!entityId || !action) {
-                    console.error('[WPDT Actions] Custom action button missing required attributes', $button);
+                    log.error('Custom action button missing required attributes', $button);
                     return;
                 }
 
-                console.log('[WPDT Actions] Custom action button clicked', {
+                log.debug('Custom action button clicked', {
                     action: action,
                     entity: entity,
                     id: entityId,
@@ -6,7 +6,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Assets/JS/DualPanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/assets/js/dual-panel/auto-refresh.js
@@ -24,6 +24,10 @@
  * - Global event system (window.WPDTDataTableAutoRefresh)
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Console output through WPDTLogger ('AutoRefresh' namespace)
+ * - enableDebug()/disableDebug() switch WPDTLogger level
+ *
  * 0.1.0 - 2025-11-08
  * - Ported dari wp-app-core/assets/js/datatable/wpapp-datatable-auto-refresh.js
  * - Updated object names: WPDTDataTableAutoRefresh → WPDTDataTableAutoRefresh
@@ -78,6 +82,8 @@
 (function($) {
     'use strict';
 
+    const log = WPDTLogger.create('AutoRefresh');
+
     const WPDTDataTableAutoRefresh = {
         /**
          * Registered tables configuration
@@ -150,13 +156,13 @@
         register(entity, config) {
             // Validation: tableSelector required
             if (!config.tableSelector) {
-                console.error('[DataTableAutoRefresh] Registration failed: tableSelector required for entity "' + entity + '"');
+                log.error('Registration failed: tableSelector required for entity "' + entity + '"');
                 return false;
             }
 
             // Validation: events array required
             if (!config.events || !Array.isArray(config.events) || config.events.length === 0) {
-                console.error('[DataTableAutoRefresh] Registration failed: events array required for entity "' + entity + '"');
+                log.error('Registration failed: events array required for entity "' + entity + '"');
                 return false;
             }
 
@@ -239,7 +245,7 @@
 
             // Check if entity is registered
             if (!config) {
-                console.warn('[DataTableAutoRefresh] Entity not registered: ' + entity);
+                log.warn('Entity not registered: ' + entity);
                 return;
             }
 
@@ -261,7 +267,7 @@
 
             // Check if DataTable is initialized on this table
             if (!$.fn.DataTable.isDataTable($table)) {
-                console.warn('[DataTableAutoRefresh] DataTable not initialized on: ' + config.tableSelector);
+                log.warn('DataTable not initialized on: ' + config.tableSelector);
                 return;
             }
 
@@ -295,7 +301,7 @@
             const config = this.registeredTables[entity];
 
             if (!config) {
-                console.warn('[DataTableAutoRefresh] Cannot unregister - entity not found: ' + entity);
+                log.warn('Cannot unregister - entity not found: ' + entity);
                 return;
             }
 
@@ -340,17 +346,21 @@
 
         /**
          * Enable debug logging
+         *
+         * Shortcut for WPDTLogger.setLevel('debug') (affects all modules).
          */
         enableDebug() {
             this.debug = true;
-            console.log('[DataTableAutoRefresh] Debug mode enabled');
+            WPDTLogger.setLevel('debug');
+            log.debug('Debug mode enabled');
         },
 
         /**
-         * Disable debug logging
+         * Disable debug logging (back to the configured level)
          */
         disableDebug() {
             this.debug = false;
+            WPDTLogger.setLevel(null);
         },
 
         /**
@@ -361,12 +371,10 @@
          * @private
          */
         log(message, data) {
-            if (!this.debug) return;
-
             if (data !== undefined) {
-                console.log('[DataTableAutoRefresh] ' + message, data);
+                log.debug(message, data);
             } else {
-                console.log('[DataTableAutoRefresh] ' + message);
+                log.debug(message);
             }
         }
     };
@@ -375,8 +383,6 @@
     window.WPDTDataTableAutoRefresh = WPDTDataTableAutoRefresh;
 
     // Log initialization
-    if (typeof console !== 'undefined' && console.log) {
-        console.log('[DataTableAutoRefresh] System loaded and ready');
-    }
+    log.debug('System loaded and ready');
 
 })(jQuery);
@@ -0,0 +1,356 @@
+/**
+ * Form Guard - Dual Panel
+ *
+ * Unsaved-changes guard untuk forms di right panel, tabs dan modals.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/form-guard.js
+ *
+ * Description: Track dirty state dari forms di dalam guarded scopes
+ *              (.wpdt-right-panel, modal) dan minta konfirmasi sebelum
+ *              perubahan hilang: close panel, open record lain,
+ *              switch tab, atau page unload.
+ *
+ * How It Works:
+ * - Form state is snapshot (serialize) on first focus
+ * - input/change compares against the snapshot (.wpdt-form-dirty)
+ * - Preventable events are cancelled when the user keeps editing:
+ *   wpdt:panel-closing, wpdt:panel-opening (other record), wpdt:tab-switching
+ *   (root and drill-down level tabs), wpdt:panel-level-popping
+ * - beforeunload shows the browser prompt while a form is dirty
+ * - Forms are clean again after wpdt:entity-updated / wpdt:panel-action-done
+ *   following a submit, or when the user confirms discarding
+ *
+ * Configuration (wpdtConfig.panel.formGuard):
+ * - enabled: true
+ * - scopes: ['.wpdt-right-panel', '#wpmodal'] (containers whose forms are tracked)
+ *
+ * Opt-out:
+ * ```html
+ * <form data-wpdt-guard="false">...</form>
+ * ```
+ *
+ * Usage (custom code closing a modal):
+ * ```javascript
+ * if (WPDTFormGuard.confirmDiscard($('#wpmodal'))) {
+ *     WPModal.hide();
+ * }
+ * ```
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Drill-down levels guarded: level pops and nested tab switches
+ */
+
+(function($) {
+    'use strict';
+
+    const WPDTFormGuard = {
+        /**
+         * Guarded container selectors
+         *
+         * @var {Array}
+         */
+        scopes: ['.wpdt-right-panel', '#wpmodal'],
+
+        /**
+         * Whether the guard is active
+         *
+         * @var {boolean}
+         */
+        enabled: true,
+
+        /**
+         * Initialize guard
+         */
+        init() {
+            const config = (typeof wpdtConfig !== 'undefined' && wpdtConfig.panel && wpdtConfig.panel.formGuard)
+                ? wpdtConfig.panel.formGuard
+                : {};
+
+            this.enabled = config.enabled !== undefined ? !!config.enabled : true;
+            if (Array.isArray(config.scopes) && config.scopes.length > 0) {
+                this.scopes = config.scopes;
+            }
+
+            if (!this.enabled) {
+                return;
+            }
+
+            this.bindEvents();
+        },
+
+        /**
+         * Bind tracking and guard handlers
+         */
+        bindEvents() {
+            const self = this;
+            const formSelector = 'form';
+
+            // Snapshot before the first edit
+            $(document).on('focusin.wpdt-form-guard', formSelector, function() {
+                if (self.isTracked(this)) {
+                    self.snapshot(this);
+                }
+            });
+
+            $(document).on('input.wpdt-form-guard change.wpdt-form-guard', formSelector, function() {
+                if (self.isTracked(this)) {
+                    $(this).removeData('wpdtGuardSubmitting');
+                    self.update(this);
+                }
+            });
+
+            // Submitted forms are saved by their own code; don't block its reload
+            $(document).on('submit.wpdt-form-guard', formSelector, function() {
+                if (self.isTracked(this)) {
+                    $(this).data('wpdtGuardSubmitting', true);
+                }
+            });
+
+            $(document).on('wpdt:entity-updated.wpdt-form-guard wpdt:panel-action-done.wpdt-form-guard', function() {
+                self.getDirtyForms().filter(function() {
+                    return $(this).data('wpdtGuardSubmitting') === true;
+                }).each(function() {
+                    self.markClean(this);
+                });
+            });
+
+            // Panel close / record change / tab switch
+            $(document).on('wpdt:panel-closing.wpdt-form-guard wpdt:panel-opening.wpdt-form-guard', function(e) {
+                self.guard(e, self.getPanelScope(e.entity));
+            });
+
+            $(document).on('wpdt:tab-switching.wpdt-form-guard', function(e) {
+                const $scope = e.level
+                    ? self.getLevelTabScope(e.entity, e.level, e.fromTab)
+                    : self.getTabScope(e.entity, e.fromTab);
+
+                self.guard(e, $scope);
+            });
+
+            // Drill-down levels removed (back, breadcrumbs, Escape, browser back)
+            $(document).on('wpdt:panel-level-popping.wpdt-form-guard', function(e) {
+                self.guard(e, self.getLevelScope(e.entity, e.depth));
+            });
+
+            $(window).on('beforeunload.wpdt-form-guard', function(e) {
+                const pending = self.getDirtyForms().filter(function() {
+                    return $(this).data('wpdtGuardSubmitting') !== true;
+                });
+
+                if (pending.length > 0) {
+                    e.preventDefault();
+                    e.originalEvent.returnValue = '';
+                    return '';
+                }
+            });
+        },
+
+        /**
+         * Check if form is inside a guarded scope and not opted out
+         *
+         * @param {HTMLFormElement} form Form
+         * @return {boolean} True if tracked
+         */
+        isTracked(form) {
+            return $(form).attr('data-wpdt-guard') !== 'false' && $(form).closest(this.scopes.join(',')).length > 0;
+        },
+
+        /**
+         * Store form state once (before first edit)
+         *
+         * @param {HTMLFormElement} form Form
+         */
+        snapshot(form) {
+            const $form = $(form);
+
+            if ($form.data('wpdtGuardSnapshot') === undefined) {
+                $form.data('wpdtGuardSnapshot', $form.serialize());
+            }
+        },
+
+        /**
+         * Compare form state with snapshot
+         *
+         * @param {HTMLFormElement} form Form
+         */
+        update(form) {
+            const $form = $(form);
+
+            // Changed without focus (e.g. programmatic change event)
+            if ($form.data('wpdtGuardSnapshot') === undefined) {
+                $form.addClass('wpdt-form-dirty');
+                return;
+            }
+
+            $form.toggleClass('wpdt-form-dirty', $form.serialize() !== $form.data('wpdtGuardSnapshot'));
+        },
+
+        /**
+         * Mark form clean (current state becomes the snapshot)
+         *
+         * @param {HTMLFormElement} form Form
+         */
+        markClean(form) {
+            const $form = $(form);
+
+            $form.removeClass('wpdt-form-dirty')
+                .removeData('wpdtGuardSubmitting')
+                .data('wpdtGuardSnapshot', $form.serialize());
+        },
+
+        /**
+         * Dirty forms still in the document
+         *
+         * @param {jQuery} $scope Optional container (default: whole document)
+         * @return {jQuery} Dirty forms
+         */
+        getDirtyForms($scope) {
+            const $forms = $scope ? $scope.find('form.wpdt-form-dirty') : $('form.wpdt-form-dirty');
+
+            return $forms.filter(function() {
+                return document.documentElement.contains(this);
+            });
+        },
+
+        /**
+         * Check for unsaved changes
+         *
+         * @param {jQuery} $scope Optional container (default: whole document)
+         * @return {boolean} True if a form in scope is dirty
+         */
+        isDirty($scope) {
+            return this.getDirtyForms($scope).length > 0;
+        },
+
+        /**
+         * Ask the user to discard unsaved changes in scope
+         *
+         * @param {jQuery} $scope Container
+         * @return {boolean} True if nothing is dirty or the user agreed to discard
+         */
+        confirmDiscard($scope) {
+            if (!this.enabled || !this.isDirty($scope)) {
+                return true;
+            }
+
+            const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+
+            if (!window.confirm(i18n.unsavedChanges || 'You have unsaved changes. Discard them?')) {
+                return false;
+            }
+
+            this.getDirtyForms($scope).each((index, form) => this.markClean(form));
+            return true;
+        },
+
+        /**
+         * Cancel a preventable event while scope has unsaved changes
+         *
+         * @param {Object} e jQuery event
+         * @param {jQuery|null} $scope Container
+         */
+        guard(e, $scope) {
+            if (e.isDefaultPrevented() || !$scope || $scope.length === 0) {
+                return;
+            }
+
+            if (!this.confirmDiscard($scope)) {
+                e.preventDefault();
+            }
+        },
+
+        /**
+         * Right panel of an entity's layout (only while open)
+         *
+         * @param {string} entity Entity type
+         * @return {jQuery|null} Right panel
+         */
+        getPanelScope(entity) {
+            const manager = window.wpdtPanelManager && window.wpdtPanelManager.get
+                ? window.wpdtPanelManager.get(entity)
+                : null;
+
+            return manager && manager.isOpen ? manager.rightPanel : null;
+        },
+
+        /**
+         * Content of the tab being left
+         *
+         * @param {string} entity Entity type
+         * @param {string} tabId Tab identifier
+         * @return {jQuery|null} Tab content
+         */
+        getTabScope(entity, tabId) {
+            const tabManager = window.wpdtTabManager && window.wpdtTabManager.get
+                ? window.wpdtTabManager.get(entity)
+                : null;
+
+            return tabManager && tabId ? tabManager.getTabContent(tabId) : null;
+        },
+
+        /**
+         * Drill-down levels above a depth (the ones being popped)
+         *
+         * @param {string} entity Entity type
+         * @param {number} depth Depth that remains
+         * @return {jQuery|null} Level elements
+         */
+        getLevelScope(entity, depth) {
+            const stack = this.getStack(entity);
+
+            return stack ? stack.getLevelElements(depth) : null;
+        },
+
+        /**
+         * Content of the tab being left inside a drill-down level
+         *
+         * @param {string} entity Entity type
+         * @param {number} level Level depth (1 = first nested level)
+         * @param {string} tabId Tab identifier
+         * @return {jQuery|null} Tab content
+         */
+        getLevelTabScope(entity, level, tabId) {
+            const stack = this.getStack(entity);
+
+            if (!stack || !tabId || !stack.levels[level - 1]) {
+                return null;
+            }
+
+            return stack.levels[level - 1].$el.find('.wpdt-tab-content').filter(function() {
+                return this.id === String(tabId) || String($(this).data('tab-id')) === String(tabId);
+            });
+        },
+
+        /**
+         * Drill-down stack of an entity's layout
+         *
+         * @param {string} entity Entity type
+         * @return {WPDTPanelStack|null} Stack
+         */
+        getStack(entity) {
+            const manager = window.wpdtPanelManager && window.wpdtPanelManager.get
+                ? window.wpdtPanelManager.get(entity)
+                : null;
+
+            return manager && manager.stack ? manager.stack : null;
+        }
+    };
+
+    // Expose to global scope
+    window.WPDTFormGuard = WPDTFormGuard;
+
+    /**
+     * Initialize on document ready (wpdtConfig is printed after this script)
+     */
+    $(document).ready(function() {
+        WPDTFormGuard.init();
+    });
+
+})(jQuery);
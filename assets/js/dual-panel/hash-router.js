@@ -0,0 +1,427 @@
+/**
+ * Hash Router - Dual Panel
+ *
+ * Shared URL hash state untuk panel dan tab managers.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/hash-router.js
+ *
+ * Description: Satu router untuk semua state di URL hash.
+ *              Encode entity, id, tab dan extra parameters per layout,
+ *              decode lossless (entity dengan dash, string/UUID ids),
+ *              dan pakai pushState/replaceState + popstate secara konsisten.
+ *
+ * Hash Format:
+ * - One segment per layout, separated by ";"
+ * - Segment: {entity}-{id}[&key=value...]
+ * - Entity, id, keys and values are URI-encoded
+ * - Example: #company-invoice-7f3c9a2e-1b4d&tab=items;customer-12
+ *
+ * Decoding:
+ * - Registered entities (one per layout) are matched by longest prefix,
+ *   so "company-invoice-12" resolves to entity "company-invoice", id "12"
+ * - Unknown segments fall back to the legacy last-dash split and are
+ *   written back untouched
+ * - Ids are always strings (no parseInt)
+ *
+ * History:
+ * - setState()/update() use pushState by default, { replace: true } for replaceState
+ * - popstate and hashchange (manual edits) are merged into one
+ *   wpdt:route-changed event per changed entity
+ *
+ * Events Triggered:
+ * - wpdt:route-changed { entity, state, previous }
+ *
+ * Usage:
+ * ```javascript
+ * WPDTHashRouter.setState('customer', { id: 12, params: { tab: 'branches' } });
+ * WPDTHashRouter.update('customer', { tab: 'invoices' }, { replace: true });
+ * WPDTHashRouter.getState('customer'); // { entity: 'customer', id: '12', params: { tab: 'invoices' } }
+ *
+ * jQuery(document).on('wpdt:route-changed', function(e, data) {
+ *     console.log(data.entity, data.state);
+ * });
+ * ```
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Replaces split('-') + parseInt hash parsing in panel manager
+ * - Replaces separate hash writers in panel and tab managers
+ */
+
+(function($) {
+    'use strict';
+
+    const WPDTHashRouter = {
+        /**
+         * Entities with a layout on this page
+         *
+         * @var {Array}
+         */
+        entities: [],
+
+        /**
+         * Last hash handled (dedupes popstate + hashchange)
+         *
+         * @var {string|null}
+         */
+        lastHash: null,
+
+        /**
+         * Whether history listeners are bound
+         *
+         * @var {boolean}
+         */
+        listening: false,
+
+        /**
+         * Register entity so its segments decode unambiguously
+         *
+         * @param {string} entity Entity type
+         */
+        registerEntity(entity) {
+            if (entity && this.entities.indexOf(entity) === -1) {
+                this.entities.push(entity);
+
+                // Longest first - "company-invoice" must win over "company"
+                this.entities.sort((a, b) => b.length - a.length);
+            }
+
+            this.listen();
+        },
+
+        /**
+         * Bind popstate/hashchange listeners once
+         */
+        listen() {
+            if (this.listening) {
+                return;
+            }
+
+            this.listening = true;
+            this.lastHash = this.currentHash();
+
+            $(window).on('popstate.wpdt-router hashchange.wpdt-router', () => {
+                this.handleHistoryChange();
+            });
+        },
+
+        /**
+         * Current hash without leading #
+         *
+         * @return {string} Hash
+         */
+        currentHash() {
+            return window.location.hash.substring(1);
+        },
+
+        /**
+         * URI-encode a component (entity, id, key)
+         *
+         * @param {*} value Value
+         * @return {string} Encoded value
+         */
+        encode(value) {
+            return encodeURIComponent(String(value));
+        },
+
+        /**
+         * URI-encode a parameter value
+         *
+         * Keeps "/", ":", "," and "@" readable - they are legal in a
+         * fragment and not used as separators by the router.
+         *
+         * @param {*} value Value
+         * @return {string} Encoded value
+         */
+        encodeValue(value) {
+            return encodeURIComponent(String(value))
+                .replace(/%2F/gi, '/')
+                .replace(/%3A/gi, ':')
+                .replace(/%2C/gi, ',')
+                .replace(/%40/gi, '@');
+        },
+
+        /**
+         * URI-decode (tolerates malformed input)
+         *
+         * @param {string} value Encoded value
+         * @return {string} Decoded value
+         */
+        decode(value) {
+            try {
+                return decodeURIComponent(value);
+            } catch (e) {
+                return value;
+            }
+        },
+
+        /**
+         * Encode list of strings into one parameter value
+         *
+         * @param {Array} parts Values
+         * @return {string} "a/b/c" (each part encoded)
+         */
+        encodeList(parts) {
+            return parts.map((part) => encodeURIComponent(String(part))).join('/');
+        },
+
+        /**
+         * Decode parameter value created by encodeList()
+         *
+         * @param {string} value Parameter value
+         * @return {Array} Values
+         */
+        decodeList(value) {
+            if (value === undefined || value === null || value === '') {
+                return [];
+            }
+
+            return String(value).split('/').map((part) => this.decode(part));
+        },
+
+        /**
+         * Parse hash into states
+         *
+         * @param {string} hash Hash without #
+         * @return {Array} States [{ entity, id, params, raw }]
+         */
+        parse(hash) {
+            if (!hash) {
+                return [];
+            }
+
+            return hash.split(';').filter(Boolean).map((segment) => this.parseSegment(segment));
+        },
+
+        /**
+         * Parse one segment
+         *
+         * @param {string} segment e.g. "customer-12&tab=details"
+         * @return {Object} State { entity, id, params, raw }
+         */
+        parseSegment(segment) {
+            const parts = segment.split('&');
+            const head = parts.shift();
+            const params = {};
+            let entity = null;
+            let id = null;
+
+            parts.forEach((part) => {
+                if (!part) {
+                    return;
+                }
+
+                const eq = part.indexOf('=');
+                const key = this.decode(eq === -1 ? part : part.substring(0, eq));
+                params[key] = eq === -1 ? '' : this.decode(part.substring(eq + 1));
+            });
+
+            // Registered entity: longest prefix match
+            for (let known of this.entities) {
+                const prefix = this.encode(known) + '-';
+                if (head.indexOf(prefix) === 0 && head.length > prefix.length) {
+                    entity = known;
+                    id = this.decode(head.substring(prefix.length));
+                    break;
+                }
+            }
+
+            // Unknown entity (or params-only segment): legacy last-dash split
+            if (entity === null) {
+                const dash = head.lastIndexOf('-');
+                if (dash > 0 && dash < head.length - 1) {
+                    entity = this.decode(head.substring(0, dash));
+                    id = this.decode(head.substring(dash + 1));
+                }
+            }
+
+            return {
+                entity: entity,
+                id: id,
+                params: params,
+                raw: segment
+            };
+        },
+
+        /**
+         * Build segment string from state
+         *
+         * @param {Object} state { entity, id, params }
+         * @return {string} Segment
+         */
+        stringifySegment(state) {
+            let segment = this.encode(state.entity) + '-' + this.encode(state.id);
+
+            $.each(state.params || {}, (key, value) => {
+                if (value === undefined || value === null) {
+                    return;
+                }
+                segment += '&' + this.encode(key) + '=' + this.encodeValue(value);
+            });
+
+            return segment;
+        },
+
+        /**
+         * Build hash from states
+         *
+         * @param {Array} states States
+         * @return {string} Hash without #
+         */
+        stringify(states) {
+            return states.map((state) => {
+                // Segments nobody touched are written back as they were
+                if (state.raw !== undefined && (state.entity === null || this.entities.indexOf(state.entity) === -1)) {
+                    return state.raw;
+                }
+                return this.stringifySegment(state);
+            }).join(';');
+        },
+
+        /**
+         * Get state for entity
+         *
+         * @param {string} entity Entity type
+         * @param {string} hash Optional hash (defaults to current)
+         * @return {Object|null} State { entity, id, params } or null
+         */
+        getState(entity, hash) {
+            const states = this.parse(hash !== undefined ? hash : this.currentHash());
+            const state = states.find((item) => item.entity === entity && item.id !== null && item.id !== '');
+
+            if (!state) {
+                return null;
+            }
+
+            return {
+                entity: state.entity,
+                id: state.id,
+                params: $.extend({}, state.params)
+            };
+        },
+
+        /**
+         * Set (or remove) state for entity
+         *
+         * @param {string} entity Entity type
+         * @param {Object|null} state { id, params } or null to remove segment
+         * @param {Object} options { replace: boolean }
+         */
+        setState(entity, state, options) {
+            const opts = options || {};
+            const states = this.parse(this.currentHash());
+            const index = states.findIndex((item) => item.entity === entity);
+
+            if (state && state.id !== undefined && state.id !== null && state.id !== '') {
+                const next = {
+                    entity: entity,
+                    id: String(state.id),
+                    params: $.extend({}, state.params || {})
+                };
+
+                if (index >= 0) {
+                    states[index] = next;
+                } else {
+                    states.push(next);
+                }
+            } else if (index >= 0) {
+                states.splice(index, 1);
+            }
+
+            this.write(this.stringify(states), opts.replace);
+        },
+
+        /**
+         * Merge parameters into entity state
+         *
+         * Does nothing while the entity has no segment (panel closed).
+         * A null/undefined value removes the parameter.
+         *
+         * @param {string} entity Entity type
+         * @param {Object} params Parameters to merge
+         * @param {Object} options { replace: boolean }
+         * @return {boolean} True if URL was updated
+         */
+        update(entity, params, options) {
+            const state = this.getState(entity);
+
+            if (!state) {
+                return false;
+            }
+
+            $.each(params || {}, function(key, value) {
+                if (value === undefined || value === null) {
+                    delete state.params[key];
+                } else {
+                    state.params[key] = String(value);
+                }
+            });
+
+            this.setState(entity, state, options);
+            return true;
+        },
+
+        /**
+         * Write hash via history API (no scroll jump, no hashchange)
+         *
+         * @param {string} hash Hash without #
+         * @param {boolean} replace Use replaceState instead of pushState
+         */
+        write(hash, replace) {
+            if (hash === this.currentHash()) {
+                return;
+            }
+
+            const url = window.location.pathname + window.location.search + (hash ? '#' + hash : '');
+
+            if (replace) {
+                history.replaceState(null, document.title, url);
+            } else {
+                history.pushState(null, document.title, url);
+            }
+
+            this.lastHash = hash;
+        },
+
+        /**
+         * Handle back/forward or manual hash edit
+         *
+         * Triggers wpdt:route-changed once per entity whose state changed.
+         */
+        handleHistoryChange() {
+            const hash = this.currentHash();
+
+            if (hash === this.lastHash) {
+                return;
+            }
+
+            const previousHash = this.lastHash || '';
+            this.lastHash = hash;
+
+            this.entities.forEach((entity) => {
+                const previous = this.getState(entity, previousHash);
+                const state = this.getState(entity, hash);
+
+                if (JSON.stringify(previous) === JSON.stringify(state)) {
+                    return;
+                }
+
+                $(document).trigger('wpdt:route-changed', {
+                    entity: entity,
+                    state: state,
+                    previous: previous
+                });
+            });
+        }
+    };
+
+    // Expose to global scope
+    window.WPDTHashRouter = WPDTHashRouter;
+
+})(jQuery);
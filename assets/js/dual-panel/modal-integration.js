@@ -3,7 +3,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Assets/JS/Dual-Panel
- * @version     1.0.0
+ * @version     1.1.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/assets/js/dual-panel/modal-integration.js
@@ -50,6 +50,9 @@
  * ]);
  *
  * Changelog:
+ * 1.1.0 - 2026-10-19
+ * - Console output through WPDTLogger ('Modal' namespace)
+ *
  * 1.0.0 - 2025-12-28
  * - Initial implementation
  * - Edit button auto-wiring
@@ -60,6 +63,8 @@
 (function($) {
     'use strict';
 
+    const log = WPDTLogger.create('Modal');
+
     /**
      * WP DataTable Modal Integration
      */
@@ -77,20 +82,20 @@
             // Load configurations from global wpdtConfig
             if (typeof wpdtConfig !== 'undefined') {
                 this.configs = wpdtConfig;
-                console.log('[WPDT Modal] Loaded configurations for entities:', Object.keys(this.configs));
+                log.debug('Loaded configurations for entities:', Object.keys(this.configs));
             } else {
-                console.warn('[WPDT Modal] No wpdtConfig found. Modal integration disabled.');
+                log.warn('No wpdtConfig found. Modal integration disabled.');
                 return;
             }
 
             // Check if WPModal is available
             if (typeof WPModal === 'undefined') {
-                console.warn('[WPDT Modal] WPModal not found. Install wp-modal plugin.');
+                log.warn('WPModal not found. Install wp-modal plugin.');
                 return;
             }
 
             this.bindEvents();
-            console.log('[WPDT Modal] Integration initialized');
+            log.debug('Integration initialized');
         },
 
         /**
@@ -121,11 +126,11 @@
             var config = this.getConfig(entity, 'edit');
 
             if (!config || !config.enabled) {
-                console.log('[WPDT Modal] Edit not configured for entity:', entity);
+                log.debug('Edit not configured for entity:', entity);
                 return;
             }
 
-            console.log('[WPDT Modal] Opening edit modal for', entity, id);
+            log.debug('Opening edit modal for', entity, id);
 
             // Build AJAX URL for form
             var formUrl = ajaxurl + '?action=' + config.ajax_action + '&id=' + id;
@@ -159,11 +164,11 @@
             var config = this.getConfig(entity, 'delete');
 
             if (!config || !config.enabled) {
-                console.log('[WPDT Modal] Delete not configured for entity:', entity);
+                log.debug('Delete not configured for entity:', entity);
                 return;
             }
 
-            console.log('[WPDT Modal] Opening delete confirmation for', entity, id);
+            log.debug('Opening delete confirmation for', entity, id);
 
             // Show confirmation modal
             WPModal.confirm({
@@ -202,14 +207,14 @@
                 ajaxData += '&nonce=' + this.configs.nonce;
             }
 
-            console.log('[WPDT Modal] Submitting form for', entity, id);
+            log.debug('Submitting form for', entity, id);
 
             $.ajax({
                 url: ajaxurl,
                 method: 'POST',
                 data: ajaxData,
                 success: function(response) {
-                    console.log('[WPDT Modal] Form submitted successfully:', response);
+                    log.debug('Form submitted successfully:', response);
 
                     // Check if response indicates success
                     if (response.success) {
@@ -243,7 +248,7 @@
                     }
                 },
                 error: function(xhr, status, error) {
-                    console.error('[WPDT Modal] Form submission failed:', error);
+                    log.error('Form submission failed:', error);
 
                     WPModal.info({
                         type: 'info',
@@ -273,7 +278,7 @@
         performDelete: function(entity, id, config) {
             var self = this;
 
-            console.log('[WPDT Modal] Deleting', entity, id);
+            log.debug('Deleting', entity, id);
 
             // Prepare AJAX data
             var ajaxData = {
@@ -291,7 +296,7 @@
                 method: 'POST',
                 data: ajaxData,
                 success: function(response) {
-                    console.log('[WPDT Modal] Delete successful:', response);
+                    log.debug('Delete successful:', response);
 
                     // Check if response indicates success
                     if (response.success) {
@@ -325,7 +330,7 @@
                     }
                 },
                 error: function(xhr, status, error) {
-                    console.error('[WPDT Modal] Delete failed:', error);
+                    log.error('Delete failed:', error);
 
                     WPModal.info({
                         type: 'info',
@@ -349,10 +354,10 @@
             var $table = $(tableId);
 
             if ($table.length && $.fn.DataTable.isDataTable($table)) {
-                console.log('[WPDT Modal] Refreshing DataTable:', tableId);
+                log.debug('Refreshing DataTable:', tableId);
                 $table.DataTable().ajax.reload(null, false); // false = stay on current page
             } else {
-                console.warn('[WPDT Modal] DataTable not found:', tableId);
+                log.warn('DataTable not found:', tableId);
             }
         },
 
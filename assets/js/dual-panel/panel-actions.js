@@ -0,0 +1,653 @@
+/**
+ * Panel Actions - Dual Panel
+ *
+ * Declarative behavior untuk server-provided panel action buttons.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/panel-actions.js
+ *
+ * Description: Action di data.actions (panel payload) bisa declare behavior:
+ *              ajax call, confirm dialog, modal form, redirect, atau download.
+ *              Handler mengurus busy state, error display, dan refresh
+ *              panel + DataTable setelah action berhasil.
+ *
+ * Behaviors:
+ * - ajax: POST ajax_action (optional confirm message first)
+ * - confirm: same as ajax, confirmation always asked
+ * - modal: WPModal form (form_action loads body via POST, submit_action saves)
+ * - redirect: navigate to url (optional target "_blank")
+ * - download: POST ajax_action (or GET url), response saved as file
+ *
+ * Action Definition (panel payload):
+ * ```php
+ * 'actions' => [
+ *     [
+ *         'label' => __('Approve', 'my-plugin'),
+ *         'icon' => 'dashicons-yes',
+ *         'behavior' => 'confirm',
+ *         'ajax_action' => 'approve_invoice',
+ *         'params' => ['status' => 'approved'],
+ *         'confirm_message' => __('Approve this invoice?', 'my-plugin'),
+ *         'on_success' => 'refresh', // refresh (default) | close | none
+ *     ],
+ *     [
+ *         'label' => __('Edit', 'my-plugin'),
+ *         'behavior' => 'modal',
+ *         'form_action' => 'get_invoice_form',
+ *         'submit_action' => 'update_invoice',
+ *         'modal_title' => __('Edit Invoice', 'my-plugin'),
+ *     ],
+ *     [
+ *         'label' => __('PDF', 'my-plugin'),
+ *         'behavior' => 'download',
+ *         'ajax_action' => 'export_invoice_pdf',
+ *         'filename' => 'invoice.pdf',
+ *     ],
+ * ]
+ * ```
+ *
+ * Request Data:
+ * - action, entity, id, nonce + params (ajax, confirm, download, modal body)
+ * - modal submit: form fields + the same keys the form does not already have
+ *
+ * After Success:
+ * - on_success "refresh": wpdt:entity-updated, panel reload, DataTable reload
+ * - on_success "close": wpdt:entity-deleted, panel closes, DataTable reload
+ * - on_success "none": events only
+ *
+ * Events Triggered:
+ * - wpdt:panel-action - Before action runs (preventable)
+ * - wpdt:panel-action-done - Action succeeded { entity, id, action, response }
+ * - wpdt:panel-action-failed - Action failed { entity, id, action, message }
+ *
+ * Created by: WPDTPanelManager (one handler per layout)
+ *
+ * Definitions are attached by the panel manager (attach()) and kept out of
+ * the DOM: markup in tab content or html/content fragments cannot declare
+ * actions, only buttons in .wpdt-panel-actions built from data.actions.
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Console output through WPDTLogger ('Actions' namespace)
+ * - Definitions stored in a WeakMap (attach()), not jQuery data parsed from
+ *   data-wpdt-action; click handling limited to .wpdt-panel-actions
+ * - Modal body loaded via POST (no nonce in GET URL); submit data only adds
+ *   keys the form does not already contain
+ */
+
+(function($) {
+    'use strict';
+
+    const log = WPDTLogger.create('Actions');
+
+    /**
+     * Panel Actions Class
+     */
+    class WPDTPanelActions {
+        /**
+         * @param {WPDTPanelManager} manager Owning panel manager
+         */
+        constructor(manager) {
+            this.manager = manager;
+            this.entity = manager.currentEntity;
+
+            // Action definitions by button element
+            this.actions = new WeakMap();
+
+            this.bindEvents();
+        }
+
+        /**
+         * Bind click handler for declarative action buttons
+         */
+        bindEvents() {
+            const self = this;
+
+            this.manager.rootView.on('click', '.wpdt-panel-actions .wpdt-panel-action', function(e) {
+                const action = self.actions.get(this);
+
+                if (!action) {
+                    return;
+                }
+
+                e.preventDefault();
+                e.stopPropagation(); // Keep generic *-edit-btn handlers out
+
+                const $button = $(this);
+
+                if (!$button.hasClass('is-busy')) {
+                    self.run(action, $button);
+                }
+            });
+        }
+
+        /**
+         * Wire a rendered action button to its definition
+         *
+         * @param {jQuery} $button Button built from data.actions
+         * @param {Object} action Action definition
+         */
+        attach($button, action) {
+            $button.addClass('wpdt-panel-action');
+            this.actions.set($button[0], action);
+        }
+
+        /**
+         * Check if action declares a supported behavior
+         *
+         * @param {Object} action Action definition
+         * @return {boolean} True if handled here
+         */
+        isDeclarative(action) {
+            return !!action && ['ajax', 'confirm', 'modal', 'redirect', 'download'].indexOf(action.behavior) !== -1;
+        }
+
+        /**
+         * Run action
+         *
+         * @param {Object} action Action definition
+         * @param {jQuery} $button Clicked button
+         */
+        run(action, $button) {
+            const id = this.manager.currentId;
+
+            const actionEvent = $.Event('wpdt:panel-action', {
+                entity: this.entity,
+                id: id,
+                action: action
+            });
+            $(document).trigger(actionEvent);
+
+            if (actionEvent.isDefaultPrevented()) {
+                return;
+            }
+
+            switch (action.behavior) {
+                case 'confirm':
+                    this.confirm(action, () => this.ajax(action, $button, id));
+                    break;
+                case 'ajax':
+                    if (action.confirm_message) {
+                        this.confirm(action, () => this.ajax(action, $button, id));
+                    } else {
+                        this.ajax(action, $button, id);
+                    }
+                    break;
+                case 'modal':
+                    this.modal(action, $button, id);
+                    break;
+                case 'redirect':
+                    this.redirect(action);
+                    break;
+                case 'download':
+                    this.download(action, $button, id);
+                    break;
+            }
+        }
+
+        /**
+         * Ask for confirmation (WPModal when available)
+         *
+         * @param {Object} action Action definition
+         * @param {Function} onConfirm Called when confirmed
+         */
+        confirm(action, onConfirm) {
+            const i18n = this.getI18n();
+            const message = action.confirm_message || i18n.confirm || 'Are you sure?';
+
+            if (typeof WPModal !== 'undefined') {
+                WPModal.confirm({
+                    title: action.confirm_title || action.label || '',
+                    body: $('<p>').text(message).prop('outerHTML'),
+                    danger: !!action.danger,
+                    confirmLabel: action.confirm_label || action.label || 'OK',
+                    onConfirm: onConfirm
+                });
+                return;
+            }
+
+            if (window.confirm(message)) {
+                onConfirm();
+            }
+        }
+
+        /**
+         * Build request data for an action
+         *
+         * @param {Object} action Action definition
+         * @param {string} ajaxAction AJAX action name
+         * @param {number|string} id Entity ID
+         * @return {Object} Request data
+         */
+        buildData(action, ajaxAction, id) {
+            return $.extend({}, action.params || {}, {
+                action: ajaxAction,
+                entity: this.entity,
+                id: id,
+                nonce: wpdtConfig.nonce
+            });
+        }
+
+        /**
+         * AJAX behavior
+         *
+         * @param {Object} action Action definition
+         * @param {jQuery} $button Clicked button
+         * @param {number|string} id Entity ID
+         */
+        ajax(action, $button, id) {
+            if (!action.ajax_action) {
+                log.error('Action without ajax_action:', action);
+                return;
+            }
+
+            this.setBusy($button, true);
+
+            $.ajax({
+                url: wpdtConfig.ajaxUrl,
+                type: 'POST',
+                data: this.buildData(action, action.ajax_action, id)
+            })
+                .done((response) => {
+                    if (response && response.success) {
+                        this.succeed(action, id, response);
+                    } else {
+                        this.fail(action, id, response && response.data ? response.data.message : null);
+                    }
+                })
+                .fail((jqXHR, textStatus, errorThrown) => {
+                    this.fail(action, id, this.getXhrMessage(jqXHR, errorThrown));
+                })
+                .always(() => {
+                    this.setBusy($button, false);
+                });
+        }
+
+        /**
+         * Modal form behavior (requires WPModal)
+         *
+         * @param {Object} action Action definition
+         * @param {jQuery} $button Clicked button
+         * @param {number|string} id Entity ID
+         */
+        modal(action, $button, id) {
+            if (typeof WPModal === 'undefined') {
+                this.fail(action, id, 'WPModal not available');
+                return;
+            }
+
+            this.setBusy($button, true);
+
+            // Body via POST: nonce stays out of URLs (history, logs, Referer)
+            $.ajax({
+                url: wpdtConfig.ajaxUrl,
+                type: 'POST',
+                data: this.buildData(action, action.form_action, id)
+            })
+                .done((response) => {
+                    const body = this.getModalBody(response);
+
+                    if (body === null) {
+                        this.fail(action, id, response && response.data ? response.data.message : null);
+                        return;
+                    }
+
+                    this.showModal(action, id, body);
+                })
+                .fail((jqXHR, textStatus, errorThrown) => {
+                    this.fail(action, id, this.getXhrMessage(jqXHR, errorThrown));
+                })
+                .always(() => {
+                    this.setBusy($button, false);
+                });
+        }
+
+        /**
+         * Show modal form with a loaded body
+         *
+         * @param {Object} action Action definition
+         * @param {number|string} id Entity ID
+         * @param {string} body Form HTML
+         */
+        showModal(action, id, body) {
+            WPModal.show({
+                type: 'form',
+                title: action.modal_title || action.label || '',
+                body: body,
+                size: action.modal_size || 'medium',
+                onSubmit: (formData) => {
+                    const $submit = $('#wpmodal-submit');
+                    this.setBusy($submit, true);
+
+                    $.ajax({
+                        url: wpdtConfig.ajaxUrl,
+                        type: 'POST',
+                        data: this.mergeFormData(formData, this.buildData(action, action.submit_action, id))
+                    })
+                        .done((response) => {
+                            if (response && response.success) {
+                                if (typeof WPModal.hide === 'function') {
+                                    WPModal.hide();
+                                }
+                                this.succeed(action, id, response);
+                            } else {
+                                this.fail(action, id, response && response.data ? response.data.message : null);
+                            }
+                        })
+                        .fail((jqXHR, textStatus, errorThrown) => {
+                            this.fail(action, id, this.getXhrMessage(jqXHR, errorThrown));
+                        })
+                        .always(() => {
+                            this.setBusy($submit, false);
+                        });
+                }
+            });
+        }
+
+        /**
+         * Form HTML from a form_action response
+         *
+         * Accepts raw HTML or wp_send_json_success(['html' => ...]).
+         *
+         * @param {string|Object} response AJAX response
+         * @return {string|null} HTML, null when the response is an error
+         */
+        getModalBody(response) {
+            if (typeof response === 'string') {
+                return response;
+            }
+
+            if (response && response.success && response.data) {
+                return typeof response.data === 'string' ? response.data : (response.data.html || '');
+            }
+
+            return null;
+        }
+
+        /**
+         * Append request data to serialized form data
+         *
+         * Keys already present in the form win: a field named "id" or
+         * "status" is sent as entered, not overridden by action data.
+         *
+         * @param {string} formData Serialized form (application/x-www-form-urlencoded)
+         * @param {Object} data Request data
+         * @return {string} Merged serialized data
+         */
+        mergeFormData(formData, data) {
+            const existing = {};
+
+            String(formData || '').split('&').forEach((pair) => {
+                if (!pair) {
+                    return;
+                }
+
+                const name = pair.split('=')[0].replace(/\+/g, ' ');
+
+                try {
+                    existing[decodeURIComponent(name)] = true;
+                } catch (e) {
+                    existing[name] = true;
+                }
+            });
+
+            const extra = {};
+
+            Object.keys(data).forEach((key) => {
+                if (!existing[key]) {
+                    extra[key] = data[key];
+                }
+            });
+
+            const params = $.param(extra);
+
+            if (!formData) {
+                return params;
+            }
+
+            return params ? formData + '&' + params : formData;
+        }
+
+        /**
+         * Redirect behavior
+         *
+         * @param {Object} action Action definition
+         */
+        redirect(action) {
+            if (!action.url || !WPDTPanelRenderer.isSafeUrl(action.url)) {
+                log.error('Action redirect URL missing or not allowed:', action.url);
+                return;
+            }
+
+            if (action.target === '_blank') {
+                window.open(action.url, '_blank', 'noopener');
+            } else {
+                window.location.href = action.url;
+            }
+        }
+
+        /**
+         * Download behavior
+         *
+         * Fetched as blob so busy state and errors work like other
+         * behaviors. JSON answers are treated as { success, data.message }.
+         *
+         * @param {Object} action Action definition
+         * @param {jQuery} $button Clicked button
+         * @param {number|string} id Entity ID
+         */
+        download(action, $button, id) {
+            const request = action.ajax_action
+                ? { url: wpdtConfig.ajaxUrl, type: 'POST', data: this.buildData(action, action.ajax_action, id) }
+                : { url: action.url, type: 'GET' };
+
+            if (!request.url || !WPDTPanelRenderer.isSafeUrl(request.url)) {
+                log.error('Action download URL missing or not allowed:', request.url);
+                return;
+            }
+
+            this.setBusy($button, true);
+
+            $.ajax($.extend(request, { xhrFields: { responseType: 'blob' } }))
+                .done((blob, textStatus, jqXHR) => {
+                    const type = jqXHR.getResponseHeader('Content-Type') || '';
+
+                    // Server answered with wp_send_json_* instead of a file
+                    if (type.indexOf('application/json') !== -1) {
+                        blob.text().then((text) => {
+                            let response = null;
+                            try {
+                                response = JSON.parse(text);
+                            } catch (e) {
+                                response = null;
+                            }
+
+                            if (response && response.success) {
+                                this.succeed(action, id, response);
+                            } else {
+                                this.fail(action, id, response && response.data ? response.data.message : null);
+                            }
+                        });
+                        return;
+                    }
+
+                    this.saveBlob(blob, this.getFilename(jqXHR, action));
+                    this.succeed($.extend({}, action, { on_success: action.on_success || 'none' }), id, { success: true, data: {} });
+                })
+                .fail((jqXHR, textStatus, errorThrown) => {
+                    this.fail(action, id, errorThrown || 'Download failed');
+                })
+                .always(() => {
+                    this.setBusy($button, false);
+                });
+        }
+
+        /**
+         * Save blob as file
+         *
+         * @param {Blob} blob File content
+         * @param {string} filename File name
+         */
+        saveBlob(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const link = $('<a>').attr({ href: url, download: filename }).css('display', 'none').appendTo('body');
+
+            link[0].click();
+            link.remove();
+
+            setTimeout(function() {
+                URL.revokeObjectURL(url);
+            }, 1000);
+        }
+
+        /**
+         * File name from Content-Disposition or action
+         *
+         * @param {Object} jqXHR jQuery XHR object
+         * @param {Object} action Action definition
+         * @return {string} File name
+         */
+        getFilename(jqXHR, action) {
+            const disposition = jqXHR.getResponseHeader('Content-Disposition') || '';
+            const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+
+            if (match) {
+                try {
+                    return decodeURIComponent(match[1]);
+                } catch (e) {
+                    return match[1];
+                }
+            }
+
+            return action.filename || this.entity + '-' + this.manager.currentId;
+        }
+
+        /**
+         * Handle success: notice, events, refresh
+         *
+         * @param {Object} action Action definition
+         * @param {number|string} id Entity ID
+         * @param {Object} response Server response
+         */
+        succeed(action, id, response) {
+            const onSuccess = action.on_success || 'refresh';
+            const message = (response.data && response.data.message) || action.success_message;
+
+            if (message) {
+                this.manager.showNotice(message, 'success');
+            }
+
+            if (onSuccess === 'close') {
+                $(document).trigger('wpdt:entity-deleted', { entity: this.entity, id: id, response: response });
+                this.manager.closePanel();
+                this.reloadTable();
+            } else if (onSuccess === 'refresh') {
+                $(document).trigger('wpdt:entity-updated', { entity: this.entity, id: id, response: response });
+
+                // Record may have changed meanwhile (prev/next)
+                if (String(this.manager.currentId) === String(id)) {
+                    this.manager.refresh();
+                }
+                this.reloadTable();
+            }
+
+            $(document).trigger('wpdt:panel-action-done', {
+                entity: this.entity,
+                id: id,
+                action: action,
+                response: response
+            });
+        }
+
+        /**
+         * Handle failure: error notice and event
+         *
+         * @param {Object} action Action definition
+         * @param {number|string} id Entity ID
+         * @param {string|null} message Error message
+         */
+        fail(action, id, message) {
+            const i18n = this.getI18n();
+            const text = message || action.error_message || i18n.actionFailed || 'Action failed';
+
+            this.manager.showError(text);
+
+            $(document).trigger('wpdt:panel-action-failed', {
+                entity: this.entity,
+                id: id,
+                action: action,
+                message: text
+            });
+        }
+
+        /**
+         * Reload DataTable keeping the current page
+         */
+        reloadTable() {
+            const dataTable = this.manager.getDataTableInstance();
+
+            if (!dataTable) {
+                return;
+            }
+
+            if (dataTable.ajax && dataTable.ajax.url()) {
+                dataTable.ajax.reload(null, false);
+            } else {
+                dataTable.draw(false);
+            }
+        }
+
+        /**
+         * Toggle busy state on a button
+         *
+         * @param {jQuery} $button Button
+         * @param {boolean} busy Busy state
+         */
+        setBusy($button, busy) {
+            if (!$button || $button.length === 0) {
+                return;
+            }
+
+            $button
+                .toggleClass('is-busy', busy)
+                .prop('disabled', busy)
+                .attr('aria-busy', busy ? 'true' : 'false');
+
+            if (busy) {
+                $button.append($('<span>').addClass('spinner is-active wpdt-action-spinner'));
+            } else {
+                $button.find('.wpdt-action-spinner').remove();
+            }
+        }
+
+        /**
+         * Error message from failed XHR (wp_send_json_error body if any)
+         *
+         * @param {Object} jqXHR jQuery XHR object
+         * @param {string} errorThrown Error text
+         * @return {string} Message
+         */
+        getXhrMessage(jqXHR, errorThrown) {
+            const json = jqXHR && jqXHR.responseJSON;
+            return (json && json.data && json.data.message) || errorThrown || 'Network error';
+        }
+
+        /**
+         * Get i18n strings
+         *
+         * @return {Object} Strings
+         */
+        getI18n() {
+            return (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+        }
+    }
+
+    // Expose class (instantiated by panel manager)
+    window.WPDTPanelActions = WPDTPanelActions;
+
+})(jQuery);
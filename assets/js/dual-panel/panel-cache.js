@@ -0,0 +1,280 @@
+/**
+ * Panel Cache - Dual Panel
+ *
+ * Bounded LRU cache untuk right panel payloads.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/panel-cache.js
+ *
+ * Description: Client-side cache untuk panel AJAX responses.
+ *              Panel manager renders cached payload langsung lalu
+ *              revalidate di background (stale-while-revalidate).
+ *              Entries dibuang saat entity di-update/delete.
+ *
+ * Features:
+ * - LRU eviction (least recently viewed record dibuang duluan)
+ * - Keyed by entity + id
+ * - Max age (stale entries older than maxAge are not rendered)
+ * - Auto invalidation on wpdt:entity-updated / wpdt:entity-deleted
+ *
+ * Configuration (wpdtConfig.panel.cache):
+ * - enabled: true
+ * - maxEntries: 20
+ * - maxAge: 600 (seconds, 0 = no limit)
+ *
+ * Usage:
+ * ```javascript
+ * // Drop a record manually (e.g. after custom save code)
+ * wpdtPanelCache.delete('customer', 12);
+ *
+ * // Or let the framework do it
+ * jQuery(document).trigger('wpdt:entity-updated', { entity: 'customer', id: 12 });
+ * ```
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - LRU cache keyed by entity and id
+ * - Invalidation on entity updated/deleted events
+ * - has() applies maxAge like get() (expired entries no longer block prefetch)
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Panel Cache Class
+     */
+    class WPDTPanelCache {
+        /**
+         * @param {Object} options Cache options
+         *   @param {boolean} options.enabled Enable cache (default: true)
+         *   @param {number} options.maxEntries Maximum cached payloads (default: 20)
+         *   @param {number} options.maxAge Maximum age in seconds (default: 600, 0 = no limit)
+         */
+        constructor(options) {
+            const config = options || {};
+
+            this.enabled = config.enabled !== undefined ? !!config.enabled : true;
+            this.maxEntries = parseInt(config.maxEntries, 10) || 20;
+            this.maxAge = config.maxAge !== undefined ? parseInt(config.maxAge, 10) || 0 : 600;
+
+            // Map keeps insertion order: first key = least recently used
+            this.entries = new Map();
+
+            this.bindEvents();
+        }
+
+        /**
+         * Bind invalidation events
+         */
+        bindEvents() {
+            const self = this;
+
+            $(document).on('wpdt:entity-updated.wpdt-panel-cache wpdt:entity-deleted.wpdt-panel-cache', function(e, data) {
+                if (!data || data.id === undefined || data.id === null) {
+                    return;
+                }
+
+                if (data.entity) {
+                    self.delete(data.entity, data.id);
+                } else {
+                    self.deleteId(data.id);
+                }
+            });
+        }
+
+        /**
+         * Build cache key
+         *
+         * @param {string} entity Entity type
+         * @param {number|string} id Entity ID
+         * @return {string} Cache key
+         */
+        key(entity, id) {
+            return entity + ':' + String(id);
+        }
+
+        /**
+         * Get cached payload
+         *
+         * Marks entry as most recently used.
+         *
+         * @param {string} entity Entity type
+         * @param {number|string} id Entity ID
+         * @return {Object|null} Cached response data or null
+         */
+        get(entity, id) {
+            if (!this.enabled) {
+                return null;
+            }
+
+            const key = this.key(entity, id);
+            const entry = this.entries.get(key);
+
+            if (!entry) {
+                return null;
+            }
+
+            if (this.isExpired(entry)) {
+                this.entries.delete(key);
+                return null;
+            }
+
+            // Move to most recently used position
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+
+            return entry.data;
+        }
+
+        /**
+         * Store payload
+         *
+         * @param {string} entity Entity type
+         * @param {number|string} id Entity ID
+         * @param {Object} data Response data
+         */
+        set(entity, id, data) {
+            if (!this.enabled) {
+                return;
+            }
+
+            const key = this.key(entity, id);
+
+            this.entries.delete(key);
+            this.entries.set(key, {
+                entity: entity,
+                id: String(id),
+                data: data,
+                time: Date.now()
+            });
+
+            // Evict least recently used entries
+            while (this.entries.size > this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+
+        /**
+         * Check if payload is cached
+         *
+         * Same age check as get(), without changing the LRU order.
+         *
+         * @param {string} entity Entity type
+         * @param {number|string} id Entity ID
+         * @return {boolean} True if cached and not expired
+         */
+        has(entity, id) {
+            const key = this.key(entity, id);
+            const entry = this.entries.get(key);
+
+            if (!entry) {
+                return false;
+            }
+
+            if (this.isExpired(entry)) {
+                this.entries.delete(key);
+                return false;
+            }
+
+            return true;
+        }
+
+        /**
+         * Check if entry is older than maxAge
+         *
+         * @param {Object} entry Cache entry
+         * @return {boolean} True if expired
+         */
+        isExpired(entry) {
+            return this.maxAge > 0 && (Date.now() - entry.time) > this.maxAge * 1000;
+        }
+
+        /**
+         * Age of cached payload
+         *
+         * @param {string} entity Entity type
+         * @param {number|string} id Entity ID
+         * @return {number|null} Age in milliseconds or null if not cached
+         */
+        age(entity, id) {
+            const entry = this.entries.get(this.key(entity, id));
+            return entry ? Date.now() - entry.time : null;
+        }
+
+        /**
+         * Drop payload for entity + id
+         *
+         * @param {string} entity Entity type
+         * @param {number|string} id Entity ID
+         */
+        delete(entity, id) {
+            this.entries.delete(this.key(entity, id));
+        }
+
+        /**
+         * Drop payloads for id across all entities
+         *
+         * @param {number|string} id Entity ID
+         */
+        deleteId(id) {
+            const target = String(id);
+
+            this.entries.forEach((entry, key) => {
+                if (entry.id === target) {
+                    this.entries.delete(key);
+                }
+            });
+        }
+
+        /**
+         * Clear cache
+         *
+         * @param {string} entity Optional entity type, clears everything if omitted
+         */
+        clear(entity) {
+            if (!entity) {
+                this.entries.clear();
+                return;
+            }
+
+            this.entries.forEach((entry, key) => {
+                if (entry.entity === entity) {
+                    this.entries.delete(key);
+                }
+            });
+        }
+
+        /**
+         * Number of cached payloads
+         *
+         * @return {number} Entry count
+         */
+        size() {
+            return this.entries.size;
+        }
+    }
+
+    // Expose class for custom instances
+    window.WPDTPanelCache = WPDTPanelCache;
+
+    /**
+     * Initialize on document ready
+     *
+     * wpdtConfig is localized on wpdt-panel-manager (printed after this
+     * script), so config is only readable once the DOM is ready.
+     */
+    $(document).ready(function() {
+        const config = (typeof wpdtConfig !== 'undefined' && wpdtConfig.panel && wpdtConfig.panel.cache)
+            ? wpdtConfig.panel.cache
+            : {};
+
+        window.wpdtPanelCache = new WPDTPanelCache(config);
+    });
+
+})(jQuery);
@@ -6,35 +6,87 @@
  *
  * @package     WP_DataTable
  * @subpackage  Assets/JS/DualPanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/assets/js/dual-panel/panel-manager.js
  *
  * Description: Panel interaction manager untuk dual panel layout.
  *              Handles panel open/close, AJAX loading, smooth transitions,
- *              hash-based navigation, dan nested entity prevention.
+ *              hash-based navigation, dan nested entity drill-down.
  *
  * Features:
  * - Smooth panel open/close animations (CSS transitions)
  * - AJAX data loading untuk panel content
- * - Hash-based navigation (#entity-123)
+ * - Hash-based navigation (#entity-123, via WPDTHashRouter)
  * - Event system untuk extensibility (wpdt:panelOpened, wpdt:panelClosed)
  * - Close button handling
- * - Nested entity prevention (prevents URL collision)
+ * - Nested entity drill-down stack (panel-stack.js)
  * - Loading states dan error handling
+ * - Multiple independent layouts per page (one manager per layout)
+ * - Client-side payload cache (stale-while-revalidate)
+ * - Row hover/focus prefetch (click reuses in-flight request)
+ * - Previous/next record navigation across DataTable pages
+ * - Resizable split via panel-splitter.js
+ * - Maximize/restore and pop-out (?wpdt_popout={entity}) modes
+ * - Hash parsing/writing moved to WPDTHashRouter (no more parseInt,
+ *   dashed entities and string/UUID ids deep-link correctly)
  *
- * Nested Entity Prevention:
- * - Buttons dengan class .wpdt-panel-trigger inside .wpdt-tab-content are ignored
- * - Buttons dengan data-nested="true" are ignored
- * - Recommendation: Use .wpdt-nested-trigger class for nested entities
+ * Nested Entities (drill-down):
+ * - .wpdt-panel-trigger inside the right panel (tab content, nested levels,
+ *   data-nested="true" or another entity) pushes a level via WPDTPanelStack
+ * - Rows of nested DataTables open the table's data-entity
+ * - Without WPDTPanelStack nested triggers are ignored (old behavior)
  *
  * Button Class Convention:
- * - .wpdt-panel-trigger → Opens right panel (parent entity only)
- * - .wpdt-nested-trigger → For nested entities (won't open parent panel)
+ * - .wpdt-panel-trigger → Opens right panel (or nested level inside the panel)
+ * - .wpdt-nested-trigger → For nested entities handled by custom code
  * - data-nested="true" → Flag untuk nested buttons
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - One WPDTPanelManager instance per .wpdt-datatable-layout
+ * - Panels, DataTable, tabs and hash segment scoped to own layout
+ * - window.wpdtPanelManager is now a lookup by entity (get/getAll)
+ * - Legacy open/close/refresh proxy to the first layout on the page
+ * - Hash holds one segment per layout (#customer-12;invoice-5)
+ * - Escape closes the active panel only
+ * - Stale-while-revalidate rendering from wpdtPanelCache
+ * - Hover/focus intent prefetch, capped and cancellable
+ * - Previous/next record navigation (buttons, Alt+Up/Down)
+ *   following DataTable sort, filter and page order
+ * - Active row highlight (.wpdt-row-active)
+ * - Row marks (active + selected via selectRows()) re-applied after every
+ *   draw and ajax reload; DataTables initialized later are hooked on init.dt
+ * - Active row scrolled into view when opened from the hash
+ * - open()/refresh() return promises (resolve on render, reject on
+ *   error, abort or prevented event); open() accepts { tab }
+ * - Accessibility: panel is a labelled region (modal dialog as mobile
+ *   overlay), title focused on open, focus returned to the trigger or
+ *   row on close, loading/loaded/errors announced via live regions
+ * - Draggable splitter with persisted widths (WPDTPanelSplitter)
+ * - Maximize (collapses left panel) and pop-out window modes
+ * - Hash state via shared WPDTHashRouter (slug/UUID ids, extra params)
+ * - Nested triggers/rows drill down via WPDTPanelStack instead of being
+ *   ignored; stack kept in the hash (&nested=branch/5)
+ * - Root view lookups scoped to the template's detail content
+ * - Payload HTML (tabs, content, html) passed through WPDTPanelRenderer;
+ *   error messages rendered as text
+ * - Payload actions with a behavior wired by WPDTPanelActions
+ * - showNotice() for success/info messages (showError() uses it)
+ * - Unsaved forms guarded via wpdt:panel-closing/opening (form-guard.js),
+ *   also for back/forward (hash restored when cancelled)
+ * - 'inline' load method: panel rendered from row data with a page
+ *   template (WPDTPanelTemplate), AJAX fallback when not possible;
+ *   template output injected as trusted markup (autoload tabs keep
+ *   data-load-action), autoload tabs without an action logged as errors
+ * - Console output through WPDTLogger ('Panel' namespace); scroll
+ *   diagnostics only measured at debug level
+ * - Full-screen overlay below layout.mobileBreakpoint with back button,
+ *   swipe-right to close and body scroll lock
+ * - Column visibility follows the measured left panel width
+ *   (WPDTResponsiveColumns) instead of panel open/closed state
+ *
  * 0.1.0 - 2025-11-08
  * - Ported dari wp-app-core/assets/js/datatable/wpapp-panel-manager.js
  * - Updated selectors: wpapp- → wpdt-
@@ -52,14 +104,37 @@
  * - wpdt:panel-closing - Before panel closes
  * - wpdt:panel-closed - After panel fully closed
  * - wpdt:panel-loading - Data loading started
- * - wpdt:panel-data-loaded - Data loaded successfully
+ * - wpdt:panel-data-loaded - Data loaded successfully (fromCache / revalidated / inline flags)
  * - wpdt:panel-error - Error occurred
+ * - wpdt:panel-resized - Splitter moved (from panel-splitter.js)
+ * - wpdt:panel-maximizing - Before maximize (preventable)
+ * - wpdt:panel-maximized - Left panel collapsed
+ * - wpdt:panel-restored - Normal split restored
+ * - wpdt:panel-popping-out - Before pop-out window opens (preventable)
+ * - wpdt:panel-popped-out - Pop-out window opened
+ * - wpdt:panel-layout-changed - Switched between split and mobile overlay
+ * - wpdt:selection-changed - Selected rows changed (selectRows/deselectRows)
+ *
+ * Promise API:
+ * open(), refresh() (and the registry's legacy open/refresh) return promises
+ * resolved once content is rendered. Rejections carry error.reason:
+ * 'prevented' (wpdt:panel-opening cancelled), 'abort' (closed or superseded),
+ * 'error' (server/network error), 'closed' (refresh while closed).
  *
  * Usage:
  * ```javascript
  * jQuery(document).on('wpdt:panel-data-loaded', function(e, data) {
  *     console.log('Panel loaded:', data.entity, data.id);
  * });
+ *
+ * // Multiple layouts: look up the manager by entity
+ * wpdtPanelManager.get('invoice').open(42);
+ *
+ * // Wait for panel + tab content instead of timing events
+ * await wpdtPanelManager.get('invoice').open(42, { tab: 'payments' });
+ *
+ * // Selected rows stay marked across redraws/ajax reloads
+ * wpdtPanelManager.get('invoice').selectRows([42, 43]);
  * ```
  *
  * Nested Entity Example:
@@ -69,8 +144,9 @@
  *     View Customer
  * </button>
  *
- * <!-- Nested entity (ignored by panel manager) -->
- * <button class="wpdt-nested-trigger" data-id="5" data-entity="branch">
+ * <!-- Nested entity inside Branches tab (opens on top of customer) -->
+ * <button class="wpdt-panel-trigger" data-id="5" data-entity="branch"
+ *         data-ajax-action="get_branch_details">
  *     View Branch
  * </button>
  * ```
@@ -79,20 +155,50 @@
 (function($) {
     'use strict';
 
+    const log = WPDTLogger.create('Panel');
+
     /**
      * Panel Manager Class
+     *
+     * One instance per .wpdt-datatable-layout element. Every lookup
+     * (panels, DataTable, hash segment) is scoped to that layout so
+     * several master-detail layouts can live on the same admin page.
      */
     class WPDTPanelManager {
-        constructor() {
-            this.layout = null;
+        /**
+         * @param {jQuery} $layout Layout element (.wpdt-datatable-layout)
+         */
+        constructor($layout) {
+            this.layout = $layout;
             this.leftPanel = null;
             this.rightPanel = null;
+            this.rootView = null;
             this.currentEntity = null;
             this.currentId = null;
             this.isOpen = false;
             this.ajaxRequest = null;
             this.loadingTimeout = null;
             this.dataTable = null;
+            this.prefetchRequests = new Map();
+            this.prefetchTimer = null;
+            this.splitter = null;
+            this.responsiveColumns = null;
+            this.isMaximized = false;
+            this.isPopout = false;
+            this.stack = null;
+            this.panelActions = null;
+            this.isMobile = false;
+            this.mobileQuery = null;
+            this.scrollLocked = false;
+            this.swipe = null;
+            this.selectedIds = [];
+            this.pendingScroll = false;
+            this.pendingLoad = null;
+            this.currentData = null;
+            this.returnFocus = null;
+            this.focusRowId = null;
+            this.liveRegion = null;
+            this.alertRegion = null;
 
             this.init();
         }
@@ -101,50 +207,128 @@
          * Initialize panel manager
          */
         init() {
-            this.layout = $('.wpdt-datatable-layout');
-
-            if (this.layout.length === 0) {
+            if (!this.layout || this.layout.length === 0) {
                 // No DataTable layout found
                 return;
             }
 
-            this.leftPanel = this.layout.find('.wpdt-left-panel');
-            this.rightPanel = this.layout.find('.wpdt-right-panel');
+            this.leftPanel = this.layout.find('.wpdt-left-panel').first();
+            this.rightPanel = this.layout.find('.wpdt-right-panel').first();
             this.currentEntity = this.layout.data('entity');
 
+            // Template wraps header/content/footer in one element; nested levels go beside it
+            const $header = this.rightPanel.find('.wpdt-panel-header').first();
+            this.rootView = $header.length > 0 ? $header.parent() : this.rightPanel;
+
             // Bind events
             this.bindEvents();
 
+            // Column visibility from measured left panel width (attached with the DataTable)
+            if (window.WPDTResponsiveColumns) {
+                this.responsiveColumns = new window.WPDTResponsiveColumns(this);
+            }
+
             // Get DataTable instance
             this.getDataTableInstance();
 
+            // Standalone pop-out window (opened by popOut())
+            this.isPopout = new URLSearchParams(window.location.search).get('wpdt_popout') === this.currentEntity;
+            if (this.isPopout) {
+                $('body').addClass('wpdt-popout');
+                this.layout.addClass('is-popout');
+            }
+
+            // Region semantics, title target and live regions
+            this.initA11y();
+
+            // Full-screen overlay below the mobile breakpoint
+            this.initMobile();
+
+            // Resizable split (applies configured/persisted widths)
+            if (window.WPDTPanelSplitter) {
+                this.splitter = new window.WPDTPanelSplitter(this);
+            }
+
+            // Drill-down levels for nested entities
+            if (window.WPDTPanelStack && this.rootView[0] !== this.rightPanel[0]) {
+                this.stack = new window.WPDTPanelStack(this);
+            }
+
+            // Declarative behavior for payload action buttons
+            if (window.WPDTPanelActions) {
+                this.panelActions = new window.WPDTPanelActions(this);
+            }
+
             // Check hash on load
             this.checkHashOnLoad();
 
             // Debug mode
-            if (typeof wpdtConfig !== 'undefined' && wpdtConfig.debug) {
-                console.log('[WPDT Panel] Initialized', {
-                    entity: this.currentEntity,
-                    hasLayout: this.layout.length > 0,
-                    hasLeftPanel: this.leftPanel.length > 0,
-                    hasRightPanel: this.rightPanel.length > 0,
-                    hasDataTable: this.dataTable !== null
-                });
-            }
+            log.debug('Initialized', {
+                entity: this.currentEntity,
+                hasLayout: this.layout.length > 0,
+                hasLeftPanel: this.leftPanel.length > 0,
+                hasRightPanel: this.rightPanel.length > 0,
+                hasDataTable: this.dataTable !== null
+            });
         }
 
         /**
-         * Get DataTable instance from DOM
+         * Get DataTable instance from this layout's left panel
+         *
+         * Plugins usually initialize their DataTable after the panel
+         * manager, so this is retried lazily until an instance is found.
+         *
+         * @return {Object|null} DataTable API instance
          */
         getDataTableInstance() {
-            const $table = $('.wpdt-datatable');
+            if (this.dataTable) {
+                return this.dataTable;
+            }
+
+            const $table = this.leftPanel.find('.wpdt-datatable').first();
 
             if ($table.length > 0 && $.fn.DataTable && $.fn.DataTable.isDataTable($table)) {
                 this.dataTable = $table.DataTable();
-                console.log('[WPDT Panel] DataTable instance found');
+
+                // Re-apply row marks after every draw (paging, sorting, ajax reload, auto-refresh)
+                this.dataTable.on('draw.wpdt-panel', () => {
+                    this.highlightRow(this.isOpen ? this.currentId : null);
+
+                    if (this.isOpen) {
+                        this.updateNavigationState();
+                    }
+
+                    // Redraw after close (hidePanel) may replace the focused row
+                    if (this.focusRowId !== null) {
+                        const rowId = this.focusRowId;
+                        this.focusRowId = null;
+
+                        if (!document.activeElement || document.activeElement === document.body) {
+                            this.focusRow(rowId);
+                        }
+                    }
+                });
+
+                if (this.responsiveColumns) {
+                    this.responsiveColumns.attach(this.dataTable);
+                }
+
+                log.debug('DataTable instance found for:', this.currentEntity);
             } else {
-                console.log('[WPDT Panel] No DataTable instance found');
+                log.debug('No DataTable instance found for:', this.currentEntity);
             }
+
+            return this.dataTable;
+        }
+
+        /**
+         * Check if element belongs to this layout (not a nested layout)
+         *
+         * @param {jQuery} $el Element to check
+         * @return {boolean} True if closest layout is this layout
+         */
+        ownsElement($el) {
+            return $el.closest('.wpdt-datatable-layout')[0] === this.layout[0];
         }
 
         /**
@@ -153,24 +337,45 @@
         bindEvents() {
             const self = this;
 
-            // DataTable row click
-            $(document).on('click', '.wpdt-datatable tbody tr', function(e) {
+            // DataTable initialized after the panel manager: hook its draws now
+            this.leftPanel.on('init.dt', '.wpdt-datatable', function() {
+                if (!self.dataTable && self.ownsElement($(this))) {
+                    self.getDataTableInstance();
+                    self.highlightRow(self.isOpen ? self.currentId : null);
+                    self.updateNavigationState();
+                }
+            });
+
+            // DataTable row click (scoped to this layout)
+            this.layout.on('click', '.wpdt-datatable tbody tr', function(e) {
                 // Ignore if clicking on action buttons
                 if ($(e.target).closest('.wpdt-actions').length > 0) {
                     return;
                 }
 
-                // ✅ NESTED ENTITY PREVENTION
-                // Check if row is inside a tab content (nested context)
                 const $row = $(this);
-                const isNested = $row.closest('.wpdt-tab-content').length > 0;
 
-                if (isNested) {
-                    console.warn('[WPDT Panel] Nested entity row clicked - ignoring panel trigger', {
-                        rowId: $row.attr('id'),
-                        suggestion: 'Row clicks only work for parent entity DataTables'
-                    });
-                    return; // Don't trigger panel for nested entities
+                // Rows of a nested layout are handled by that layout's manager
+                if (!self.ownsElement($row)) {
+                    return;
+                }
+
+                // Nested DataTable inside the right panel: drill down
+                if (self.rightPanel.has(this).length > 0) {
+                    const $table = $row.closest('table');
+                    const nestedEntity = $row.data('entity') || $table.data('entity');
+
+                    if (self.stack && nestedEntity && $row.data('id')) {
+                        self.stack.push(nestedEntity, $row.data('id'), {
+                            ajaxAction: $row.data('ajax-action') || $table.data('ajax-action')
+                        });
+                    } else {
+                        log.warn('Nested entity row clicked - ignoring panel trigger', {
+                            rowId: $row.attr('id'),
+                            suggestion: 'Set data-entity on the nested table to open rows on top of the panel'
+                        });
+                    }
+                    return;
                 }
 
                 const entityId = $row.data('id');
@@ -185,21 +390,31 @@
                 e.preventDefault();
                 e.stopPropagation();
 
-                const entityId = $(this).data('id');
-                const entity = $(this).data('entity');
+                const $trigger = $(this);
+                const entityId = $trigger.data('id');
+                const entity = $trigger.data('entity');
 
-                // ✅ NESTED ENTITY PREVENTION
-                // Check if button is inside a tab content (nested context)
-                const isNested = $(this).closest('.wpdt-tab-content').length > 0;
-                const isNestedFlag = $(this).data('nested') === true;
+                // Nested context: inside tab content, flagged, or inside our right panel
+                const isNested = $trigger.closest('.wpdt-tab-content').length > 0;
+                const isNestedFlag = $trigger.data('nested') === true;
+                const inPanel = self.rightPanel.has(this).length > 0;
 
-                if (isNested || isNestedFlag) {
-                    console.warn('[WPDT Panel] Nested entity button detected - ignoring panel trigger', {
-                        entity: entity,
-                        id: entityId,
-                        suggestion: 'Use .wpdt-nested-trigger class for nested entities'
-                    });
-                    return; // Don't trigger panel for nested entities
+                const drillDown = isNested || isNestedFlag || entity !== self.currentEntity ||
+                    (self.stack !== null && self.stack.depth() > 0);
+
+                if (inPanel && drillDown) {
+                    if (self.stack && entity && entityId) {
+                        self.stack.push(entity, entityId, {
+                            ajaxAction: $trigger.data('ajax-action'),
+                            title: $trigger.data('title')
+                        });
+                    }
+                    return;
+                }
+
+                if (isNested || isNestedFlag || (!inPanel && $trigger.closest('.wpdt-right-panel').length > 0)) {
+                    // Trigger inside another layout's panel (that manager handles it)
+                    return;
                 }
 
                 // Verify entity matches current panel entity
@@ -208,38 +423,108 @@
                 }
             });
 
-            // Close button click
-            this.rightPanel.on('click', '.wpdt-panel-close', function(e) {
+            // Intent-based prefetch (hover / keyboard focus on row or View button)
+            this.layout.on('mouseenter focusin', '.wpdt-datatable tbody tr', function() {
+                const $row = $(this);
+                if (self.ownsElement($row) && self.rightPanel.has(this).length === 0) {
+                    self.schedulePrefetch($row.data('id'));
+                }
+            });
+
+            $(document).on('mouseenter focusin', '.wpdt-panel-trigger', function() {
+                const $trigger = $(this);
+                if ($trigger.data('entity') === self.currentEntity &&
+                    $trigger.closest('.wpdt-tab-content').length === 0 &&
+                    self.rightPanel.has(this).length === 0 &&
+                    $trigger.data('nested') !== true) {
+                    self.schedulePrefetch($trigger.data('id'));
+                }
+            });
+
+            this.layout.on('mouseleave focusout', '.wpdt-datatable tbody tr', function() {
+                self.cancelScheduledPrefetch();
+            });
+
+            $(document).on('mouseleave focusout', '.wpdt-panel-trigger', function() {
+                self.cancelScheduledPrefetch();
+            });
+
+            // Close button click (and back button of the mobile overlay)
+            this.rightPanel.on('click', '.wpdt-panel-close, .wpdt-panel-overlay-back', function(e) {
                 e.preventDefault();
                 self.closePanel();
             });
 
-            // Hash change (browser back/forward)
-            $(window).on('hashchange', function() {
-                self.checkHashChange();
+            // Swipe right to close the mobile overlay
+            this.rightPanel.on('touchstart', function(e) {
+                self.startSwipe(e);
             });
 
-            // Escape key to close
-            $(document).on('keydown', function(e) {
-                if (e.key === 'Escape' && self.isOpen) {
-                    self.closePanel();
+            this.rightPanel.on('touchmove', function(e) {
+                self.moveSwipe(e);
+            });
+
+            this.rightPanel.on('touchend touchcancel', function() {
+                self.endSwipe();
+            });
+
+            // Keep Tab inside the mobile overlay (modal dialog)
+            this.rightPanel.on('keydown', function(e) {
+                if (e.key === 'Tab' && self.isMobile && self.isOpen) {
+                    self.trapFocus(e);
                 }
             });
 
+            // Browser back/forward or manual hash edit (via WPDTHashRouter)
+            $(document).on('wpdt:route-changed', function(e, data) {
+                if (data && data.entity === self.currentEntity) {
+                    self.handleRouteChange(data.state, data.previous);
+                }
+            });
+
+            // Previous/next record buttons
+            this.rightPanel.on('click', '.wpdt-panel-prev', function(e) {
+                e.preventDefault();
+                self.navigate(-1);
+            });
+
+            this.rightPanel.on('click', '.wpdt-panel-next', function(e) {
+                e.preventDefault();
+                self.navigate(1);
+            });
+
+            // Maximize / restore
+            this.rightPanel.on('click', '.wpdt-panel-maximize', function(e) {
+                e.preventDefault();
+                self.toggleMaximize();
+            });
+
+            // Pop-out to standalone window
+            this.rightPanel.on('click', '.wpdt-panel-popout', function(e) {
+                e.preventDefault();
+                self.popOut();
+            });
+
+            // Escape and Alt+Arrow keys are handled once by the registry (active panel only)
+
             // Listen for panel open request (triggered after save/update operations)
             // Generic event that any plugin can trigger to open panel
             $(document).on('wpdt:panel-open-request', function(e, data) {
-                console.log('[WPDT Panel] Panel open request received', data);
+                log.debug('Panel open request received', data);
 
                 if (!data || !data.id) {
-                    console.error('[WPDT Panel] Invalid panel open request - missing ID', data);
+                    log.error('Invalid panel open request - missing ID', data);
                     return;
                 }
 
                 // Check if this request is for our entity type
+                // Requests without entity go to the first layout on the page
                 const requestEntity = data.entity || null;
+                if (!requestEntity && WPDTPanelRegistry.getDefault() !== self) {
+                    return;
+                }
                 if (requestEntity && requestEntity !== self.currentEntity) {
-                    console.log('[WPDT Panel] Panel open request for different entity type - ignoring', {
+                    log.debug('Panel open request for different entity type - ignoring', {
                         request: requestEntity,
                         current: self.currentEntity
                     });
@@ -247,7 +532,7 @@
                 }
 
                 // Open panel with requested ID
-                console.log('[WPDT Panel] Opening panel for ID:', data.id);
+                log.debug('Opening panel for ID:', data.id);
                 self.openPanel(data.id);
             });
 
@@ -265,12 +550,21 @@
         /**
          * Open right panel
          *
-         * @param {number} entityId Entity ID
+         * @param {number|string} entityId Entity ID (numeric, slug or UUID)
+         * @param {Object} options Open options
+         *   @param {boolean} options.updateHash Write URL hash (default: true, false when opened from URL)
+         * @return {Promise} Resolves with {entity, id, data} once rendered
          */
-        openPanel(entityId) {
-            if (this.currentId === entityId && this.isOpen) {
-                // Already open with same ID
-                return;
+        openPanel(entityId, options) {
+            const opts = options || {};
+
+            if (this.isOpen && String(this.currentId) === String(entityId)) {
+                // Already open with same ID (maybe still loading)
+                if (this.pendingLoad && String(this.pendingLoad.id) === String(entityId)) {
+                    return this.pendingLoad.promise;
+                }
+
+                return Promise.resolve({ entity: this.currentEntity, id: this.currentId, data: this.currentData });
             }
 
             // Trigger opening event
@@ -282,27 +576,60 @@
 
             // If event prevented, stop
             if (openingEvent.isDefaultPrevented()) {
-                return;
+                return this.rejectedLoad(entityId, 'prevented', 'Panel opening prevented');
+            }
+
+            // Remember where focus came from (record switches inside the panel keep it)
+            if (!this.isOpen || !$.contains(this.rightPanel[0], document.activeElement)) {
+                this.returnFocus = document.activeElement;
             }
 
             this.currentId = entityId;
+            this.currentData = null;
+            this.focusRowId = null;
+
+            // Nested levels belong to the previous record
+            if (this.stack) {
+                this.stack.reset();
+            }
+
+            // Track most recently opened layout (Escape closes this one first)
+            WPDTPanelRegistry.setActive(this);
 
             // Update hash
-            this.updateHash(entityId);
+            if (opts.updateHash !== false) {
+                this.updateHash(entityId);
+            }
 
             // Show panel with animation
             this.showPanel();
+            this.focusTitle();
+
+            // Mark row and refresh prev/next buttons
+            this.highlightRow(entityId);
+            this.updateNavigationState();
+
+            // Pop-out window shows the detail panel only
+            if (this.isPopout) {
+                this.maximize();
+            }
 
             // Load data via AJAX
-            this.loadPanelData(entityId);
+            return this.loadPanelData(entityId);
         }
 
         /**
          * Close right panel
+         *
+         * @param {Object} options Close options
+         *   @param {boolean} options.updateHash Clear URL hash (default: true, false when closed from URL)
+         * @return {boolean} True if the panel was closed
          */
-        closePanel() {
+        closePanel(options) {
+            const opts = options || {};
+
             if (!this.isOpen) {
-                return;
+                return false;
             }
 
             // Trigger closing event
@@ -314,7 +641,13 @@
 
             // If event prevented, stop
             if (closingEvent.isDefaultPrevented()) {
-                return;
+                return false;
+            }
+
+            // Closing a pop-out closes its window
+            if (this.isPopout) {
+                window.close();
+                return true;
             }
 
             // Abort any pending AJAX
@@ -323,19 +656,35 @@
                 this.ajaxRequest = null;
             }
 
+            this.rejectLoad(this.pendingLoad, 'abort', 'Panel closed');
+
             // Hide panel with animation
             this.hidePanel();
 
+            if (this.stack) {
+                this.stack.reset();
+            }
+
             // Clear hash
-            this.clearHash();
+            if (opts.updateHash !== false) {
+                this.clearHash();
+            }
+
+            // Back to the row or button that opened the panel
+            this.restoreFocus();
 
             // Reset current ID
             this.currentId = null;
+            this.currentData = null;
+            this.pendingScroll = false;
+            this.highlightRow(null);
 
             // Trigger closed event
             $(document).trigger('wpdt:panel-closed', {
                 entity: this.currentEntity
             });
+
+            return true;
         }
 
         /**
@@ -345,17 +694,23 @@
         showPanel() {
             const self = this;
 
-            console.group('🔍 DEBUG: Panel Opening Sequence');
+            // Scroll-jump diagnostics force layout reads - only measured in debug mode
+            const trace = log.isEnabled('debug');
+
+            if (trace) {
+                log.group('Panel Opening Sequence');
+            }
 
             // Anti-flicker: Delay showing loading placeholder for 300ms
             // If AJAX completes < 300ms, loading won't show at all
             this.loadingTimeout = setTimeout(function() {
-                self.rightPanel.find('.wpdt-loading-placeholder').addClass('visible');
-                console.log('⏱️ Loading placeholder shown after 300ms delay');
+                self.rootView.find('.wpdt-loading-placeholder').addClass('visible');
+                self.announce(self.getI18n('loadingPanel', 'Loading panel...'));
+                log.debug('Loading placeholder shown after 300ms delay');
             }, 300);
 
             // === BEFORE STATE ===
-            const before = {
+            const before = trace ? {
                 scrollY: window.scrollY || window.pageYOffset,
                 scrollX: window.scrollX || window.pageXOffset,
                 docHeight: document.documentElement.scrollHeight,
@@ -365,50 +720,52 @@
                 rightPanelDisplay: this.rightPanel.css('display'),
                 rightPanelVisible: this.rightPanel.hasClass('visible'),
                 timestamp: Date.now()
-            };
+            } : null;
 
-            console.log('📊 BEFORE Panel Open:', before);
+            if (trace) {
+                log.debug('BEFORE Panel Open:', before);
+            }
 
             // Step 1: Show panel immediately (no delay)
-            console.log('⏱️ Step 1: Show panel (add visible class)');
             this.rightPanel.removeClass('hidden').addClass('visible');
 
-            // Check immediately after
-            const afterStep1 = {
-                scrollY: window.scrollY || window.pageYOffset,
-                rightPanelDisplay: this.rightPanel.css('display'),
-                scrollDelta: (window.scrollY || window.pageYOffset) - before.scrollY
-            };
-            console.log('📊 After Step 1:', afterStep1);
-            if (afterStep1.scrollDelta !== 0) {
-                console.error('⚠️ SCROLL JUMP at Step 1! Delta:', afterStep1.scrollDelta);
+            if (trace) {
+                const step1Delta = (window.scrollY || window.pageYOffset) - before.scrollY;
+                log.debug('After Step 1 (visible class):', {
+                    rightPanelDisplay: this.rightPanel.css('display'),
+                    scrollDelta: step1Delta
+                });
+                if (step1Delta !== 0) {
+                    log.debug('SCROLL JUMP at Step 1! Delta:', step1Delta);
+                }
             }
 
             // Step 2: Trigger left panel shrink
-            console.log('⏱️ Step 2: Trigger left panel shrink (add with-right-panel class)');
             this.layout.addClass('with-right-panel');
 
-            const afterStep2 = {
-                scrollY: window.scrollY || window.pageYOffset,
-                leftPanelWidth: this.leftPanel.width(),
-                scrollDelta: (window.scrollY || window.pageYOffset) - before.scrollY
-            };
-            console.log('📊 After Step 2:', afterStep2);
-            if (afterStep2.scrollDelta !== 0) {
-                console.error('⚠️ SCROLL JUMP at Step 2! Delta:', afterStep2.scrollDelta);
+            if (trace) {
+                const step2Delta = (window.scrollY || window.pageYOffset) - before.scrollY;
+                log.debug('After Step 2 (with-right-panel class):', {
+                    leftPanelWidth: this.leftPanel.width(),
+                    scrollDelta: step2Delta
+                });
+                if (step2Delta !== 0) {
+                    log.debug('SCROLL JUMP at Step 2! Delta:', step2Delta);
+                }
             }
 
             this.isOpen = true;
 
+            // Overlay covers the page - keep the page behind it still
+            if (this.isMobile) {
+                this.lockScroll();
+            }
+
             // Step 3: Wait for CSS transition (300ms) + buffer (50ms) = 350ms
             // Then adjust DataTable for new width
             setTimeout(function() {
-                console.log('⏱️ Step 3: After 350ms - Adjust DataTable');
-
-                if (self.dataTable) {
-                    console.log('  → DataTable found, adjusting columns...');
-
-                    // Hide responsive columns when panel opens
+                if (self.getDataTableInstance()) {
+                    // Re-fit responsive columns to the narrower left panel
                     self.toggleResponsiveColumns(false);
 
                     // Force recalculation of column widths
@@ -416,28 +773,27 @@
                     // This prevents flicker in left panel
                     self.dataTable.columns.adjust();
 
-                    console.log('  → DataTable columns adjusted (no redraw to prevent flicker)');
+                    log.debug('Step 3: DataTable columns adjusted (no redraw to prevent flicker)');
                 } else {
-                    console.warn('  → No DataTable instance found');
+                    log.debug('Step 3: No DataTable instance found');
                 }
 
-                const final = {
-                    scrollY: window.scrollY || window.pageYOffset,
-                    leftPanelWidth: self.leftPanel.width(),
-                    rightPanelWidth: self.rightPanel.width(),
-                    totalDelta: (window.scrollY || window.pageYOffset) - before.scrollY,
-                    elapsed: Date.now() - before.timestamp
-                };
+                if (trace) {
+                    const totalDelta = (window.scrollY || window.pageYOffset) - before.scrollY;
 
-                console.log('📊 FINAL State:', final);
+                    log.debug('FINAL State:', {
+                        leftPanelWidth: self.leftPanel.width(),
+                        rightPanelWidth: self.rightPanel.width(),
+                        totalDelta: totalDelta,
+                        elapsed: Date.now() - before.timestamp
+                    });
 
-                if (final.totalDelta !== 0) {
-                    console.error('❌ TOTAL SCROLL JUMP: ' + final.totalDelta + 'px');
-                } else {
-                    console.log('✅ NO SCROLL JUMP - Perfect!');
-                }
+                    if (totalDelta !== 0) {
+                        log.debug('TOTAL SCROLL JUMP: ' + totalDelta + 'px');
+                    }
 
-                console.groupEnd();
+                    log.groupEnd();
+                }
             }, 350);
 
             // Trigger opened event after animation
@@ -455,7 +811,7 @@
          */
         hidePanel() {
             const self = this;
-            console.log('[WPDT Panel] Closing right panel - Left panel will expand to 100%');
+            log.debug('Closing right panel - Left panel will expand to 100%');
 
             // Clear loading timeout if still pending
             if (this.loadingTimeout) {
@@ -463,6 +819,13 @@
                 this.loadingTimeout = null;
             }
 
+            // Back to normal split before closing
+            if (this.isMaximized) {
+                this.restore();
+            }
+
+            this.unlockScroll();
+
             // Remove visible class to trigger CSS transition
             this.rightPanel.removeClass('visible');
 
@@ -473,10 +836,10 @@
                 self.isOpen = false;
 
                 // Adjust DataTable for full width
-                if (self.dataTable) {
-                    console.log('[WPDT Panel] Adjusting DataTable after panel closed');
+                if (self.getDataTableInstance()) {
+                    log.debug('Adjusting DataTable after panel closed');
 
-                    // Show responsive columns when panel closes
+                    // Re-fit responsive columns to the full width
                     self.toggleResponsiveColumns(true);
 
                     // Force recalculation of column widths
@@ -485,181 +848,1001 @@
                     // Small delay then redraw for smooth rendering
                     setTimeout(function() {
                         self.dataTable.draw(false); // false = keep current page
-                        console.log('[WPDT Panel] DataTable adjusted to full width');
+                        log.debug('DataTable adjusted to full width');
                     }, 50);
                 }
 
-                console.log('[WPDT Panel] Left panel width:', self.leftPanel.width());
+                log.debug('Left panel width:', self.leftPanel.width());
             }, 300); // Match CSS transition duration
         }
 
         /**
-         * Load panel data via AJAX
+         * Set up panel semantics and live regions
          *
-         * @param {number} entityId Entity ID
+         * The panel is labelled by its title, which also receives focus on
+         * open. Live regions sit outside the right panel - regions inside a
+         * display:none panel are not announced.
          */
-        loadPanelData(entityId) {
-            const ajaxAction = this.layout.data('ajax-action');
+        initA11y() {
+            const $title = this.rootView.find('.wpdt-panel-title').first();
 
-            if (!ajaxAction) {
-                console.warn('[WPDT Panel] No AJAX action defined');
-                return;
+            if ($title.length > 0) {
+                if (!$title.attr('id')) {
+                    $title.attr('id', 'wpdt-' + this.currentEntity + '-panel-title');
+                }
+
+                $title.attr('tabindex', '-1');
+                this.rightPanel.attr('aria-labelledby', $title.attr('id'));
             }
 
-            console.group('📡 DEBUG: AJAX Data Loading');
-            const ajaxStart = Date.now();
-            console.log('🔹 Entity:', this.currentEntity);
-            console.log('🔹 Entity ID:', entityId);
-            console.log('🔹 AJAX Action:', ajaxAction);
-            console.log('🔹 AJAX URL:', wpdtConfig.ajaxUrl);
+            this.updatePanelRole();
 
-            // Trigger loading event
-            $(document).trigger('wpdt:panel-loading', {
-                entity: this.currentEntity,
-                id: entityId
-            });
+            this.liveRegion = this.layout.children('.wpdt-panel-live');
+            if (this.liveRegion.length === 0) {
+                this.liveRegion = $('<div class="screen-reader-text wpdt-panel-live" role="status" aria-live="polite" aria-atomic="true"></div>')
+                    .appendTo(this.layout);
+            }
 
-            // Abort previous request
-            if (this.ajaxRequest) {
-                console.log('⚠️ Aborting previous AJAX request');
-                this.ajaxRequest.abort();
+            this.alertRegion = this.layout.children('.wpdt-panel-alert');
+            if (this.alertRegion.length === 0) {
+                this.alertRegion = $('<div class="screen-reader-text wpdt-panel-alert" role="alert" aria-atomic="true"></div>')
+                    .appendTo(this.layout);
             }
+        }
 
-            // Make AJAX request
-            this.ajaxRequest = $.ajax({
-                url: wpdtConfig.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: ajaxAction,
-                    entity: this.currentEntity,
-                    id: entityId,
-                    nonce: wpdtConfig.nonce
-                },
-                success: (response) => {
-                    const elapsed = Date.now() - ajaxStart;
-                    console.log('✅ AJAX Success - Elapsed:', elapsed + 'ms');
-                    console.log('📦 Response:', response);
-                    this.handleAjaxSuccess(response, entityId);
-                },
-                error: (jqXHR, textStatus, errorThrown) => {
-                    const elapsed = Date.now() - ajaxStart;
-                    console.error('❌ AJAX Error - Elapsed:', elapsed + 'ms');
-                    console.error('📦 Error:', textStatus, errorThrown);
-                    this.handleAjaxError(jqXHR, textStatus, errorThrown, entityId);
-                },
-                complete: () => {
-                    const elapsed = Date.now() - ajaxStart;
-                    console.log('🏁 AJAX Complete - Total time:', elapsed + 'ms');
-                    console.groupEnd();
-                    this.ajaxRequest = null;
-                }
-            });
+        /**
+         * Region beside the table, modal dialog as mobile overlay
+         */
+        updatePanelRole() {
+            if (this.isMobile) {
+                this.rightPanel.attr({ 'role': 'dialog', 'aria-modal': 'true' });
+            } else {
+                this.rightPanel.attr('role', 'region').removeAttr('aria-modal');
+            }
         }
 
         /**
-         * Handle AJAX success
+         * Announce message through the live region
          *
-         * @param {Object} response AJAX response
-         * @param {number} entityId Entity ID
+         * @param {string} message Message text
+         * @param {boolean} assertive Use the alert region (errors)
          */
-        handleAjaxSuccess(response, entityId) {
-            console.log('[WPDT Panel] AJAX Response:', response);
-            console.log('[WPDT Panel] Response success:', response.success);
-            console.log('[WPDT Panel] Response data:', response.data);
-
-            if (response.success && response.data) {
-                console.log('[WPDT Panel] Processing successful response');
-                console.log('[WPDT Panel] Data title:', response.data.title);
-                console.log('[WPDT Panel] Data tabs:', response.data.tabs);
-                console.log('[WPDT Panel] Tabs count:', response.data.tabs ? Object.keys(response.data.tabs).length : 0);
-
-                // Update panel content
-                this.updatePanelContent(response.data);
-
-                // Trigger data loaded event
-                $(document).trigger('wpdt:panel-data-loaded', {
-                    entity: this.currentEntity,
-                    id: entityId,
-                    data: response.data
-                });
+        announce(message, assertive) {
+            const $region = assertive ? this.alertRegion : this.liveRegion;
 
-                console.log('[WPDT Panel] Panel content updated successfully');
-            } else {
-                console.error('[WPDT Panel] Response error or no data');
-                console.error('[WPDT Panel] Response:', response);
+            if (!$region || !message) {
+                return;
+            }
 
-                // Error in response
-                const errorMessage = response.data ? response.data.message : 'Unknown error';
-                console.error('[WPDT Panel] Error message:', errorMessage);
+            // Clear first so the same message is announced again
+            $region.text('');
+            setTimeout(() => $region.text(message), 100);
+        }
 
-                this.showError(errorMessage);
+        /**
+         * Move focus to the panel title
+         *
+         * Skipped when focus already is in the panel (prev/next buttons,
+         * Alt+Up/Down) so keyboard users keep their place.
+         */
+        focusTitle() {
+            if ($.contains(this.rightPanel[0], document.activeElement)) {
+                return;
+            }
 
-                // Trigger error event
-                $(document).trigger('wpdt:panel-error', {
-                    entity: this.currentEntity,
-                    id: entityId,
-                    message: errorMessage
-                });
+            const title = this.rootView.find('.wpdt-panel-title').get(0);
+            if (title) {
+                title.focus({ preventScroll: true });
             }
         }
 
         /**
-         * Handle AJAX error
+         * Return focus after close
          *
-         * @param {Object} jqXHR jQuery XHR object
-         * @param {string} textStatus Status text
-         * @param {string} errorThrown Error message
-         * @param {number} entityId Entity ID
+         * Buttons outside the table (triggers) get focus back while still
+         * in the page; otherwise the row of the closed record does.
          */
-        handleAjaxError(jqXHR, textStatus, errorThrown, entityId) {
-            // Don't show error if request was aborted
-            if (textStatus === 'abort') {
+        restoreFocus() {
+            const origin = this.returnFocus;
+            this.returnFocus = null;
+
+            // Only when focus is in the panel (or lost) - don't steal it from elsewhere
+            const active = document.activeElement;
+            if (active && active !== document.body && !$.contains(this.rightPanel[0], active)) {
                 return;
             }
 
-            const errorMessage = errorThrown || 'Network error';
-            this.showError(errorMessage);
+            const isRow = origin && $(origin).closest('.wpdt-datatable tbody tr').length > 0;
+            if (origin && origin !== document.body && !isRow && document.documentElement.contains(origin)) {
+                origin.focus();
+                return;
+            }
 
-            // Trigger error event
-            $(document).trigger('wpdt:panel-error', {
-                entity: this.currentEntity,
-                id: entityId,
-                message: errorMessage,
-                status: jqXHR.status
-            });
+            if (this.currentId !== null) {
+                // Retried once on the next draw (see getDataTableInstance)
+                this.focusRowId = String(this.currentId);
+                this.focusRow(this.focusRowId);
+            }
         }
 
         /**
-         * Update panel content
+         * Focus a DataTable row by entity ID
          *
-         * @param {Object} data Response data
+         * @param {string} entityId Entity ID
          */
-        updatePanelContent(data) {
-            console.log('[WPDT Panel] updatePanelContent called with:', data);
+        focusRow(entityId) {
+            const dataTable = this.getDataTableInstance();
 
-            // Clear loading timeout to prevent flicker on fast responses
-            if (this.loadingTimeout) {
-                clearTimeout(this.loadingTimeout);
-                this.loadingTimeout = null;
-                console.log('✓ Loading timeout cleared (fast response < 300ms)');
+            if (!dataTable) {
+                return;
             }
 
-            // Hide loading placeholder (from template)
-            this.rightPanel.find('.wpdt-loading-placeholder').removeClass('visible');
+            const node = $(dataTable.rows({ page: 'current' }).nodes()).filter((index, row) => {
+                return this.getRowId(row) === String(entityId);
+            }).get(0);
 
-            // Update title if provided
-            if (data.title) {
-                console.log('[WPDT Panel] Updating title to:', data.title);
-                const $titleEl = this.rightPanel.find('.wpdt-entity-name');
-                console.log('[WPDT Panel] Title element found:', $titleEl.length);
-                $titleEl.text(data.title);
+            if (!node) {
+                return;
             }
 
-            // Update action buttons if provided
-            if (data.actions && Array.isArray(data.actions)) {
-                console.log('[WPDT Panel] Rendering action buttons:', data.actions.length);
-                const $actionsContainer = this.rightPanel.find('.wpdt-panel-actions');
-                $actionsContainer.empty(); // Clear existing buttons
+            // Rows aren't focusable by default
+            if (!node.hasAttribute('tabindex')) {
+                node.setAttribute('tabindex', '-1');
+            }
+
+            node.focus({ preventScroll: true });
+        }
+
+        /**
+         * Keep Tab/Shift+Tab inside the panel
+         *
+         * @param {Object} e jQuery keydown event
+         */
+        trapFocus(e) {
+            const $focusable = this.rightPanel.find('a[href], button, input, select, textarea, [tabindex]')
+                .filter(':visible')
+                .not('[disabled], [tabindex="-1"]');
+
+            if ($focusable.length === 0) {
+                return;
+            }
+
+            const first = $focusable.get(0);
+            const last = $focusable.get($focusable.length - 1);
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Get translated string
+         *
+         * @param {string} key i18n key
+         * @param {string} fallback Untranslated default
+         * @return {string} Translated string
+         */
+        getI18n(key, fallback) {
+            const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+            return i18n[key] || fallback;
+        }
+
+        /**
+         * Watch mobile breakpoint (layout.mobileBreakpoint, default 782px)
+         *
+         * Below the breakpoint the open panel is a full-screen overlay.
+         * Crossing it only swaps classes, so the open record and tab stay.
+         */
+        initMobile() {
+            const layoutConfig = (typeof wpdtConfig !== 'undefined' && wpdtConfig.layout) ? wpdtConfig.layout : {};
+            const breakpoint = parseInt(layoutConfig.mobileBreakpoint, 10) || 782;
+
+            if (!window.matchMedia || this.isPopout) {
+                return;
+            }
+
+            this.mobileQuery = window.matchMedia('(max-width: ' + breakpoint + 'px)');
+
+            const onChange = () => this.setMobile(this.mobileQuery.matches);
+
+            if (this.mobileQuery.addEventListener) {
+                this.mobileQuery.addEventListener('change', onChange);
+            } else {
+                this.mobileQuery.addListener(onChange); // Safari < 14
+            }
+
+            this.setMobile(this.mobileQuery.matches);
+        }
+
+        /**
+         * Switch between split layout and mobile overlay
+         *
+         * @param {boolean} mobile True below the breakpoint
+         */
+        setMobile(mobile) {
+            if (this.isMobile === mobile) {
+                return;
+            }
+
+            this.isMobile = mobile;
+            this.layout.toggleClass('is-mobile', mobile);
+            this.updatePanelRole();
+
+            if (this.isOpen) {
+                if (mobile) {
+                    this.lockScroll();
+                } else {
+                    this.unlockScroll();
+
+                    // Back to split - table width changed
+                    setTimeout(() => {
+                        const dataTable = this.getDataTableInstance();
+                        if (dataTable) {
+                            dataTable.columns.adjust();
+                        }
+                    }, 50);
+                }
+            }
+
+            $(document).trigger('wpdt:panel-layout-changed', {
+                entity: this.currentEntity,
+                id: this.currentId,
+                mobile: mobile
+            });
+        }
+
+        /**
+         * Lock page scroll behind the overlay
+         */
+        lockScroll() {
+            if (!this.scrollLocked) {
+                this.scrollLocked = true;
+                WPDTPanelRegistry.lockScroll();
+            }
+        }
+
+        /**
+         * Release page scroll lock
+         */
+        unlockScroll() {
+            if (this.scrollLocked) {
+                this.scrollLocked = false;
+                WPDTPanelRegistry.unlockScroll();
+            }
+        }
+
+        /**
+         * Start tracking a swipe on the mobile overlay
+         *
+         * @param {Object} e jQuery touchstart event
+         */
+        startSwipe(e) {
+            const touches = e.originalEvent.touches;
+
+            this.swipe = null;
+
+            if (!this.isMobile || !this.isOpen || touches.length !== 1) {
+                return;
+            }
+
+            // Leave form controls and horizontally scrolling tables alone
+            if ($(e.target).closest('input, textarea, select, [contenteditable="true"], .dataTables_wrapper, .wpdt-no-swipe').length > 0) {
+                return;
+            }
+
+            this.swipe = {
+                x: touches[0].clientX,
+                y: touches[0].clientY,
+                dx: 0,
+                active: false
+            };
+        }
+
+        /**
+         * Follow finger while swiping right
+         *
+         * @param {Object} e jQuery touchmove event
+         */
+        moveSwipe(e) {
+            if (!this.swipe) {
+                return;
+            }
+
+            const touch = e.originalEvent.touches[0];
+            const dx = touch.clientX - this.swipe.x;
+            const dy = touch.clientY - this.swipe.y;
+
+            if (!this.swipe.active) {
+                // Vertical scroll wins
+                if (Math.abs(dy) > 10 && Math.abs(dy) > Math.abs(dx)) {
+                    this.swipe = null;
+                    return;
+                }
+
+                if (dx > 10 && dx > Math.abs(dy)) {
+                    this.swipe.active = true;
+                    this.rightPanel.addClass('is-swiping');
+                }
+            }
+
+            if (this.swipe.active) {
+                e.preventDefault();
+                this.swipe.dx = Math.max(0, dx);
+                this.rightPanel.css('transform', 'translateX(' + this.swipe.dx + 'px)');
+            }
+        }
+
+        /**
+         * Close overlay if swiped far enough, otherwise snap back
+         */
+        endSwipe() {
+            const swipe = this.swipe;
+            this.swipe = null;
+
+            if (!swipe || !swipe.active) {
+                return;
+            }
+
+            const threshold = Math.min(120, this.rightPanel.outerWidth() * 0.3);
+
+            this.rightPanel.removeClass('is-swiping').css('transform', '');
+
+            if (swipe.dx > threshold) {
+                this.closePanel();
+            }
+        }
+
+        /**
+         * Load panel data via AJAX
+         *
+         * Stale-while-revalidate: a cached payload is rendered at once,
+         * then the same request runs in the background and re-renders
+         * only if the server returns something different.
+         *
+         * Inline load method renders from row data instead (see loadInline()).
+         *
+         * @param {number} entityId Entity ID
+         * @param {Object} options Load options
+         *   @param {boolean} options.force Skip cache (always wait for server)
+         * @return {Promise} Resolves with {entity, id, data} once rendered
+         */
+        loadPanelData(entityId, options) {
+            const opts = options || {};
+            const ajaxAction = this.layout.data('ajax-action');
+            const load = this.createLoad(entityId);
+
+            if (this.getLoadMethod() === 'inline' && this.loadInline(entityId, load)) {
+                return load.promise;
+            }
+
+            if (!ajaxAction) {
+                log.warn('No AJAX action defined');
+                this.rejectLoad(load, 'error', 'No AJAX action defined');
+                return load.promise;
+            }
+
+            const cache = this.getCache();
+            const cached = (cache && !opts.force) ? cache.get(this.currentEntity, entityId) : null;
+            const prefetch = this.getPrefetchConfig();
+
+            // Trigger loading event
+            $(document).trigger('wpdt:panel-loading', {
+                entity: this.currentEntity,
+                id: entityId,
+                fromCache: cached !== null
+            });
+
+            if (cached) {
+                log.debug('Rendering cached payload:', this.currentEntity, entityId);
+                this.handleAjaxSuccess({ success: true, data: cached }, entityId, { fromCache: true, load: load });
+
+                // Just fetched (e.g. by hover prefetch) - no need to ask again
+                const age = cache.age(this.currentEntity, entityId);
+                if (age !== null && age < prefetch.freshFor * 1000) {
+                    log.debug('Cached payload is fresh (' + age + 'ms) - skipping revalidation');
+                    return load.promise;
+                }
+            }
+
+            // Reuse prefetch already in flight for this ID
+            const pending = opts.force ? null : this.takePrefetchRequest(entityId);
+            if (pending && !cached) {
+                log.debug('Reusing in-flight prefetch for ID:', entityId);
+            }
+
+            this.requestPanelData(entityId, ajaxAction, cached, pending, load);
+
+            return load.promise;
+        }
+
+        /**
+         * Start tracking a panel load
+         *
+         * Settled by handleAjaxSuccess()/handleAjaxError(). A load still
+         * pending (previous record, earlier refresh) is rejected as aborted.
+         *
+         * @param {number|string} entityId Entity ID
+         * @return {Object} Load {id, promise, settled}
+         */
+        createLoad(entityId) {
+            this.rejectLoad(this.pendingLoad, 'abort', 'Superseded by a newer load');
+
+            const load = { id: entityId, settled: false };
+
+            load.promise = new Promise((resolve, reject) => {
+                load.resolve = resolve;
+                load.reject = reject;
+            });
+
+            // Internal callers don't wait for loads - keep aborts out of "uncaught" logs
+            load.promise.catch(() => {});
+
+            this.pendingLoad = load;
+            return load;
+        }
+
+        /**
+         * Resolve a panel load (no-op if already settled)
+         *
+         * @param {Object|null} load Load from createLoad()
+         * @param {Object} result Resolved value
+         */
+        resolveLoad(load, result) {
+            if (!load || load.settled) {
+                return;
+            }
+
+            load.settled = true;
+            if (this.pendingLoad === load) {
+                this.pendingLoad = null;
+            }
+
+            load.resolve(result);
+        }
+
+        /**
+         * Reject a panel load (no-op if already settled)
+         *
+         * @param {Object|null} load Load from createLoad()
+         * @param {string} reason 'error', 'abort' or 'prevented'
+         * @param {string} message Error message
+         * @param {Object} extra Extra error properties (status, response)
+         */
+        rejectLoad(load, reason, message, extra) {
+            if (!load || load.settled) {
+                return;
+            }
+
+            load.settled = true;
+            if (this.pendingLoad === load) {
+                this.pendingLoad = null;
+            }
+
+            load.reject(this.createError(reason, message, $.extend({ id: load.id }, extra)));
+        }
+
+        /**
+         * Rejected promise for a load that never started
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {string} reason Rejection reason
+         * @param {string} message Error message
+         * @return {Promise} Rejected promise
+         */
+        rejectedLoad(entityId, reason, message) {
+            const promise = Promise.reject(this.createError(reason, message, { id: entityId }));
+
+            promise.catch(() => {});
+            return promise;
+        }
+
+        /**
+         * Create error for promise rejections
+         *
+         * @param {string} reason 'error', 'abort', 'prevented' or 'closed'
+         * @param {string} message Error message
+         * @param {Object} extra Extra properties (id, status, response)
+         * @return {Error} Error with reason and entity
+         */
+        createError(reason, message, extra) {
+            const error = new Error(message);
+
+            error.reason = reason;
+            error.entity = this.currentEntity;
+
+            return $.extend(error, extra);
+        }
+
+        /**
+         * Get panel load method
+         *
+         * Layout data-load-method overrides wpdtConfig.panel.loadMethod.
+         *
+         * @return {string} 'ajax' or 'inline'
+         */
+        getLoadMethod() {
+            const config = (typeof wpdtConfig !== 'undefined' && wpdtConfig.panel) ? wpdtConfig.panel : {};
+            return this.layout.data('load-method') || config.loadMethod || 'ajax';
+        }
+
+        /**
+         * Render panel from DataTables row data with a page template
+         *
+         * Falls back to AJAX (returns false) when there is no template
+         * or the row is not loaded (e.g. deep link to another page).
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {Object} load Load from createLoad()
+         * @return {boolean} True if rendered inline
+         */
+        loadInline(entityId, load) {
+            const template = window.WPDTPanelTemplate ? WPDTPanelTemplate.find(this.currentEntity, this.layout) : null;
+            const rowData = template ? this.getRowData(entityId) : null;
+
+            if (!template || !rowData) {
+                log.debug('Inline render not possible, using AJAX:', {
+                    entity: this.currentEntity,
+                    id: entityId,
+                    hasTemplate: !!template
+                });
+                return false;
+            }
+
+            // A pending AJAX load would overwrite the inline render
+            if (this.ajaxRequest) {
+                this.ajaxRequest.abort();
+                this.ajaxRequest = null;
+            }
+
+            $(document).trigger('wpdt:panel-loading', {
+                entity: this.currentEntity,
+                id: entityId,
+                fromCache: false,
+                inline: true
+            });
+
+            let payload;
+            try {
+                payload = WPDTPanelTemplate.build(template, rowData);
+            } catch (e) {
+                log.error('Inline template failed:', e);
+                return false;
+            }
+
+            this.handleAjaxSuccess({ success: true, data: payload }, entityId, { inline: true, load: load });
+            this.checkInlineAutoload(payload);
+            return true;
+        }
+
+        /**
+         * Check that autoload tabs of an inline render can load
+         *
+         * An autoload container without data-load-action stays on its
+         * loading state forever; say so instead of failing silently.
+         *
+         * @param {Object} payload Payload from WPDTPanelTemplate.build()
+         */
+        checkInlineAutoload(payload) {
+            if (!payload.tabs) {
+                return;
+            }
+
+            Object.keys(payload.tabs).forEach((tabId) => {
+                const $tab = this.rootView.find('.wpdt-tab-content').filter(function() {
+                    return this.id === tabId;
+                });
+                const $autoload = $tab.find('.wpdt-tab-autoload').addBack('.wpdt-tab-autoload');
+
+                $autoload.each(function() {
+                    if (!$(this).attr('data-load-action')) {
+                        log.error('Inline autoload tab has no data-load-action, it will never load:', tabId);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Get DataTables row data of an entity
+         *
+         * @param {number|string} entityId Entity ID
+         * @return {Object|null} Row data (loaded rows only)
+         */
+        getRowData(entityId) {
+            const dataTable = this.getDataTableInstance();
+            const target = String(entityId);
+            let found = null;
+
+            if (!dataTable) {
+                return null;
+            }
+
+            dataTable.rows().every((rowIndex) => {
+                if (found) {
+                    return;
+                }
+
+                const row = dataTable.row(rowIndex);
+                const node = row.node();
+                const data = row.data() || {};
+                const id = node ? this.getRowId(node) : (data.DT_RowData && data.DT_RowData.id) || data.id;
+
+                if (id !== undefined && id !== null && String(id) === target) {
+                    found = data;
+                }
+            });
+
+            return found;
+        }
+
+        /**
+         * Request panel payload from server
+         *
+         * @param {number} entityId Entity ID
+         * @param {string} ajaxAction AJAX action name
+         * @param {Object|null} cached Payload already rendered from cache
+         * @param {Object|null} pendingRequest In-flight jqXHR to adopt (from prefetch)
+         * @param {Object} load Load from createLoad() (already resolved when revalidating)
+         */
+        requestPanelData(entityId, ajaxAction, cached, pendingRequest, load) {
+            const cache = this.getCache();
+            const revalidating = cached !== null && cached !== undefined;
+
+            const ajaxStart = Date.now();
+            log.debug('Loading panel data', {
+                entity: this.currentEntity,
+                id: entityId,
+                action: ajaxAction,
+                revalidating: revalidating,
+                adoptedPrefetch: !!pendingRequest
+            });
+
+            // Abort previous request
+            if (this.ajaxRequest && this.ajaxRequest !== pendingRequest) {
+                log.debug('Aborting previous AJAX request');
+                this.ajaxRequest.abort();
+            }
+
+            // Make AJAX request (or adopt the prefetch one)
+            const request = pendingRequest || this.createPanelRequest(entityId, ajaxAction);
+            this.ajaxRequest = request;
+
+            request
+                .done((response) => {
+                    const elapsed = Date.now() - ajaxStart;
+                    log.debug('AJAX success in ' + elapsed + 'ms:', response);
+
+                    // A newer request took over (record changed meanwhile)
+                    if (this.ajaxRequest !== request) {
+                        return;
+                    }
+
+                    if (response && response.success && response.data) {
+                        if (cache) {
+                            cache.set(this.currentEntity, entityId, response.data);
+                        }
+
+                        // Cached content is already on screen - re-render only on change
+                        if (revalidating && JSON.stringify(response.data) === JSON.stringify(cached)) {
+                            log.debug('Cached payload still fresh');
+                            return;
+                        }
+                    } else if (cache) {
+                        // Record gone or forbidden - never serve it from cache again
+                        cache.delete(this.currentEntity, entityId);
+                    }
+
+                    this.handleAjaxSuccess(response, entityId, { revalidated: revalidating, load: load });
+                })
+                .fail((jqXHR, textStatus, errorThrown) => {
+                    const elapsed = Date.now() - ajaxStart;
+                    log.debug('AJAX ' + textStatus + ' in ' + elapsed + 'ms:', errorThrown);
+
+                    if (this.ajaxRequest !== request && textStatus !== 'abort') {
+                        return;
+                    }
+
+                    // Keep showing cached content on network failure
+                    if (revalidating) {
+                        log.warn('Revalidation failed, keeping cached content');
+                        return;
+                    }
+
+                    this.handleAjaxError(jqXHR, textStatus, errorThrown, entityId, load);
+                })
+                .always(() => {
+                    if (this.ajaxRequest === request) {
+                        this.ajaxRequest = null;
+                    }
+                });
+        }
+
+        /**
+         * Create panel payload request
+         *
+         * Shared by normal loading and prefetching so both send identical data.
+         *
+         * @param {number} entityId Entity ID
+         * @param {string} ajaxAction AJAX action name
+         * @return {Object} jqXHR
+         */
+        createPanelRequest(entityId, ajaxAction) {
+            return $.ajax({
+                url: wpdtConfig.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: ajaxAction,
+                    entity: this.currentEntity,
+                    id: entityId,
+                    nonce: wpdtConfig.nonce
+                }
+            });
+        }
+
+        /**
+         * Get prefetch configuration
+         *
+         * @return {Object} Prefetch config with defaults
+         */
+        getPrefetchConfig() {
+            const config = (typeof wpdtConfig !== 'undefined' && wpdtConfig.panel && wpdtConfig.panel.prefetch)
+                ? wpdtConfig.panel.prefetch
+                : {};
+
+            return {
+                enabled: config.enabled !== undefined ? !!config.enabled : true,
+                delay: config.delay !== undefined ? parseInt(config.delay, 10) : 150,
+                maxConcurrent: parseInt(config.maxConcurrent, 10) || 2,
+                freshFor: config.freshFor !== undefined ? parseInt(config.freshFor, 10) : 10
+            };
+        }
+
+        /**
+         * Schedule prefetch after hover/focus intent delay
+         *
+         * @param {number} entityId Entity ID
+         */
+        schedulePrefetch(entityId) {
+            const config = this.getPrefetchConfig();
+
+            // Inline panels render from row data - nothing to fetch
+            if (!config.enabled || !entityId || this.getLoadMethod() === 'inline') {
+                return;
+            }
+
+            this.cancelScheduledPrefetch();
+
+            this.prefetchTimer = setTimeout(() => {
+                this.prefetchTimer = null;
+                this.prefetch(entityId);
+            }, config.delay);
+        }
+
+        /**
+         * Cancel pending intent timer (pointer left before delay)
+         */
+        cancelScheduledPrefetch() {
+            if (this.prefetchTimer) {
+                clearTimeout(this.prefetchTimer);
+                this.prefetchTimer = null;
+            }
+        }
+
+        /**
+         * Prefetch panel payload into cache
+         *
+         * Capped at maxConcurrent requests - the oldest prefetch is
+         * aborted when a new one would exceed the cap.
+         *
+         * @param {number} entityId Entity ID
+         */
+        prefetch(entityId) {
+            const ajaxAction = this.layout.data('ajax-action');
+            const cache = this.getCache();
+            const config = this.getPrefetchConfig();
+            const key = String(entityId);
+
+            if (!ajaxAction || !cache || !cache.enabled) {
+                return;
+            }
+
+            // Already open, cached or in flight
+            if ((this.isOpen && String(this.currentId) === key) ||
+                cache.has(this.currentEntity, entityId) ||
+                this.prefetchRequests.has(key)) {
+                return;
+            }
+
+            // Enforce cap: abort oldest prefetch
+            while (this.prefetchRequests.size >= config.maxConcurrent) {
+                const oldestKey = this.prefetchRequests.keys().next().value;
+                const oldest = this.prefetchRequests.get(oldestKey);
+                this.prefetchRequests.delete(oldestKey);
+                oldest.abort();
+            }
+
+            log.debug('Prefetching:', this.currentEntity, entityId);
+
+            const entity = this.currentEntity;
+            const request = this.createPanelRequest(entityId, ajaxAction);
+            this.prefetchRequests.set(key, request);
+
+            request
+                .done(function(response) {
+                    if (response && response.success && response.data) {
+                        cache.set(entity, entityId, response.data);
+                    }
+                })
+                .always(() => {
+                    if (this.prefetchRequests.get(key) === request) {
+                        this.prefetchRequests.delete(key);
+                    }
+                });
+        }
+
+        /**
+         * Take over an in-flight prefetch request
+         *
+         * Removes it from the prefetch pool so the cap can't abort it.
+         *
+         * @param {number} entityId Entity ID
+         * @return {Object|null} jqXHR or null
+         */
+        takePrefetchRequest(entityId) {
+            const key = String(entityId);
+            const request = this.prefetchRequests.get(key) || null;
+
+            if (request) {
+                this.prefetchRequests.delete(key);
+            }
+
+            return request;
+        }
+
+        /**
+         * Get shared panel cache
+         *
+         * @return {WPDTPanelCache|null} Cache instance (null if not loaded)
+         */
+        getCache() {
+            return window.wpdtPanelCache || null;
+        }
+
+        /**
+         * Handle AJAX success
+         *
+         * @param {Object} response AJAX response
+         * @param {number} entityId Entity ID
+         * @param {Object} meta Render info (fromCache, revalidated, inline, load)
+         */
+        handleAjaxSuccess(response, entityId, meta) {
+            const info = meta || {};
+
+            if (response.success && response.data) {
+                log.debug('Rendering payload:', {
+                    title: response.data.title,
+                    tabs: response.data.tabs ? Object.keys(response.data.tabs) : [],
+                    fromCache: !!info.fromCache,
+                    inline: !!info.inline
+                });
+
+                // Update panel content (inline template output is trusted markup)
+                this.updatePanelContent(response.data, { trusted: !!info.inline });
+
+                // Trigger data loaded event
+                $(document).trigger('wpdt:panel-data-loaded', {
+                    entity: this.currentEntity,
+                    id: entityId,
+                    data: response.data,
+                    fromCache: !!info.fromCache,
+                    revalidated: !!info.revalidated,
+                    inline: !!info.inline
+                });
+
+                // Unchanged revalidations stay silent (handled before this point)
+                if (!info.revalidated) {
+                    const title = response.data.title || this.rootView.find('.wpdt-entity-name').text();
+                    this.announce(this.getI18n('panelLoaded', '%s loaded').replace('%s', title));
+                }
+
+                this.currentData = response.data;
+                this.resolveLoad(info.load, {
+                    entity: this.currentEntity,
+                    id: entityId,
+                    data: response.data
+                });
+
+                log.debug('Panel content updated successfully');
+            } else {
+                log.error('Response error or no data:', response);
+
+                // Error in response
+                const errorMessage = response.data ? response.data.message : 'Unknown error';
+
+                this.showError(errorMessage);
+
+                // Trigger error event
+                $(document).trigger('wpdt:panel-error', {
+                    entity: this.currentEntity,
+                    id: entityId,
+                    message: errorMessage
+                });
+
+                this.rejectLoad(info.load, 'error', errorMessage, { response: response });
+            }
+        }
+
+        /**
+         * Handle AJAX error
+         *
+         * @param {Object} jqXHR jQuery XHR object
+         * @param {string} textStatus Status text
+         * @param {string} errorThrown Error message
+         * @param {number} entityId Entity ID
+         * @param {Object} load Load from createLoad()
+         */
+        handleAjaxError(jqXHR, textStatus, errorThrown, entityId, load) {
+            // Don't show error if request was aborted
+            if (textStatus === 'abort') {
+                this.rejectLoad(load, 'abort', 'Request aborted');
+                return;
+            }
+
+            const errorMessage = errorThrown || 'Network error';
+            this.showError(errorMessage);
+
+            // Trigger error event
+            $(document).trigger('wpdt:panel-error', {
+                entity: this.currentEntity,
+                id: entityId,
+                message: errorMessage,
+                status: jqXHR.status
+            });
+
+            this.rejectLoad(load, 'error', errorMessage, { status: jqXHR.status });
+        }
+
+        /**
+         * Update panel content
+         *
+         * @param {Object} data Response data
+         * @param {Object} options { trusted: skip the renderer (inline template output) }
+         */
+        updatePanelContent(data, options) {
+            const trusted = !!(options && options.trusted);
+            const entity = this.currentEntity;
+            const fragment = function(path, html) {
+                return trusted ? String(html) : WPDTPanelRenderer.fragment(entity, path, html);
+            };
+
+            // Clear loading timeout to prevent flicker on fast responses
+            if (this.loadingTimeout) {
+                clearTimeout(this.loadingTimeout);
+                this.loadingTimeout = null;
+                log.debug('Loading timeout cleared (fast response < 300ms)');
+            }
+
+            // Hide loading placeholder (from template)
+            this.rootView.find('.wpdt-loading-placeholder').removeClass('visible');
+
+            // Update title if provided
+            if (data.title) {
+                log.debug('Updating title to:', data.title);
+                const $titleEl = this.rootView.find('.wpdt-entity-name');
+                log.debug('Title element found:', $titleEl.length);
+                $titleEl.text(data.title);
+            }
+
+            // Update action buttons if provided
+            if (data.actions && Array.isArray(data.actions)) {
+                log.debug('Rendering action buttons:', data.actions.length);
+                const $actionsContainer = this.rootView.find('.wpdt-panel-actions');
+                $actionsContainer.empty(); // Clear existing buttons
+
+                const panelActions = this.panelActions;
 
                 data.actions.forEach(function(action) {
                     const $button = $('<button>')
@@ -679,24 +1862,36 @@
                         });
                     }
 
+                    // Declared behavior (ajax, confirm, modal, redirect, download)
+                    if (panelActions && panelActions.isDeclarative(action)) {
+                        panelActions.attach($button, action);
+                    }
+
                     $actionsContainer.append($button);
                 });
 
-                console.log('[WPDT Panel] Action buttons rendered successfully');
+                log.debug('Action buttons rendered successfully');
             }
 
             // Update tab content if provided
             if (data.tabs) {
-                console.log('[WPDT Panel] Updating tabs:', Object.keys(data.tabs));
+                log.debug('Updating tabs:', Object.keys(data.tabs));
                 let updatedCount = 0;
 
-                $.each(data.tabs, function(tabId, content) {
-                    console.log('[WPDT Panel] Looking for tab #' + tabId);
-                    const $tab = $(`#${tabId}`);
-                    console.log('[WPDT Panel] Tab element found:', $tab.length);
+                const $rootView = this.rootView;
+
+                $.each(data.tabs, function(tabId, rawContent) {
+                    log.debug('Looking for tab #' + tabId);
+                    const $tab = $rootView.find('.wpdt-tab-content').filter(function() {
+                        return this.id === tabId;
+                    });
+                    log.debug('Tab element found:', $tab.length);
 
                     if ($tab.length > 0) {
-                        console.log('[WPDT Panel] Updating tab #' + tabId + ' with content length:', content.length);
+                        // Sanitize before any parsing (detached elements still fire onerror)
+                        const content = fragment('tabs.' + tabId, rawContent);
+
+                        log.debug('Updating tab #' + tabId + ' with content length:', content.length);
 
                         // Create temporary element to parse content
                         const $temp = $('<div>').html(content);
@@ -711,7 +1906,7 @@
                                 classArray.forEach(function(cls) {
                                     if (cls && cls !== 'wpdt-tab-content' && !$tab.hasClass(cls)) {
                                         $tab.addClass(cls);
-                                        console.log('[WPDT Panel] Added class to tab:', cls);
+                                        log.debug('Added class to tab:', cls);
                                     }
                                 });
                             }
@@ -720,7 +1915,7 @@
                             $.each($firstChild[0].attributes, function(idx, attr) {
                                 if (attr.name.startsWith('data-')) {
                                     $tab.attr(attr.name, attr.value);
-                                    console.log('[WPDT Panel] Added attribute:', attr.name, '=', attr.value);
+                                    log.debug('Added attribute:', attr.name, '=', attr.value);
                                 }
                             });
                         }
@@ -728,192 +1923,617 @@
                         // Destroy any DataTables in this tab before replacing content
                         $tab.find('table').each(function() {
                             if ($.fn.DataTable && $.fn.DataTable.isDataTable(this)) {
-                                console.log('[WPDT Panel] Destroying DataTable:', $(this).attr('id'));
+                                log.debug('Destroying DataTable:', $(this).attr('id'));
                                 $(this).DataTable().destroy();
                             }
                         });
 
                         // Remove 'loaded' class to allow re-initialization of autoload tabs
                         $tab.removeClass('loaded');
-                        console.log('[WPDT Panel] Removed "loaded" class from tab:', tabId);
+                        log.debug('Removed "loaded" class from tab:', tabId);
 
                         // Inject content
                         $tab.html(content);
                         updatedCount++;
                     } else {
-                        console.warn('[WPDT Panel] Tab not found: #' + tabId);
+                        log.warn('Tab not found: #' + tabId);
                     }
                 });
 
-                console.log('[WPDT Panel] Total tabs updated:', updatedCount);
+                log.debug('Total tabs updated:', updatedCount);
             }
 
             // Update simple content if provided (no tabs)
             if (data.content) {
-                console.log('[WPDT Panel] Updating simple content');
-                this.rightPanel.find('.wpdt-panel-content').html(data.content);
+                log.debug('Updating simple content');
+                this.rootView.find('.wpdt-panel-content').html(fragment('content', data.content));
+            }
+
+            // Update entire HTML if provided (full control)
+            if (data.html) {
+                log.debug('Updating with full HTML');
+                this.rootView.find('.wpdt-panel-content').html(fragment('html', data.html));
+            }
+
+            log.debug('Content update complete');
+        }
+
+        /**
+         * Show loading state
+         */
+        showLoading() {
+            // Don't show loading for fast requests (< 300ms)
+            // This prevents flicker for cached/fast responses
+            this.loadingTimeout = setTimeout(() => {
+                this.rightPanel.addClass('wpdt-loading');
+
+                // Add loading indicator if not exists
+                if (this.rootView.find('.wpdt-panel-loading').length === 0) {
+                    this.rootView.find('.wpdt-panel-content').prepend(
+                        '<div class="wpdt-panel-loading" style="opacity: 0; transition: opacity 0.3s;">' +
+                            '<p style="text-align: center; padding: 20px; color: #666;">Loading...</p>' +
+                        '</div>'
+                    );
+
+                    // Fade in smoothly
+                    setTimeout(() => {
+                        this.rootView.find('.wpdt-panel-loading').css('opacity', '1');
+                    }, 10);
+                }
+            }, 300); // Delay loading indicator
+        }
+
+        /**
+         * Hide loading state
+         */
+        hideLoading() {
+            // Clear loading timeout to prevent flicker on fast responses
+            if (this.loadingTimeout) {
+                clearTimeout(this.loadingTimeout);
+                this.loadingTimeout = null;
+            }
+
+            this.rightPanel.removeClass('wpdt-loading');
+            this.rootView.find('.wpdt-panel-loading').remove();
+        }
+
+        /**
+         * Show error message
+         *
+         * Message is plain text (server messages are never parsed as HTML).
+         *
+         * @param {string} message Error message
+         */
+        showError(message) {
+            // Clear loading timeout and hide loading placeholder
+            if (this.loadingTimeout) {
+                clearTimeout(this.loadingTimeout);
+                this.loadingTimeout = null;
+            }
+            this.rootView.find('.wpdt-loading-placeholder').removeClass('visible');
+
+            this.showNotice(message, 'error');
+        }
+
+        /**
+         * Show notice above panel content (auto-hides after 5 seconds)
+         *
+         * @param {string} message Plain text message
+         * @param {string} type Notice type: error, success, warning, info
+         */
+        showNotice(message, type) {
+            const noticeType = type || 'info';
+            const $notice = $('<div>').addClass('notice notice-' + noticeType + ' wpdt-panel-notice');
+            const $text = $('<p>');
+
+            if (noticeType === 'error') {
+                $notice.addClass('wpdt-panel-error');
+                $text.append($('<strong>').text('Error:')).append(document.createTextNode(' '));
+            }
+
+            $text.append(document.createTextNode(message === undefined || message === null ? '' : message));
+            this.rootView.find('.wpdt-panel-content').prepend($notice.append($text));
+
+            // Errors interrupt (role=alert), other notices wait their turn
+            this.announce(message, noticeType === 'error');
+
+            setTimeout(function() {
+                $notice.fadeOut(300, function() {
+                    $(this).remove();
+                });
+            }, 5000);
+        }
+
+        /**
+         * Update URL hash
+         *
+         * Only this layout's segment is touched, other layouts keep theirs.
+         *
+         * @param {number|string} entityId Entity ID
+         */
+        updateHash(entityId) {
+            if (this.currentEntity && entityId !== undefined && entityId !== null && entityId !== '') {
+                WPDTHashRouter.setState(this.currentEntity, { id: entityId });
+            }
+        }
+
+        /**
+         * Clear URL hash
+         *
+         * Removes this layout's segment only.
+         */
+        clearHash() {
+            WPDTHashRouter.setState(this.currentEntity, null);
+        }
+
+        /**
+         * Check hash on page load
+         */
+        checkHashOnLoad() {
+            const state = WPDTHashRouter.getState(this.currentEntity);
+            if (state) {
+                // Row may be on a page that isn't drawn yet - scrolled on the first draw showing it
+                this.pendingScroll = true;
+                this.openPanel(state.id, { updateHash: false });
+                this.syncStack(state);
+            }
+        }
+
+        /**
+         * Handle route change (browser back/forward)
+         *
+         * Close and record switch go through the preventable
+         * wpdt:panel-closing / wpdt:panel-opening events; if cancelled the
+         * previous hash is restored (replace).
+         *
+         * @param {Object|null} state Router state for this entity
+         * @param {Object|null} previous Router state before the change
+         */
+        handleRouteChange(state, previous) {
+            // Guard cancelled (unsaved changes) - put the URL back to what is shown
+            const restore = () => {
+                WPDTHashRouter.setState(this.currentEntity, previous || null, { replace: true });
+            };
+
+            if (state) {
+                const switching = this.isOpen && String(this.currentId) !== String(state.id);
+
+                this.pendingScroll = true;
+                this.openPanel(state.id, { updateHash: false }).catch((error) => {
+                    if (switching && error && error.reason === 'prevented') {
+                        restore();
+                    }
+                });
+                this.syncStack(state);
+            } else if (this.isOpen) {
+                // Segment cleared, close panel (same closing event as the close button)
+                if (!this.closePanel({ updateHash: false }) && this.isOpen) {
+                    restore();
+                }
+            }
+        }
+
+        /**
+         * Match drill-down levels to the router state (&nested=branch/5)
+         *
+         * @param {Object} state Router state for this entity
+         */
+        syncStack(state) {
+            if (!this.stack || !this.isOpen || String(this.currentId) !== String(state.id)) {
+                return;
+            }
+
+            // Pop cancelled (unsaved changes) - URL back to the levels still shown
+            if (!this.stack.sync(WPDTHashRouter.decodeList(state.params.nested))) {
+                this.stack.updateUrl({ replace: true });
+            }
+        }
+
+        /**
+         * Parse hash segment and open panel
+         *
+         * @param {string} hash Hash segment (e.g., "customer-123&tab=details")
+         */
+        parseAndOpenHash(hash) {
+            const state = WPDTHashRouter.parseSegment(hash);
+
+            // Only open if entity matches current context
+            if (state.entity === this.currentEntity && state.id) {
+                this.openPanel(state.id, { updateHash: false });
+            }
+        }
+
+        /**
+         * Get entity ID of a DataTable row
+         *
+         * @param {HTMLElement} rowNode Row element
+         * @return {string|null} Entity ID as string
+         */
+        getRowId(rowNode) {
+            let id = $(rowNode).data('id');
+
+            if ((id === undefined || id === null || id === '') && this.dataTable) {
+                const rowData = this.dataTable.row(rowNode).data() || {};
+                id = (rowData.DT_RowData && rowData.DT_RowData.id) || rowData.id;
+            }
+
+            return (id === undefined || id === null || id === '') ? null : String(id);
+        }
+
+        /**
+         * Get entity IDs of the current page in display order
+         *
+         * Follows the DataTable's current sort, search filter and page.
+         *
+         * @return {Array} Entity IDs (strings)
+         */
+        getPageRowIds() {
+            const dataTable = this.getDataTableInstance();
+
+            if (!dataTable) {
+                return [];
+            }
+
+            const nodes = dataTable.rows({ order: 'current', search: 'applied', page: 'current' }).nodes().toArray();
+
+            return nodes.map((node) => this.getRowId(node)).filter((id) => id !== null);
+        }
+
+        /**
+         * Step to previous/next record
+         *
+         * Crosses page boundaries: stepping past the last row of a page
+         * loads the next (server-side) page and opens its first row.
+         *
+         * @param {number} direction -1 for previous, 1 for next
+         */
+        navigate(direction) {
+            const dataTable = this.getDataTableInstance();
+
+            if (!this.isOpen || !dataTable) {
+                return;
+            }
+
+            const ids = this.getPageRowIds();
+            const index = ids.indexOf(String(this.currentId));
+            let target;
+
+            if (index === -1) {
+                // Current record not on this page (e.g. opened from hash)
+                target = direction > 0 ? 0 : ids.length - 1;
+            } else {
+                target = index + direction;
+            }
+
+            if (target >= 0 && target < ids.length) {
+                this.openPanel(ids[target]);
+                return;
+            }
+
+            // Cross page boundary
+            const info = dataTable.page.info();
+            const hasNextPage = direction > 0 && info.page < info.pages - 1;
+            const hasPrevPage = direction < 0 && info.page > 0;
+
+            if (!hasNextPage && !hasPrevPage) {
+                return;
+            }
+
+            dataTable.one('draw', () => {
+                const pageIds = this.getPageRowIds();
+                const id = direction > 0 ? pageIds[0] : pageIds[pageIds.length - 1];
+
+                if (id) {
+                    this.openPanel(id);
+                }
+            });
+
+            dataTable.page(direction > 0 ? 'next' : 'previous').draw('page');
+        }
+
+        /**
+         * Enable/disable prev/next buttons
+         *
+         * Disabled only on the very first/last row of the whole result set.
+         */
+        updateNavigationState() {
+            const $prev = this.rightPanel.find('.wpdt-panel-prev');
+            const $next = this.rightPanel.find('.wpdt-panel-next');
+            const dataTable = this.getDataTableInstance();
+
+            if (!dataTable || ($prev.length === 0 && $next.length === 0)) {
+                return;
+            }
+
+            const ids = this.getPageRowIds();
+            const index = ids.indexOf(String(this.currentId));
+            const info = dataTable.page.info();
+
+            const isFirst = ids.length === 0 || (index === 0 && info.page === 0);
+            const isLast = ids.length === 0 || (index === ids.length - 1 && info.page >= info.pages - 1);
+
+            $prev.prop('disabled', isFirst);
+            $next.prop('disabled', isLast);
+        }
+
+        /**
+         * Highlight the row of the open record and the selected rows
+         *
+         * Called after every draw, so marks survive redraws and ajax reloads.
+         * Scrolls the active row into view once when opened from the hash.
+         *
+         * @param {number|string|null} entityId Entity ID, null to clear
+         */
+        highlightRow(entityId) {
+            const dataTable = this.getDataTableInstance();
+
+            if (!dataTable) {
+                return;
+            }
+
+            const $rows = $(dataTable.rows({ page: 'current' }).nodes());
+            $rows.removeClass('wpdt-row-active wpdt-row-selected').removeAttr('aria-selected');
+
+            if (this.selectedIds.length > 0) {
+                $rows.filter((index, node) => this.selectedIds.indexOf(this.getRowId(node)) !== -1)
+                    .addClass('wpdt-row-selected')
+                    .attr('aria-selected', 'true');
+            }
+
+            if (entityId === null || entityId === undefined) {
+                return;
             }
 
-            // Update entire HTML if provided (full control)
-            if (data.html) {
-                console.log('[WPDT Panel] Updating with full HTML');
-                this.rightPanel.find('.wpdt-panel-content').html(data.html);
-            }
+            const $active = $rows.filter((index, node) => this.getRowId(node) === String(entityId));
+            $active.addClass('wpdt-row-active');
 
-            console.log('[WPDT Panel] Content update complete');
+            if (this.pendingScroll && $active.length > 0) {
+                this.pendingScroll = false;
+                this.scrollToRow($active[0]);
+            }
         }
 
         /**
-         * Show loading state
+         * Scroll a row into view (left panel or page)
+         *
+         * @param {HTMLElement} rowNode Row element
          */
-        showLoading() {
-            // Don't show loading for fast requests (< 300ms)
-            // This prevents flicker for cached/fast responses
-            this.loadingTimeout = setTimeout(() => {
-                this.rightPanel.addClass('wpdt-loading');
-
-                // Add loading indicator if not exists
-                if (this.rightPanel.find('.wpdt-panel-loading').length === 0) {
-                    this.rightPanel.find('.wpdt-panel-content').prepend(
-                        '<div class="wpdt-panel-loading" style="opacity: 0; transition: opacity 0.3s;">' +
-                            '<p style="text-align: center; padding: 20px; color: #666;">Loading...</p>' +
-                        '</div>'
-                    );
+        scrollToRow(rowNode) {
+            // Overlay covers the table on mobile (and the body is scroll-locked)
+            if (this.isMobile || !rowNode.scrollIntoView) {
+                return;
+            }
 
-                    // Fade in smoothly
-                    setTimeout(() => {
-                        this.rightPanel.find('.wpdt-panel-loading').css('opacity', '1');
-                    }, 10);
-                }
-            }, 300); // Delay loading indicator
+            rowNode.scrollIntoView({ block: 'center' });
         }
 
         /**
-         * Hide loading state
+         * Mark rows as selected (kept across draws)
+         *
+         * @param {Array|number|string} ids Entity IDs
          */
-        hideLoading() {
-            // Clear loading timeout to prevent flicker on fast responses
-            if (this.loadingTimeout) {
-                clearTimeout(this.loadingTimeout);
-                this.loadingTimeout = null;
-            }
+        selectRows(ids) {
+            const list = (Array.isArray(ids) ? ids : [ids]).map(String);
 
-            this.rightPanel.removeClass('wpdt-loading');
-            this.rightPanel.find('.wpdt-panel-loading').remove();
+            list.forEach((id) => {
+                if (this.selectedIds.indexOf(id) === -1) {
+                    this.selectedIds.push(id);
+                }
+            });
+
+            this.updateSelection();
         }
 
         /**
-         * Show error message
+         * Remove selected mark from rows
          *
-         * @param {string} message Error message
+         * @param {Array|number|string} ids Entity IDs
          */
-        showError(message) {
-            // Clear loading timeout and hide loading placeholder
-            if (this.loadingTimeout) {
-                clearTimeout(this.loadingTimeout);
-                this.loadingTimeout = null;
-            }
-            this.rightPanel.find('.wpdt-loading-placeholder').removeClass('visible');
+        deselectRows(ids) {
+            const list = (Array.isArray(ids) ? ids : [ids]).map(String);
 
-            const errorHtml = `
-                <div class="notice notice-error wpdt-panel-error">
-                    <p><strong>Error:</strong> ${message}</p>
-                </div>
-            `;
-
-            this.rightPanel.find('.wpdt-panel-content').prepend(errorHtml);
+            this.selectedIds = this.selectedIds.filter((id) => list.indexOf(id) === -1);
+            this.updateSelection();
+        }
 
-            // Auto-hide after 5 seconds
-            setTimeout(() => {
-                this.rightPanel.find('.wpdt-panel-error').fadeOut(300, function() {
-                    $(this).remove();
-                });
-            }, 5000);
+        /**
+         * Clear all selected rows
+         */
+        clearSelection() {
+            this.selectedIds = [];
+            this.updateSelection();
         }
 
         /**
-         * Update URL hash
+         * Get selected entity IDs
          *
-         * @param {number} entityId Entity ID
+         * @return {Array} Entity IDs (strings)
          */
-        updateHash(entityId) {
-            if (this.currentEntity && entityId) {
-                const newHash = `${this.currentEntity}-${entityId}`;
-                // Use history.pushState to avoid scroll jump (consistent with clearHash)
-                history.pushState(null, document.title, window.location.pathname + window.location.search + '#' + newHash);
-            }
+        getSelectedIds() {
+            return this.selectedIds.slice();
         }
 
         /**
-         * Clear URL hash
+         * Re-apply row marks and announce selection change
          */
-        clearHash() {
-            // Remove hash without triggering hashchange
-            history.pushState('', document.title, window.location.pathname + window.location.search);
+        updateSelection() {
+            this.highlightRow(this.isOpen ? this.currentId : null);
+
+            $(document).trigger('wpdt:selection-changed', {
+                entity: this.currentEntity,
+                ids: this.getSelectedIds()
+            });
         }
 
         /**
-         * Check hash on page load
+         * Maximize detail panel (temporarily collapses left panel)
          */
-        checkHashOnLoad() {
-            const hash = window.location.hash.substring(1); // Remove #
-            if (hash) {
-                this.parseAndOpenHash(hash);
+        maximize() {
+            if (!this.isOpen || this.isMaximized) {
+                return;
             }
+
+            const maximizingEvent = $.Event('wpdt:panel-maximizing', {
+                entity: this.currentEntity,
+                id: this.currentId
+            });
+            $(document).trigger(maximizingEvent);
+
+            if (maximizingEvent.isDefaultPrevented()) {
+                return;
+            }
+
+            this.isMaximized = true;
+            this.layout.addClass('is-maximized');
+            this.rightPanel.find('.wpdt-panel-maximize').attr('aria-pressed', 'true');
+
+            $(document).trigger('wpdt:panel-maximized', {
+                entity: this.currentEntity,
+                id: this.currentId
+            });
         }
 
         /**
-         * Check hash change (browser back/forward)
+         * Restore normal split after maximize
          */
-        checkHashChange() {
-            const hash = window.location.hash.substring(1); // Remove #
+        restore() {
+            if (!this.isMaximized) {
+                return;
+            }
 
-            if (hash) {
-                this.parseAndOpenHash(hash);
-            } else {
-                // Hash cleared, close panel
-                if (this.isOpen) {
-                    this.hidePanel(); // Direct hide, no hash update
-                    this.currentId = null;
+            const self = this;
+
+            this.isMaximized = false;
+            this.layout.removeClass('is-maximized');
+            this.rightPanel.find('.wpdt-panel-maximize').attr('aria-pressed', 'false');
+
+            // Left panel was display:none - recalculate column widths once visible
+            setTimeout(function() {
+                const dataTable = self.getDataTableInstance();
+                if (dataTable) {
+                    dataTable.columns.adjust();
                 }
+            }, 50);
+
+            $(document).trigger('wpdt:panel-restored', {
+                entity: this.currentEntity,
+                id: this.currentId
+            });
+        }
+
+        /**
+         * Toggle maximize state
+         */
+        toggleMaximize() {
+            if (this.isMaximized) {
+                this.restore();
+            } else {
+                this.maximize();
             }
         }
 
         /**
-         * Parse hash and open panel
+         * Open current entity/id/tab in a standalone window
          *
-         * @param {string} hash Hash string (e.g., "customer-123")
+         * The window loads the same admin page with ?wpdt_popout={entity}
+         * and this layout's hash segment, so it opens on the same tab.
+         *
+         * @return {Window|null} Opened window (null if blocked or prevented)
          */
-        parseAndOpenHash(hash) {
-            const parts = hash.split('-');
+        popOut() {
+            if (!this.isOpen || !this.currentId || this.isPopout) {
+                return null;
+            }
 
-            if (parts.length >= 2) {
-                const entity = parts[0];
-                const id = parseInt(parts[parts.length - 1], 10);
+            const state = WPDTHashRouter.getState(this.currentEntity) || { entity: this.currentEntity, id: this.currentId };
+            const segment = WPDTHashRouter.stringifySegment(state);
+            const params = new URLSearchParams(window.location.search);
+            params.set('wpdt_popout', this.currentEntity);
 
-                // Only open if entity matches current context
-                if (entity === this.currentEntity && id > 0) {
-                    this.openPanel(id);
-                }
+            const url = window.location.pathname + '?' + params.toString() + '#' + segment;
+
+            const poppingEvent = $.Event('wpdt:panel-popping-out', {
+                entity: this.currentEntity,
+                id: this.currentId,
+                url: url
+            });
+            $(document).trigger(poppingEvent);
+
+            if (poppingEvent.isDefaultPrevented()) {
+                return null;
+            }
+
+            const popup = window.open(url, 'wpdt-popout-' + this.currentEntity + '-' + this.currentId, 'width=960,height=800,resizable=yes,scrollbars=yes');
+
+            if (!popup) {
+                const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+                this.showError(i18n.popupBlocked || 'Pop-up blocked by the browser');
+                return null;
             }
+
+            $(document).trigger('wpdt:panel-popped-out', {
+                entity: this.currentEntity,
+                id: this.currentId,
+                url: url,
+                window: popup
+            });
+
+            // Back to the full table in this window
+            const panelConfig = (typeof wpdtConfig !== 'undefined' && wpdtConfig.panel) ? wpdtConfig.panel : {};
+            if (panelConfig.closeOnPopout !== false) {
+                this.closePanel();
+            }
+
+            return popup;
         }
 
         /**
          * Refresh current panel
+         *
+         * @return {Promise} Resolves with {entity, id, data} once re-rendered
          */
         refresh() {
             if (this.isOpen && this.currentId) {
-                this.loadPanelData(this.currentId);
+                return this.loadPanelData(this.currentId, { force: true });
             }
+
+            return this.rejectedLoad(null, 'closed', 'Panel is not open');
         }
 
         /**
          * Public API: Open panel programmatically
          *
-         * @param {number} entityId Entity ID
+         * Resolves once the panel and its active tab are rendered, so
+         * plugin code can wait for it instead of wpdt:panel-opened timing:
+         * `await wpdtPanelManager.get('customer').open(42, { tab: 'invoices' })`
+         *
+         * @param {number|string} entityId Entity ID
+         * @param {Object} options Open options
+         *   @param {string} options.tab Tab to show (default: tab from URL or first tab)
+         * @return {Promise} Resolves with {entity, id, data}; rejects with an
+         *                   Error whose reason is 'prevented', 'abort' or 'error'
          */
-        open(entityId) {
-            this.openPanel(entityId);
+        open(entityId, options) {
+            const opts = options || {};
+
+            const promise = this.openPanel(entityId).then((result) => {
+                const tabManager = window.wpdtTabManager && window.wpdtTabManager.get
+                    ? window.wpdtTabManager.get(this.currentEntity)
+                    : null;
+
+                if (!tabManager) {
+                    return result;
+                }
+
+                const tabLoaded = opts.tab
+                    ? tabManager.goTo(opts.tab, { replace: true })
+                    : tabManager.whenLoaded();
+
+                return tabLoaded.then(() => result);
+            });
+
+            promise.catch(() => {});
+            return promise;
         }
 
         /**
@@ -926,29 +2546,30 @@
         /**
          * Toggle responsive columns visibility
          *
-         * Hides/shows columns based on panel state for better responsiveness.
-         * Columns are marked as responsive via data-responsive-priority attribute.
+         * With WPDTResponsiveColumns (responsive-columns.js) columns follow
+         * the measured left panel width and this only forces a re-fit.
+         * Without it, priority 2+ columns are hidden while the panel is open.
          *
          * Usage in DataTable column definition:
          * {
          *     data: 'email',
          *     name: 'email',
-         *     responsivePriority: 2  // Hide when panel opens
+         *     responsivePriority: 2  // Hideable, 3+ hides before 2
          * }
          *
-         * Priority levels:
-         * - 1 = Always visible (highest priority)
-         * - 2 = Hidden when panel opens (medium priority)
-         * - 3+ = Hidden on smaller screens (low priority)
-         *
-         * @param {boolean} show True to show all columns, false to hide responsive columns
+         * @param {boolean} show Fallback only: true to show all columns, false to hide responsive columns
          */
         toggleResponsiveColumns(show) {
             if (!this.dataTable) {
                 return;
             }
 
-            console.log('[WPDT Panel] Toggling responsive columns:', show ? 'SHOW' : 'HIDE');
+            if (this.responsiveColumns && this.responsiveColumns.api) {
+                this.responsiveColumns.fit(true);
+                return;
+            }
+
+            log.debug('Toggling responsive columns:', show ? 'SHOW' : 'HIDE');
 
             const api = this.dataTable;
 
@@ -973,24 +2594,310 @@
                 if (show) {
                     // Panel closed - show all responsive columns
                     api.column(index).visible(true, false); // false = no redraw yet
-                    console.log('  → Column', index, '(priority', priority, ') shown');
+                    log.debug('Column', index, '(priority', priority, ') shown');
                 } else {
                     // Panel open - hide responsive columns
                     api.column(index).visible(false, false); // false = no redraw yet
-                    console.log('  → Column', index, '(priority', priority, ') hidden');
+                    log.debug('Column', index, '(priority', priority, ') hidden');
                 }
             });
 
-            console.log('[WPDT Panel] Responsive columns toggled');
+            log.debug('Responsive columns toggled');
         }
     }
 
+    /**
+     * Panel Manager Registry
+     *
+     * Lookup of panel manager instances by entity. Exposed as
+     * window.wpdtPanelManager. The legacy single-instance methods
+     * (open, close, refresh, openPanel) proxy to the first layout
+     * on the page so existing integrations keep working.
+     *
+     * Hash state is handled by WPDTHashRouter (hash-router.js).
+     */
+    const WPDTPanelRegistry = {
+        /**
+         * Managers keyed by entity
+         *
+         * @var {Object}
+         */
+        instances: {},
+
+        /**
+         * Entities in registration (DOM) order
+         *
+         * @var {Array}
+         */
+        order: [],
+
+        /**
+         * Most recently opened manager
+         *
+         * @var {WPDTPanelManager|null}
+         */
+        active: null,
+
+        /**
+         * Body scroll lock shared by all mobile overlays
+         *
+         * @var {Object}
+         */
+        scrollLock: { count: 0, y: 0 },
+
+        /**
+         * Register a manager instance
+         *
+         * @param {WPDTPanelManager} manager Manager instance
+         */
+        register(manager) {
+            const entity = manager.currentEntity;
+
+            if (!entity) {
+                log.warn('Layout without data-entity - skipping', manager.layout[0]);
+                return;
+            }
+
+            if (this.instances[entity]) {
+                log.warn('Duplicate layout for entity - only the first is managed:', entity);
+                return;
+            }
+
+            this.instances[entity] = manager;
+            this.order.push(entity);
+        },
+
+        /**
+         * Create and register managers for all layouts
+         *
+         * Entities are registered with the router before any manager
+         * reads the hash, so dashed entity names decode correctly.
+         *
+         * @param {jQuery} $layouts Layout elements
+         */
+        createAll($layouts) {
+            $layouts.each(function() {
+                WPDTHashRouter.registerEntity($(this).data('entity'));
+            });
+
+            $layouts.each(function() {
+                WPDTPanelRegistry.register(new WPDTPanelManager($(this)));
+            });
+        },
+
+        /**
+         * Get manager by entity
+         *
+         * @param {string} entity Entity type
+         * @return {WPDTPanelManager|null} Manager instance
+         */
+        get(entity) {
+            return this.instances[entity] || null;
+        },
+
+        /**
+         * Get all managers in DOM order
+         *
+         * @return {Array} Manager instances
+         */
+        getAll() {
+            return this.order.map((entity) => this.instances[entity]);
+        },
+
+        /**
+         * Get entity types with a registered layout
+         *
+         * @return {Array} Entity types
+         */
+        getEntities() {
+            return this.order.slice();
+        },
+
+        /**
+         * Get first manager on the page
+         *
+         * @return {WPDTPanelManager|null} Manager instance
+         */
+        getDefault() {
+            return this.order.length > 0 ? this.instances[this.order[0]] : null;
+        },
+
+        /**
+         * Mark manager as most recently opened
+         *
+         * @param {WPDTPanelManager} manager Manager instance
+         */
+        setActive(manager) {
+            this.active = manager;
+        },
+
+        /**
+         * Lock body scroll (first lock stores the scroll position)
+         */
+        lockScroll() {
+            if (this.scrollLock.count === 0) {
+                this.scrollLock.y = window.scrollY || window.pageYOffset;
+                $('body').addClass('wpdt-scroll-locked').css('top', -this.scrollLock.y + 'px');
+            }
+
+            this.scrollLock.count++;
+        },
+
+        /**
+         * Release body scroll (last unlock restores the scroll position)
+         */
+        unlockScroll() {
+            if (this.scrollLock.count === 0) {
+                return;
+            }
+
+            this.scrollLock.count--;
+
+            if (this.scrollLock.count === 0) {
+                $('body').removeClass('wpdt-scroll-locked').css('top', '');
+                window.scrollTo(0, this.scrollLock.y);
+            }
+        },
+
+        /**
+         * Close the panel (or top drill-down level) the user is working in
+         */
+        closeActive() {
+            const target = this.getActiveOpen();
+
+            if (!target) {
+                return;
+            }
+
+            // Drill-down levels are closed one at a time
+            if (target.stack && target.stack.depth() > 0) {
+                target.stack.pop();
+                return;
+            }
+
+            target.closePanel();
+        },
+
+        /**
+         * Get the open manager the user is working in
+         *
+         * Prefers the layout containing the focused element, then the
+         * most recently opened layout, then any open layout.
+         *
+         * @return {WPDTPanelManager|null} Manager instance
+         */
+        getActiveOpen() {
+            const $focused = $(document.activeElement).closest('.wpdt-datatable-layout');
+            let target = this.getAll().find((m) => m.isOpen && m.layout[0] === $focused[0]);
+
+            if (!target && this.active && this.active.isOpen) {
+                target = this.active;
+            }
+
+            if (!target) {
+                target = this.getAll().find((m) => m.isOpen);
+            }
+
+            return target || null;
+        },
+
+        /**
+         * Legacy API: Open panel on first layout
+         *
+         * @param {number} entityId Entity ID
+         * @param {Object} options Open options (see WPDTPanelManager.open)
+         * @return {Promise} Resolves once rendered
+         */
+        open(entityId, options) {
+            const manager = this.getDefault();
+            return manager ? manager.open(entityId, options) : this.rejectNoLayout();
+        },
+
+        /**
+         * Legacy API: Open panel on first layout
+         *
+         * @param {number} entityId Entity ID
+         * @param {Object} options Open options (see WPDTPanelManager.open)
+         * @return {Promise} Resolves once rendered
+         */
+        openPanel(entityId, options) {
+            return this.open(entityId, options);
+        },
+
+        /**
+         * Legacy API: Close panel on first layout
+         */
+        close() {
+            const manager = this.getDefault();
+            if (manager) {
+                manager.close();
+            }
+        },
+
+        /**
+         * Legacy API: Close panel on first layout
+         */
+        closePanel() {
+            this.close();
+        },
+
+        /**
+         * Legacy API: Refresh panel on first layout
+         *
+         * @return {Promise} Resolves once re-rendered
+         */
+        refresh() {
+            const manager = this.getDefault();
+            return manager ? manager.refresh() : this.rejectNoLayout();
+        },
+
+        /**
+         * Rejected promise for legacy calls on a page without layouts
+         *
+         * @return {Promise} Rejected promise
+         */
+        rejectNoLayout() {
+            const error = new Error('No DataTable layout on this page');
+            const promise = Promise.reject(error);
+
+            error.reason = 'error';
+            promise.catch(() => {});
+
+            return promise;
+        }
+    };
+
     /**
      * Initialize on document ready
      */
     $(document).ready(function() {
-        // Create global instance
-        window.wpdtPanelManager = new WPDTPanelManager();
+        // Escape closes the active panel (top nested level first), Alt+Up/Down steps through records
+        $(document).on('keydown', function(e) {
+            if (e.key === 'Escape') {
+                WPDTPanelRegistry.closeActive();
+                return;
+            }
+
+            if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                // Leave form controls alone (Alt+Arrow opens select dropdowns)
+                if ($(e.target).is('input, select, textarea, [contenteditable="true"]')) {
+                    return;
+                }
+
+                const manager = WPDTPanelRegistry.getActiveOpen();
+                if (manager) {
+                    e.preventDefault();
+                    manager.navigate(e.key === 'ArrowUp' ? -1 : 1);
+                }
+            }
+        });
+
+        // Create global registry first so managers can read it during init
+        window.wpdtPanelManager = WPDTPanelRegistry;
+        window.WPDTPanelManager = WPDTPanelManager;
+
+        // One manager per layout
+        WPDTPanelRegistry.createAll($('.wpdt-datatable-layout'));
     });
 
 })(jQuery);
@@ -0,0 +1,454 @@
+/**
+ * Panel Renderer - Dual Panel
+ *
+ * Safe rendering untuk panel payloads dan error messages.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/panel-renderer.js
+ *
+ * Description: Satu tempat untuk memasukkan server output ke DOM.
+ *              Plain-text fields (title, error messages, action labels)
+ *              selalu di-escape, HTML fragments (html, content, tabs)
+ *              dibersihkan dengan allowlist sanitizer sebelum di-inject.
+ *
+ * Sanitizer:
+ * - Parses into an inert document (no script execution, no resource loading)
+ * - Drops dangerous elements with their content (script, style, iframe, ...)
+ * - Unwraps unknown elements (keeps their text/children)
+ * - Keeps allowlisted attributes only (on* handlers never survive)
+ * - data-* allowed except framework control attributes (data-load-action,
+ *   data-ajax-action, data-content-target, data-wpdt-*, ...): these make
+ *   the framework POST with the nonce, so only trusted fragments keep them
+ * - URL attributes limited to http(s), mailto, tel and relative URLs
+ * - style kept, minus declarations that load resources or run code
+ *   (url(), image-set(), expression(), @import, behavior, -moz-binding)
+ * - A fragment changed by the sanitizer is logged as a warning (removed
+ *   elements/attributes) - trust the fragment to keep it
+ *
+ * Configuration (wpdtConfig.panel.sanitize):
+ * - enabled: true
+ * - trustTabs: true (tabs.* and autoloaded tab content are injected as-is)
+ * - allowedTags: [] (extra tags on top of the defaults)
+ * - allowedAttributes: { tag: [attr, ...], '*': [attr, ...] } (extra attributes)
+ * - trusted: { entity: ['html', 'content', 'tabs.details', 'tabs.*'] }
+ *
+ * Trusted Fragments:
+ * Fragments listed as trusted are injected as-is (e.g. a tab that ships
+ * its own inline DataTable script). Paths: "html", "content",
+ * "tabs.{tabId}" (also used for autoloaded tab content), "tabs.*".
+ * Tabs are server-built views (ob_start() around .wpdt-tab-autoload markup
+ * and inline DataTable scripts), so they are trusted unless trustTabs is
+ * false. With trustTabs false, a tab carrying autoload markup must be
+ * listed in trusted, otherwise it never loads.
+ *
+ * Usage:
+ * ```javascript
+ * // Opt a fragment out of sanitizing (server-rendered, trusted markup)
+ * WPDTPanelRenderer.trust('customer', ['tabs.branches']);
+ *
+ * // PHP alternative
+ * add_filter('wpdt_localize_data', function($data) {
+ *     $data['panel']['sanitize']['trusted']['customer'] = ['tabs.branches'];
+ *     return $data;
+ * });
+ *
+ * // Escape text / sanitize HTML in custom code
+ * WPDTPanelRenderer.escapeHtml(message);
+ * $el.html(WPDTPanelRenderer.sanitize(html));
+ * ```
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Allowlist sanitizer with per-entity trusted fragments
+ * - Framework control data attributes stripped from untrusted fragments
+ *   (autoload tab markup in a payload needs its "tabs.{id}" path trusted)
+ * - Inline style allowed (filtered); warning logged when a fragment is altered
+ * - trustTabs (default true): tab fragments keep autoload attributes and
+ *   inline scripts as before. BREAKING: html/content fragments are
+ *   sanitized by default (list them in trusted to keep the old behavior)
+ */
+
+(function($) {
+    'use strict';
+
+    const log = WPDTLogger.create('Renderer');
+
+    const WPDTPanelRenderer = {
+        /**
+         * Default allowed tags
+         *
+         * @var {Array}
+         */
+        allowedTags: [
+            'a', 'abbr', 'b', 'blockquote', 'br', 'button', 'caption', 'code', 'col', 'colgroup',
+            'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'fieldset', 'figcaption', 'figure',
+            'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd',
+            'label', 'legend', 'li', 'mark', 'ol', 'optgroup', 'option', 'p', 'pre', 's', 'section',
+            'select', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+            'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul'
+        ],
+
+        /**
+         * Elements removed together with their content
+         *
+         * @var {Array}
+         */
+        droppedTags: [
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+            'link', 'meta', 'base', 'noscript', 'template', 'svg', 'math'
+        ],
+
+        /**
+         * Default allowed attributes ('*' = every tag)
+         *
+         * aria-* and data-* (except reserved framework attributes) are always allowed.
+         *
+         * @var {Object}
+         */
+        allowedAttributes: {
+            '*': ['class', 'id', 'title', 'role', 'tabindex', 'hidden', 'lang', 'dir', 'style'],
+            'a': ['href', 'target', 'rel'],
+            'img': ['src', 'alt', 'width', 'height', 'loading'],
+            'td': ['colspan', 'rowspan', 'headers'],
+            'th': ['colspan', 'rowspan', 'headers', 'scope'],
+            'col': ['span'],
+            'colgroup': ['span'],
+            'time': ['datetime'],
+            'ol': ['start', 'reversed', 'type'],
+            'li': ['value'],
+            'details': ['open'],
+            'form': ['action', 'method', 'name', 'novalidate'],
+            'label': ['for'],
+            'button': ['type', 'name', 'value', 'disabled'],
+            'input': ['type', 'name', 'value', 'checked', 'disabled', 'readonly', 'required',
+                'placeholder', 'min', 'max', 'step', 'maxlength', 'pattern', 'size', 'autocomplete'],
+            'select': ['name', 'multiple', 'disabled', 'required', 'size'],
+            'option': ['value', 'selected', 'disabled', 'label'],
+            'optgroup': ['label', 'disabled'],
+            'textarea': ['name', 'rows', 'cols', 'disabled', 'readonly', 'required', 'placeholder', 'maxlength'],
+            'fieldset': ['disabled', 'name']
+        },
+
+        /**
+         * Framework control attributes, never kept in untrusted fragments
+         *
+         * Their values are AJAX actions / selectors the framework acts on
+         * with wpdtConfig.nonce.
+         *
+         * @var {Array}
+         */
+        reservedDataAttributes: [
+            'data-load-action', 'data-content-target', 'data-ajax-action',
+            'data-badges-action', 'data-refresh-on'
+        ],
+
+        /**
+         * Prefix of framework control attributes (data-wpdt-action, ...)
+         *
+         * @var {string}
+         */
+        reservedDataPrefix: 'data-wpdt-',
+
+        /**
+         * Attributes holding URLs
+         *
+         * @var {Array}
+         */
+        urlAttributes: ['href', 'src', 'action'],
+
+        /**
+         * Trusted fragments added from JS ({ entity: [path, ...] })
+         *
+         * @var {Object}
+         */
+        trustedFragments: {},
+
+        /**
+         * Get sanitize configuration
+         *
+         * @return {Object} Config with defaults
+         */
+        getConfig() {
+            const config = (typeof wpdtConfig !== 'undefined' && wpdtConfig.panel && wpdtConfig.panel.sanitize)
+                ? wpdtConfig.panel.sanitize
+                : {};
+
+            return {
+                enabled: config.enabled !== undefined ? !!config.enabled : true,
+                trustTabs: config.trustTabs !== undefined ? !!config.trustTabs : true,
+                allowedTags: config.allowedTags || [],
+                allowedAttributes: config.allowedAttributes || {},
+                trusted: config.trusted || {}
+            };
+        },
+
+        /**
+         * Escape plain text for HTML
+         *
+         * @param {*} text Text
+         * @return {string} Escaped text
+         */
+        escapeHtml(text) {
+            if (text === undefined || text === null) {
+                return '';
+            }
+
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+
+        /**
+         * Mark fragments of an entity payload as trusted
+         *
+         * @param {string} entity Entity type
+         * @param {Array|string} paths Fragment paths ("html", "content", "tabs.{id}", "tabs.*")
+         */
+        trust(entity, paths) {
+            const list = Array.isArray(paths) ? paths : [paths];
+
+            this.trustedFragments[entity] = (this.trustedFragments[entity] || []).concat(list);
+        },
+
+        /**
+         * Check if fragment is trusted
+         *
+         * @param {string} entity Entity type
+         * @param {string} path Fragment path
+         * @return {boolean} True if fragment skips sanitizing
+         */
+        isTrusted(entity, path) {
+            const config = this.getConfig();
+            const paths = (this.trustedFragments[entity] || []).concat(config.trusted[entity] || []);
+            const group = path.split('.')[0];
+
+            if (paths.indexOf(path) !== -1 || (group === 'tabs' && config.trustTabs)) {
+                return true;
+            }
+
+            // Wildcard: "tabs.*" trusts every tab
+            return paths.indexOf(group + '.*') !== -1;
+        },
+
+        /**
+         * Prepare HTML fragment of a panel payload for injection
+         *
+         * @param {string} entity Entity type
+         * @param {string} path Fragment path
+         * @param {string} html HTML from server
+         * @return {string} Sanitized (or trusted) HTML
+         */
+        fragment(entity, path, html) {
+            if (html === undefined || html === null) {
+                return '';
+            }
+
+            if (!this.getConfig().enabled || this.isTrusted(entity, path)) {
+                return String(html);
+            }
+
+            const result = this.clean(html);
+
+            // Silent breakage is worse than noise: say what was dropped
+            if (result.removed.length > 0) {
+                log.warn('Fragment altered by sanitizer (trust "' + path + '" to keep it as-is):',
+                    entity + ':' + path, result.removed.filter((item, index, list) => list.indexOf(item) === index));
+            }
+
+            return result.html;
+        },
+
+        /**
+         * Sanitize HTML with the allowlist
+         *
+         * @param {string} html HTML
+         * @return {string} Sanitized HTML
+         */
+        sanitize(html) {
+            return this.clean(html).html;
+        },
+
+        /**
+         * Sanitize HTML and report what was removed
+         *
+         * @param {string} html HTML
+         * @return {Object} { html, removed: ['script', 'a[onclick]', ...] }
+         */
+        clean(html) {
+            const config = this.getConfig();
+            const doc = document.implementation.createHTMLDocument('');
+            const body = doc.body;
+
+            body.innerHTML = String(html);
+
+            const tags = this.allowedTags.concat(config.allowedTags);
+            const attributes = $.extend(true, {}, this.allowedAttributes);
+
+            $.each(config.allowedAttributes, function(tag, list) {
+                attributes[tag] = (attributes[tag] || []).concat(list);
+            });
+
+            this.removed = [];
+            this.cleanNode(body, tags, attributes);
+
+            const removed = this.removed;
+            this.removed = null;
+
+            return { html: body.innerHTML, removed: removed };
+        },
+
+        /**
+         * Record a removed element/attribute for the fragment warning
+         *
+         * @param {string} item Description ("script", "a[onclick]")
+         */
+        report(item) {
+            if (this.removed) {
+                this.removed.push(item);
+            }
+        },
+
+        /**
+         * Clean children of a node (recursive)
+         *
+         * @param {Node} node Parent node
+         * @param {Array} tags Allowed tags
+         * @param {Object} attributes Allowed attributes
+         */
+        cleanNode(node, tags, attributes) {
+            let child = node.firstChild;
+
+            while (child) {
+                const next = child.nextSibling;
+
+                if (child.nodeType === 1) {
+                    const tag = child.nodeName.toLowerCase();
+
+                    if (this.droppedTags.indexOf(tag) !== -1) {
+                        this.report(tag);
+                        node.removeChild(child);
+                    } else if (tags.indexOf(tag) === -1) {
+                        // Unknown element: keep its children, drop the element
+                        this.report(tag);
+                        this.cleanNode(child, tags, attributes);
+                        while (child.firstChild) {
+                            node.insertBefore(child.firstChild, child);
+                        }
+                        node.removeChild(child);
+                    } else {
+                        this.cleanAttributes(child, tag, attributes);
+                        this.cleanNode(child, tags, attributes);
+                    }
+                } else if (child.nodeType !== 3) {
+                    // Comments, processing instructions
+                    node.removeChild(child);
+                }
+
+                child = next;
+            }
+        },
+
+        /**
+         * Remove attributes not on the allowlist
+         *
+         * @param {Element} element Element
+         * @param {string} tag Lowercase tag name
+         * @param {Object} attributes Allowed attributes
+         */
+        cleanAttributes(element, tag, attributes) {
+            const allowed = (attributes['*'] || []).concat(attributes[tag] || []);
+
+            Array.prototype.slice.call(element.attributes).forEach((attr) => {
+                const name = attr.name.toLowerCase();
+                const isAllowed = allowed.indexOf(name) !== -1 ||
+                    name.indexOf('aria-') === 0 ||
+                    (name.indexOf('data-') === 0 && !this.isReservedData(name));
+
+                if (!isAllowed || (this.urlAttributes.indexOf(name) !== -1 && !this.isSafeUrl(attr.value))) {
+                    this.report(tag + '[' + name + ']');
+                    element.removeAttribute(attr.name);
+                    return;
+                }
+
+                if (name === 'style') {
+                    const style = this.cleanStyle(attr.value);
+
+                    if (style.dropped > 0) {
+                        this.report(tag + '[style]');
+                    }
+
+                    if (style.value) {
+                        element.setAttribute('style', style.value);
+                    } else {
+                        element.removeAttribute('style');
+                    }
+                }
+            });
+
+            // Links opening a new window must not get access to the opener
+            if (tag === 'a' && element.getAttribute('target') === '_blank') {
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+        },
+
+        /**
+         * Drop style declarations that load resources or run code
+         *
+         * Declarations with escapes or markup characters are dropped too
+         * (escapes can spell "url(" without the letters).
+         *
+         * @param {string} style Inline style
+         * @return {Object} { value: kept declarations, dropped: count }
+         */
+        cleanStyle(style) {
+            const unsafe = /[\\<>]|url\s*\(|image-set\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|-moz-binding/i;
+            const declarations = String(style)
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .split(';')
+                .map((declaration) => declaration.trim())
+                .filter((declaration) => declaration !== '');
+
+            const kept = declarations.filter((declaration) => {
+                return /^-?[a-z][a-z0-9-]*\s*:/i.test(declaration) && !unsafe.test(declaration);
+            });
+
+            return { value: kept.join('; '), dropped: declarations.length - kept.length };
+        },
+
+        /**
+         * Check if a data attribute controls framework behavior
+         *
+         * @param {string} name Lowercase attribute name
+         * @return {boolean} True if reserved
+         */
+        isReservedData(name) {
+            return this.reservedDataAttributes.indexOf(name) !== -1 || name.indexOf(this.reservedDataPrefix) === 0;
+        },
+
+        /**
+         * Check URL scheme
+         *
+         * @param {string} url URL
+         * @return {boolean} True for http(s), mailto, tel and relative URLs
+         */
+        isSafeUrl(url) {
+            // Strip whitespace/control chars browsers ignore inside schemes ("java\tscript:")
+            const value = String(url).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+            const scheme = value.match(/^([a-z][a-z0-9+.-]*):/);
+
+            return !scheme || ['http', 'https', 'mailto', 'tel'].indexOf(scheme[1]) !== -1;
+        }
+    };
+
+    // Expose to global scope
+    window.WPDTPanelRenderer = WPDTPanelRenderer;
+
+})(jQuery);
@@ -0,0 +1,278 @@
+/**
+ * Panel Splitter - Dual Panel
+ *
+ * Draggable divider between left and right panel.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/panel-splitter.js
+ *
+ * Description: Resizable split untuk dual panel layout.
+ *              Applies layout.leftPanelWidth/rightPanelWidth dari wpdtConfig,
+ *              lets users drag (mouse/touch) atau keyboard resize divider,
+ *              dan simpan ratio per entity per user di localStorage.
+ *
+ * Features:
+ * - Pointer drag (mouse, touch, pen)
+ * - Keyboard: Left/Right (2%), Shift+Left/Right (10%), Home/End (min/max)
+ * - Double-click resets to configured width
+ * - Min/max width clamp (layout.minLeftPanelWidth / maxLeftPanelWidth)
+ * - Persisted ratio per entity per user
+ * - DataTable columns.adjust() after each resize
+ *
+ * Events Triggered:
+ * - wpdt:panel-resized { entity, leftWidth, rightWidth }
+ *
+ * Created by: WPDTPanelManager (one splitter per layout)
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Drag and keyboard resize
+ * - Per entity per user persistence
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Panel Splitter Class
+     */
+    class WPDTPanelSplitter {
+        /**
+         * @param {WPDTPanelManager} manager Owning panel manager
+         */
+        constructor(manager) {
+            this.manager = manager;
+            this.layout = manager.layout;
+            this.leftPanel = manager.leftPanel;
+            this.rightPanel = manager.rightPanel;
+            this.entity = manager.currentEntity;
+            this.handle = null;
+            this.ratio = null;
+            this.dragging = false;
+
+            const layoutConfig = (typeof wpdtConfig !== 'undefined' && wpdtConfig.layout) ? wpdtConfig.layout : {};
+
+            this.defaultRatio = this.parsePercent(layoutConfig.leftPanelWidth, 45);
+            this.min = this.parsePercent(layoutConfig.minLeftPanelWidth, 25);
+            this.max = this.parsePercent(layoutConfig.maxLeftPanelWidth, 75);
+            this.resizable = layoutConfig.resizable !== undefined ? !!layoutConfig.resizable : true;
+
+            this.init();
+        }
+
+        /**
+         * Initialize splitter
+         */
+        init() {
+            if (this.leftPanel.length === 0 || this.rightPanel.length === 0) {
+                return;
+            }
+
+            const stored = this.load();
+            this.apply(stored !== null ? stored : this.defaultRatio);
+
+            if (!this.resizable) {
+                return;
+            }
+
+            this.render();
+            this.bindEvents();
+        }
+
+        /**
+         * Parse "45%" / 45 to number
+         *
+         * @param {string|number} value Width value
+         * @param {number} fallback Default value
+         * @return {number} Percentage
+         */
+        parsePercent(value, fallback) {
+            const number = parseFloat(value);
+            return isNaN(number) ? fallback : number;
+        }
+
+        /**
+         * Insert divider element between panels
+         */
+        render() {
+            const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+            const leftId = this.leftPanel.attr('id');
+
+            this.handle = $('<div>')
+                .addClass('wpdt-panel-splitter')
+                .attr({
+                    role: 'separator',
+                    tabindex: 0,
+                    'aria-orientation': 'vertical',
+                    'aria-label': i18n.resizePanels || 'Resize panels',
+                    'aria-valuemin': this.min,
+                    'aria-valuemax': this.max,
+                    'aria-valuenow': Math.round(this.ratio)
+                });
+
+            if (leftId) {
+                this.handle.attr('aria-controls', leftId);
+            }
+
+            this.leftPanel.after(this.handle);
+            this.leftPanel.parent().addClass('has-splitter');
+        }
+
+        /**
+         * Bind drag and keyboard handlers
+         */
+        bindEvents() {
+            const self = this;
+            const handle = this.handle[0];
+
+            this.handle.on('pointerdown', function(e) {
+                if (e.button !== undefined && e.button !== 0) {
+                    return;
+                }
+
+                e.preventDefault();
+                self.dragging = true;
+                handle.setPointerCapture(e.pointerId);
+                self.layout.addClass('is-resizing');
+            });
+
+            this.handle.on('pointermove', function(e) {
+                if (!self.dragging) {
+                    return;
+                }
+
+                const rect = self.leftPanel.parent()[0].getBoundingClientRect();
+                if (rect.width > 0) {
+                    self.apply(((e.clientX - rect.left) / rect.width) * 100);
+                }
+            });
+
+            this.handle.on('pointerup pointercancel', function(e) {
+                if (!self.dragging) {
+                    return;
+                }
+
+                self.dragging = false;
+                if (handle.hasPointerCapture(e.pointerId)) {
+                    handle.releasePointerCapture(e.pointerId);
+                }
+                self.layout.removeClass('is-resizing');
+                self.commit();
+            });
+
+            this.handle.on('keydown', function(e) {
+                const step = e.shiftKey ? 10 : 2;
+                let ratio = null;
+
+                switch (e.key) {
+                    case 'ArrowLeft':
+                        ratio = self.ratio - step;
+                        break;
+                    case 'ArrowRight':
+                        ratio = self.ratio + step;
+                        break;
+                    case 'Home':
+                        ratio = self.min;
+                        break;
+                    case 'End':
+                        ratio = self.max;
+                        break;
+                    default:
+                        return;
+                }
+
+                e.preventDefault();
+                self.apply(ratio);
+                self.commit();
+            });
+
+            this.handle.on('dblclick', function() {
+                self.apply(self.defaultRatio);
+                self.commit();
+            });
+        }
+
+        /**
+         * Apply left panel ratio (clamped to min/max)
+         *
+         * @param {number} ratio Left panel width in percent
+         */
+        apply(ratio) {
+            this.ratio = Math.min(this.max, Math.max(this.min, ratio));
+
+            const layout = this.layout[0];
+            layout.style.setProperty('--wpdt-left-panel-width', this.ratio + '%');
+            layout.style.setProperty('--wpdt-right-panel-width', (100 - this.ratio) + '%');
+
+            if (this.handle) {
+                this.handle.attr('aria-valuenow', Math.round(this.ratio));
+            }
+        }
+
+        /**
+         * Finish a resize: persist, adjust DataTable, notify
+         */
+        commit() {
+            this.save(this.ratio);
+
+            const dataTable = this.manager.getDataTableInstance();
+            if (dataTable) {
+                dataTable.columns.adjust();
+            }
+
+            $(document).trigger('wpdt:panel-resized', {
+                entity: this.entity,
+                leftWidth: this.ratio,
+                rightWidth: 100 - this.ratio
+            });
+        }
+
+        /**
+         * Storage key (per entity per user)
+         *
+         * @return {string} localStorage key
+         */
+        storageKey() {
+            const userId = (typeof wpdtConfig !== 'undefined' && wpdtConfig.userId) ? wpdtConfig.userId : 0;
+            return 'wpdt:panel-split:' + userId + ':' + this.entity;
+        }
+
+        /**
+         * Load stored ratio
+         *
+         * @return {number|null} Stored ratio or null
+         */
+        load() {
+            try {
+                const value = window.localStorage.getItem(this.storageKey());
+                const ratio = value !== null ? parseFloat(value) : NaN;
+                return isNaN(ratio) ? null : ratio;
+            } catch (e) {
+                // Storage disabled (private mode, quota) - use default
+                return null;
+            }
+        }
+
+        /**
+         * Save ratio
+         *
+         * @param {number} ratio Left panel width in percent
+         */
+        save(ratio) {
+            try {
+                window.localStorage.setItem(this.storageKey(), String(Math.round(ratio * 10) / 10));
+            } catch (e) {
+                // Storage disabled - resize still works for this page view
+            }
+        }
+    }
+
+    // Expose class (instantiated by panel manager)
+    window.WPDTPanelSplitter = WPDTPanelSplitter;
+
+})(jQuery);
@@ -0,0 +1,650 @@
+/**
+ * Panel Stack - Dual Panel
+ *
+ * Drill-down stack untuk nested entities di right panel.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/panel-stack.js
+ *
+ * Description: Nested entity (misal branch di Branches tab customer)
+ *              dibuka sebagai level baru di atas parent detail view.
+ *              Parent view tidak di-destroy, jadi tab dan scroll position
+ *              tetap sama saat user kembali lewat breadcrumbs/back button.
+ *
+ * Features:
+ * - Push nested entity on top of the parent view (any depth)
+ * - Breadcrumbs and back button per level
+ * - Each level keeps its own tabs and scroll position
+ * - Stack stored in URL (#customer-12&tab=branches&nested=branch/5)
+ * - Browser back/forward pops/pushes levels
+ * - Escape pops one level before closing the panel
+ *
+ * Nested Triggers (inside the right panel):
+ * ```html
+ * <!-- Button: entity + id + ajax action (or panel.nestedActions config) -->
+ * <button class="wpdt-panel-trigger" data-entity="branch" data-id="5"
+ *         data-ajax-action="get_branch_details">View</button>
+ *
+ * <!-- Nested DataTable: rows with data-id open the table's entity -->
+ * <table class="wpdt-datatable" data-entity="branch" data-ajax-action="get_branch_details">
+ * ```
+ *
+ * Nested AJAX Action:
+ * - data-ajax-action of the trigger/row/table, else
+ *   wpdtConfig.panel.nestedActions[entity] (also used when the stack is
+ *   restored from the URL)
+ * - No action: error logged and the level is not opened (the parent
+ *   layout's action is never used for a nested entity)
+ * - Untrusted fragments lose data-ajax-action (WPDTPanelRenderer), so
+ *   triggers in them need the config
+ *
+ * Nested Payload:
+ * - Same AJAX response as the root panel: { title, html|content }
+ * - Request receives entity, id, parent_entity, parent_id
+ * - Tab markup (.wpdt-tab-wrapper/.wpdt-tab-content) inside html works per level
+ *
+ * Events Triggered:
+ * - wpdt:panel-level-pushing - Before nested level opens (preventable)
+ * - wpdt:panel-level-pushed - Nested level opened
+ * - wpdt:panel-level-popping - Before nested level(s) close (preventable;
+ *   back button, breadcrumbs, Escape, browser back)
+ * - wpdt:panel-level-popped - Nested level(s) closed
+ * - wpdt:tab-switching - Before a nested level's tab switches (preventable,
+ *   with level = depth)
+ * - wpdt:panel-level-loaded - Nested payload rendered
+ *
+ * Created by: WPDTPanelManager (one stack per layout)
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Console output through WPDTLogger ('Stack' namespace)
+ * - Replaces nested entity prevention (ignored triggers) in panel manager
+ * - Nested payload HTML passed through WPDTPanelRenderer
+ * - Preventable wpdt:panel-level-popping and wpdt:tab-switching for nested
+ *   levels (unsaved forms guarded by form-guard.js); browser back restores
+ *   the hash when a pop is cancelled
+ * - Nested action from markup or panel.nestedActions only; push() refuses
+ *   (error logged) instead of posting the parent layout's action
+ */
+
+(function($) {
+    'use strict';
+
+    const log = WPDTLogger.create('Stack');
+
+    /**
+     * Panel Stack Class
+     */
+    class WPDTPanelStack {
+        /**
+         * @param {WPDTPanelManager} manager Owning panel manager
+         */
+        constructor(manager) {
+            this.manager = manager;
+            this.entity = manager.currentEntity;
+            this.rightPanel = manager.rightPanel;
+            this.rootView = manager.rootView;
+            this.container = null;
+            this.levels = [];
+            this.rootScrollTop = 0;
+
+            this.init();
+        }
+
+        /**
+         * Initialize stack container and events
+         */
+        init() {
+            if (!this.rightPanel || this.rightPanel.length === 0) {
+                return;
+            }
+
+            this.container = $('<div>').addClass('wpdt-panel-stack');
+            this.rightPanel.append(this.container);
+
+            this.bindEvents();
+        }
+
+        /**
+         * Bind breadcrumb, back and nested tab handlers
+         */
+        bindEvents() {
+            const self = this;
+
+            this.container.on('click', '.wpdt-panel-back', function(e) {
+                e.preventDefault();
+                self.pop();
+            });
+
+            this.container.on('click', '.wpdt-panel-crumb', function(e) {
+                e.preventDefault();
+                self.popTo(parseInt($(this).attr('data-depth'), 10));
+            });
+
+            // Tabs inside nested levels (root tabs belong to the tab manager)
+            this.container.on('click', '.wpdt-tab-wrapper .nav-tab', function(e) {
+                e.preventDefault();
+                self.switchLevelTab($(this));
+            });
+        }
+
+        /**
+         * Number of nested levels on top of the root view
+         *
+         * @return {number} Depth (0 = root only)
+         */
+        depth() {
+            return this.levels.length;
+        }
+
+        /**
+         * Current nested level
+         *
+         * @return {Object|null} Level or null when root is shown
+         */
+        current() {
+            return this.levels.length > 0 ? this.levels[this.levels.length - 1] : null;
+        }
+
+        /**
+         * Push nested entity on top of the current view
+         *
+         * @param {string} entity Nested entity type
+         * @param {number|string} id Nested entity ID
+         * @param {Object} options Push options
+         *   @param {string} options.ajaxAction AJAX action (default: panel.nestedActions[entity])
+         *   @param {string} options.title Title shown until the payload arrives
+         *   @param {boolean} options.updateUrl Write stack to URL hash (default: true)
+         * @return {boolean} True if the level is on top (pushed or already there)
+         */
+        push(entity, id, options) {
+            const opts = options || {};
+            const parent = this.current();
+
+            if (!entity || id === undefined || id === null || id === '') {
+                return false;
+            }
+
+            // Same record already on top
+            if (parent && parent.entity === entity && parent.id === String(id)) {
+                return true;
+            }
+
+            const ajaxAction = opts.ajaxAction || this.getNestedAction(entity);
+
+            if (!ajaxAction) {
+                log.error('No AJAX action for nested entity (set data-ajax-action or panel.nestedActions):', entity, id);
+                return false;
+            }
+
+            const pushingEvent = $.Event('wpdt:panel-level-pushing', {
+                entity: this.entity,
+                id: this.manager.currentId,
+                nestedEntity: entity,
+                nestedId: id,
+                depth: this.levels.length + 1
+            });
+            $(document).trigger(pushingEvent);
+
+            if (pushingEvent.isDefaultPrevented()) {
+                return false;
+            }
+
+            // Remember where the user was in the view being covered
+            if (parent) {
+                parent.scrollTop = this.rightPanel.scrollTop();
+                parent.$el.addClass('hidden');
+            } else {
+                this.rootScrollTop = this.rightPanel.scrollTop();
+                this.rootView.addClass('hidden');
+            }
+
+            const level = {
+                entity: entity,
+                id: String(id),
+                ajaxAction: ajaxAction,
+                title: opts.title || '',
+                scrollTop: 0,
+                request: null,
+                $el: null
+            };
+
+            level.$el = this.renderLevel(level, this.levels.length + 1);
+            this.levels.push(level);
+            this.container.append(level.$el);
+            this.rightPanel.addClass('has-stack').scrollTop(0);
+            this.renderBreadcrumbs();
+
+            if (opts.updateUrl !== false) {
+                this.updateUrl();
+            }
+
+            this.load(level);
+
+            $(document).trigger('wpdt:panel-level-pushed', {
+                entity: this.entity,
+                id: this.manager.currentId,
+                nestedEntity: level.entity,
+                nestedId: level.id,
+                depth: this.levels.length
+            });
+
+            return true;
+        }
+
+        /**
+         * AJAX action of a nested entity from config
+         *
+         * @param {string} entity Nested entity type
+         * @return {string|null} Action from wpdtConfig.panel.nestedActions
+         */
+        getNestedAction(entity) {
+            const actions = (typeof wpdtConfig !== 'undefined' && wpdtConfig.panel && wpdtConfig.panel.nestedActions)
+                ? wpdtConfig.panel.nestedActions
+                : {};
+
+            return actions[entity] || null;
+        }
+
+        /**
+         * Pop the top level
+         *
+         * @param {Object} options { updateUrl: boolean }
+         * @return {boolean} False if the pop was prevented
+         */
+        pop(options) {
+            return this.popTo(this.levels.length - 1, options);
+        }
+
+        /**
+         * Pop levels until depth remains
+         *
+         * @param {number} depth Target depth (0 = root view)
+         * @param {Object} options Pop options
+         *   @param {boolean} options.updateUrl Write stack to URL hash (default: true)
+         * @return {boolean} False if the pop was prevented
+         */
+        popTo(depth, options) {
+            const opts = options || {};
+            const target = Math.max(0, depth);
+
+            if (isNaN(target) || target >= this.levels.length) {
+                return true;
+            }
+
+            const poppingEvent = $.Event('wpdt:panel-level-popping', {
+                entity: this.entity,
+                id: this.manager.currentId,
+                depth: target,
+                fromDepth: this.levels.length
+            });
+            $(document).trigger(poppingEvent);
+
+            if (poppingEvent.isDefaultPrevented()) {
+                return false;
+            }
+
+            const removed = this.levels.splice(target);
+            removed.forEach((level) => this.destroyLevel(level));
+
+            const top = this.current();
+
+            if (top) {
+                top.$el.removeClass('hidden');
+                this.rightPanel.scrollTop(top.scrollTop);
+            } else {
+                this.rootView.removeClass('hidden');
+                this.rightPanel.removeClass('has-stack').scrollTop(this.rootScrollTop);
+            }
+
+            this.renderBreadcrumbs();
+
+            if (opts.updateUrl !== false) {
+                this.updateUrl();
+            }
+
+            $(document).trigger('wpdt:panel-level-popped', {
+                entity: this.entity,
+                id: this.manager.currentId,
+                depth: this.levels.length
+            });
+
+            return true;
+        }
+
+        /**
+         * Elements of the levels above a depth
+         *
+         * @param {number} depth Depth that remains (0 = root view)
+         * @return {jQuery} Level elements
+         */
+        getLevelElements(depth) {
+            return $(this.levels.slice(Math.max(0, depth)).map((level) => level.$el[0]));
+        }
+
+        /**
+         * Drop all levels without touching the URL
+         *
+         * Used when the root record changes or the panel closes.
+         */
+        reset() {
+            if (this.levels.length === 0) {
+                return;
+            }
+
+            this.levels.forEach((level) => this.destroyLevel(level));
+            this.levels = [];
+            this.rootScrollTop = 0;
+            this.rootView.removeClass('hidden');
+            this.rightPanel.removeClass('has-stack');
+        }
+
+        /**
+         * Match stack to a list from the URL (page load, back/forward)
+         *
+         * Keeps the levels both stacks share, pops the rest and pushes
+         * the missing ones.
+         *
+         * @param {Array} list Flat [entity, id, entity, id, ...]
+         * @return {boolean} False if the stack does not match the list (pop
+         *   prevented, or a level could not be pushed) - caller rewrites the URL
+         */
+        sync(list) {
+            const targets = [];
+
+            for (let i = 0; i + 1 < (list || []).length; i += 2) {
+                targets.push({ entity: list[i], id: String(list[i + 1]) });
+            }
+
+            let shared = 0;
+            while (shared < this.levels.length && shared < targets.length &&
+                this.levels[shared].entity === targets[shared].entity &&
+                this.levels[shared].id === targets[shared].id) {
+                shared++;
+            }
+
+            if (shared < this.levels.length && !this.popTo(shared, { updateUrl: false })) {
+                return false;
+            }
+
+            return targets.slice(shared).every((target) => {
+                return this.push(target.entity, target.id, { updateUrl: false });
+            });
+        }
+
+        /**
+         * Flat list of the stack for the URL
+         *
+         * @return {Array} [entity, id, entity, id, ...]
+         */
+        toList() {
+            const list = [];
+
+            this.levels.forEach(function(level) {
+                list.push(level.entity, level.id);
+            });
+
+            return list;
+        }
+
+        /**
+         * Write stack to this layout's hash segment
+         *
+         * @param {Object} options { replace: boolean } (default: pushState)
+         */
+        updateUrl(options) {
+            const list = this.toList();
+
+            WPDTHashRouter.update(this.entity, {
+                nested: list.length > 0 ? WPDTHashRouter.encodeList(list) : null
+            }, options);
+        }
+
+        /**
+         * Build level element
+         *
+         * @param {Object} level Level
+         * @param {number} depth Level depth (1 = first nested level)
+         * @return {jQuery} Level element
+         */
+        renderLevel(level, depth) {
+            const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+
+            const $back = $('<button>')
+                .attr({ type: 'button', 'aria-label': i18n.back || 'Back' })
+                .addClass('wpdt-panel-back')
+                .append($('<span>').addClass('dashicons dashicons-arrow-left-alt2'));
+
+            const $header = $('<div>').addClass('wpdt-panel-header wpdt-panel-level-header')
+                .append($back)
+                .append($('<div>').addClass('wpdt-panel-level-heading')
+                    .append($('<nav>').addClass('wpdt-panel-breadcrumbs').attr('aria-label', i18n.breadcrumbs || 'Breadcrumbs'))
+                    .append($('<h2>').addClass('wpdt-panel-title')
+                        .append($('<span>').addClass('wpdt-panel-level-title').text(level.title || level.entity + ' #' + level.id))));
+
+            const $content = $('<div>').addClass('wpdt-panel-level-content')
+                .append($('<div>').addClass('wpdt-loading-placeholder visible')
+                    .append($('<span>').addClass('spinner is-active'))
+                    .append($('<p>').text(i18n.loading || 'Loading...')));
+
+            return $('<div>')
+                .addClass('wpdt-panel-level')
+                .attr({
+                    'data-entity': level.entity,
+                    'data-id': level.id,
+                    'data-depth': depth
+                })
+                .append($header)
+                .append($content);
+        }
+
+        /**
+         * Render breadcrumbs of every level (root › ... › current)
+         */
+        renderBreadcrumbs() {
+            const rootTitle = this.rootView.find('.wpdt-entity-name').first().text() || this.entity + ' #' + this.manager.currentId;
+
+            this.levels.forEach((level, index) => {
+                const $nav = level.$el.find('.wpdt-panel-breadcrumbs').first().empty();
+                const crumbs = [rootTitle].concat(this.levels.slice(0, index).map((item) => item.title || item.entity + ' #' + item.id));
+
+                crumbs.forEach(function(title, depth) {
+                    $nav.append(
+                        $('<button>')
+                            .attr({ type: 'button', 'data-depth': depth })
+                            .addClass('wpdt-panel-crumb')
+                            .text(title)
+                    );
+                    $nav.append($('<span>').addClass('wpdt-panel-crumb-separator').attr('aria-hidden', 'true').text('›'));
+                });
+
+                $nav.append($('<span>').addClass('wpdt-panel-crumb-current').attr('aria-current', 'page')
+                    .text(level.title || level.entity + ' #' + level.id));
+            });
+        }
+
+        /**
+         * Load nested payload
+         *
+         * Renders from wpdtPanelCache first when available, then
+         * replaces it with the server response.
+         *
+         * @param {Object} level Level
+         */
+        load(level) {
+            const cache = this.manager.getCache();
+            const cached = cache ? cache.get(level.entity, level.id) : null;
+
+            if (cached) {
+                this.renderPayload(level, cached);
+            }
+
+            if (!level.ajaxAction) {
+                log.warn('No AJAX action for nested entity:', level.entity);
+                return;
+            }
+
+            level.request = $.ajax({
+                url: wpdtConfig.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: level.ajaxAction,
+                    entity: level.entity,
+                    id: level.id,
+                    parent_entity: this.entity,
+                    parent_id: this.manager.currentId,
+                    nonce: wpdtConfig.nonce
+                }
+            });
+
+            level.request
+                .done((response) => {
+                    if (response && response.success && response.data) {
+                        if (cache) {
+                            cache.set(level.entity, level.id, response.data);
+                        }
+
+                        if (!cached || JSON.stringify(cached) !== JSON.stringify(response.data)) {
+                            this.renderPayload(level, response.data);
+                        }
+                    } else {
+                        if (cache) {
+                            cache.delete(level.entity, level.id);
+                        }
+                        this.renderError(level, response && response.data ? response.data.message : 'Unknown error');
+                    }
+                })
+                .fail((jqXHR, textStatus, errorThrown) => {
+                    if (textStatus === 'abort' || cached) {
+                        return;
+                    }
+                    this.renderError(level, errorThrown || 'Network error');
+                })
+                .always(() => {
+                    level.request = null;
+                });
+        }
+
+        /**
+         * Render nested payload into its level
+         *
+         * @param {Object} level Level
+         * @param {Object} data Response data { title, html|content }
+         */
+        renderPayload(level, data) {
+            const $content = level.$el.find('.wpdt-panel-level-content').first();
+
+            if (data.title) {
+                level.title = data.title;
+                level.$el.find('.wpdt-panel-level-title').first().text(data.title);
+                this.renderBreadcrumbs();
+            }
+
+            $content.html(data.html
+                ? WPDTPanelRenderer.fragment(level.entity, 'html', data.html)
+                : WPDTPanelRenderer.fragment(level.entity, 'content', data.content));
+
+            // Activate first tab of the level (if the payload has tabs)
+            const $firstTab = $content.find('.wpdt-tab-wrapper .nav-tab-active').first();
+            this.switchLevelTab($firstTab.length > 0 ? $firstTab : $content.find('.wpdt-tab-wrapper .nav-tab').first(), true);
+
+            $(document).trigger('wpdt:panel-level-loaded', {
+                entity: this.entity,
+                id: this.manager.currentId,
+                nestedEntity: level.entity,
+                nestedId: level.id,
+                data: data
+            });
+        }
+
+        /**
+         * Render nested load error
+         *
+         * @param {Object} level Level
+         * @param {string} message Error message
+         */
+        renderError(level, message) {
+            level.$el.find('.wpdt-panel-level-content').first().empty().append(
+                $('<div>').addClass('notice notice-error wpdt-panel-error')
+                    .append($('<p>').text(message))
+            );
+        }
+
+        /**
+         * Switch tab inside a nested level
+         *
+         * @param {jQuery} $navTab Clicked .nav-tab
+         * @param {boolean} force Switch even if already active (initial render)
+         */
+        switchLevelTab($navTab, force) {
+            if (!$navTab || $navTab.length === 0 || (!force && $navTab.hasClass('nav-tab-active'))) {
+                return;
+            }
+
+            const $level = $navTab.closest('.wpdt-panel-level');
+            const tabId = String($navTab.data('tab'));
+            const $contents = $level.find('.wpdt-tab-content');
+
+            // Same guard as root tabs (unsaved forms in the tab being left)
+            if (!force) {
+                const switchingEvent = $.Event('wpdt:tab-switching', {
+                    entity: this.entity,
+                    level: this.container.children('.wpdt-panel-level').index($level) + 1,
+                    fromTab: $navTab.siblings('.nav-tab-active').first().data('tab') || null,
+                    toTab: tabId
+                });
+                $(document).trigger(switchingEvent);
+
+                if (switchingEvent.isDefaultPrevented()) {
+                    return;
+                }
+            }
+            const $target = $contents.filter(function() {
+                return this.id === tabId || String($(this).data('tab-id')) === tabId;
+            }).first();
+
+            $navTab.siblings('.nav-tab').removeClass('nav-tab-active');
+            $navTab.addClass('nav-tab-active');
+            $contents.removeClass('active');
+            $target.addClass('active');
+
+            // Autoload tabs reuse the tab manager's loader with the nested entity type
+            const tabManager = window.wpdtTabManager && window.wpdtTabManager.get
+                ? window.wpdtTabManager.get(this.entity)
+                : null;
+
+            if (tabManager && $target.length > 0) {
+                tabManager.autoLoadTabContent($target, $level.attr('data-entity'));
+            }
+        }
+
+        /**
+         * Abort request and remove level element
+         *
+         * @param {Object} level Level
+         */
+        destroyLevel(level) {
+            if (level.request) {
+                level.request.abort();
+                level.request = null;
+            }
+
+            level.$el.find('table').each(function() {
+                if ($.fn.DataTable && $.fn.DataTable.isDataTable(this)) {
+                    $(this).DataTable().destroy();
+                }
+            });
+
+            level.$el.remove();
+        }
+    }
+
+    // Expose class (instantiated by panel manager)
+    window.WPDTPanelStack = WPDTPanelStack;
+
+})(jQuery);
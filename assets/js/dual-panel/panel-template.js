@@ -0,0 +1,456 @@
+/**
+ * Panel Template - Dual Panel
+ *
+ * Client-side templates untuk 'inline' panel load method.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/panel-template.js
+ *
+ * Description: Render right panel langsung dari DataTables row data
+ *              memakai template di halaman, tanpa AJAX round trip.
+ *              Output sama dengan AJAX payload ({ title, tabs|html })
+ *              jadi tetap lewat updatePanelContent().
+ *
+ * Trust:
+ * The template comes from the page, not from row data: its markup is
+ * injected as-is (autoload attributes, classes, structure), whatever
+ * panel.sanitize says. Row values are escaped when interpolated, "raw"
+ * values go through WPDTPanelRenderer.sanitize(). Escaping covers HTML
+ * text and quoted attributes only - never interpolate into <script> or
+ * on* attributes.
+ *
+ * Template Element (one per entity, anywhere on the page):
+ * ```html
+ * <script type="text/x-wpdt-template" class="wpdt-panel-template"
+ *         data-entity="customer" data-title="{{ name }} ({{ code }})">
+ *     <template data-tab="details">
+ *         <h3>{{ name }}</h3>
+ *         <p>{{ email | default:"-" }}</p>
+ *         {{#if npwp}}<p>NPWP: {{ npwp }}</p>{{else}}<p>-</p>{{/if}}
+ *         <ul>{{#each tags}}<li>{{ this | upper }}</li>{{/each}}</ul>
+ *     </template>
+ *
+ *     <!-- Autoload tab: still fetched lazily by the tab manager
+ *          (template markup is trusted, no panel.sanitize.trusted needed) -->
+ *     <template data-tab="branches">
+ *         <div class="wpdt-tab-autoload" data-customer-id="{{ id }}"
+ *              data-load-action="load_customer_branches_tab"
+ *              data-content-target=".wpdt-tab-loaded-content">
+ *             <div class="wpdt-tab-loading">...</div>
+ *             <div class="wpdt-tab-loaded-content"></div>
+ *         </div>
+ *     </template>
+ * </script>
+ * ```
+ * - <template class="wpdt-panel-template"> works too (avoid loops inside
+ *   <table> there, the HTML parser moves them out of the table)
+ * - Without <template data-tab> children the output becomes data.html
+ *
+ * Syntax:
+ * - {{ field }} / {{ nested.field }} - escaped value
+ * - {{ field | helper | helper:arg }} - helpers, "raw" skips escaping
+ *   (raw values are sanitized by WPDTPanelRenderer when interpolated)
+ * - {{#if field}} ... {{else}} ... {{/if}}
+ * - {{#each list}} ... {{ this }} / {{ field }} / {{ @index }} ... {{/each}}
+ *
+ * Helpers: raw, upper, lower, default:"x", date, datetime, number:decimals,
+ *          truncate:length, join:", " + custom via registerHelper()
+ *
+ * Usage:
+ * ```javascript
+ * WPDTPanelTemplate.registerHelper('currency', function(value) {
+ *     return 'Rp ' + Number(value).toLocaleString('id-ID');
+ * });
+ * ```
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Console output through WPDTLogger ('Template' namespace)
+ * - Template markup trusted (autoload tabs load under the default sanitize
+ *   config); raw values sanitized at interpolation instead
+ */
+
+(function($) {
+    'use strict';
+
+    const log = WPDTLogger.create('Template');
+
+    const WPDTPanelTemplate = {
+        /**
+         * Compiled templates keyed by source
+         *
+         * @var {Map}
+         */
+        compiled: new Map(),
+
+        /**
+         * Value helpers
+         *
+         * @var {Object}
+         */
+        helpers: {
+            upper(value) {
+                return String(value).toUpperCase();
+            },
+            lower(value) {
+                return String(value).toLowerCase();
+            },
+            default(value, fallback) {
+                return (value === undefined || value === null || value === '') ? fallback : value;
+            },
+            date(value) {
+                const date = new Date(value);
+                return (value === undefined || value === null || value === '' || isNaN(date.getTime()))
+                    ? value
+                    : date.toLocaleDateString(WPDTPanelTemplate.getLocale());
+            },
+            datetime(value) {
+                const date = new Date(value);
+                return (value === undefined || value === null || value === '' || isNaN(date.getTime()))
+                    ? value
+                    : date.toLocaleString(WPDTPanelTemplate.getLocale());
+            },
+            number(value, decimals) {
+                const number = parseFloat(value);
+                if (isNaN(number)) {
+                    return value;
+                }
+                const digits = decimals !== undefined ? parseInt(decimals, 10) : undefined;
+                return number.toLocaleString(WPDTPanelTemplate.getLocale(), {
+                    minimumFractionDigits: digits,
+                    maximumFractionDigits: digits
+                });
+            },
+            truncate(value, length) {
+                const text = value === undefined || value === null ? '' : String(value);
+                const max = parseInt(length, 10) || 50;
+                return text.length > max ? text.substring(0, max) + '…' : text;
+            },
+            join(value, separator) {
+                return Array.isArray(value) ? value.join(separator !== undefined ? separator : ', ') : value;
+            }
+        },
+
+        /**
+         * Register custom helper
+         *
+         * @param {string} name Helper name
+         * @param {Function} fn function(value, ...args) returning new value
+         */
+        registerHelper(name, fn) {
+            this.helpers[name] = fn;
+        },
+
+        /**
+         * Locale for date/number helpers
+         *
+         * @return {string|undefined} BCP 47 locale (from <html lang>)
+         */
+        getLocale() {
+            return document.documentElement.lang || undefined;
+        },
+
+        /**
+         * Find template element for entity
+         *
+         * @param {string} entity Entity type
+         * @param {jQuery} $layout Layout (searched first)
+         * @return {HTMLElement|null} Template element
+         */
+        find(entity, $layout) {
+            const matches = function() {
+                return $(this).attr('data-entity') === entity;
+            };
+
+            let $template = $layout ? $layout.find('.wpdt-panel-template').filter(matches) : $();
+
+            if ($template.length === 0) {
+                $template = $('.wpdt-panel-template').filter(matches);
+            }
+
+            return $template.length > 0 ? $template[0] : null;
+        },
+
+        /**
+         * Build panel payload from row data
+         *
+         * Payload markup is safe to inject as-is (values escaped/sanitized).
+         *
+         * @param {HTMLElement} element Template element
+         * @param {Object} data Row data
+         * @return {Object} Payload { title, tabs } or { title, html }
+         */
+        build(element, data) {
+            const source = element.tagName === 'TEMPLATE' ? element.innerHTML : element.textContent;
+            const html = this.render(source, data);
+
+            // Split rendered output into tab sections
+            const holder = document.createElement('template');
+            holder.innerHTML = html;
+
+            const sections = Array.prototype.filter.call(holder.content.children, function(child) {
+                return child.tagName === 'TEMPLATE' && child.hasAttribute('data-tab');
+            });
+
+            const payload = {
+                title: element.hasAttribute('data-title')
+                    ? this.render(element.getAttribute('data-title'), data, { escape: false })
+                    : ''
+            };
+
+            if (sections.length > 0) {
+                payload.tabs = {};
+                sections.forEach(function(section) {
+                    payload.tabs[section.getAttribute('data-tab')] = section.innerHTML;
+                });
+            } else {
+                payload.html = html;
+            }
+
+            return payload;
+        },
+
+        /**
+         * Render template source
+         *
+         * @param {string} source Template source
+         * @param {Object} data Data
+         * @param {Object} options { escape: boolean } (default: true)
+         * @return {string} Output
+         */
+        render(source, data, options) {
+            const opts = $.extend({ escape: true }, options || {});
+
+            if (!this.compiled.has(source)) {
+                this.compiled.set(source, this.parse(source));
+            }
+
+            return this.renderNodes(this.compiled.get(source), [data || {}], opts);
+        },
+
+        /**
+         * Parse source into node tree
+         *
+         * @param {string} source Template source
+         * @return {Array} Nodes
+         */
+        parse(source) {
+            const root = { children: [] };
+            const stack = [root];
+            const pattern = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+            let last = 0;
+            let match;
+
+            const current = () => {
+                const node = stack[stack.length - 1];
+                return node.inElse ? node.elseChildren : node.children;
+            };
+
+            while ((match = pattern.exec(source)) !== null) {
+                if (match.index > last) {
+                    current().push({ type: 'text', value: source.substring(last, match.index) });
+                }
+                last = pattern.lastIndex;
+
+                const tag = match[1];
+
+                if (tag.indexOf('#if ') === 0 || tag.indexOf('#each ') === 0) {
+                    const block = {
+                        type: tag.indexOf('#if ') === 0 ? 'if' : 'each',
+                        path: tag.substring(tag.indexOf(' ') + 1).trim(),
+                        children: [],
+                        elseChildren: [],
+                        inElse: false
+                    };
+                    current().push(block);
+                    stack.push(block);
+                } else if (tag === 'else' && stack.length > 1) {
+                    stack[stack.length - 1].inElse = true;
+                } else if ((tag === '/if' || tag === '/each') && stack.length > 1) {
+                    stack.pop();
+                } else {
+                    current().push({ type: 'var', expr: tag });
+                }
+            }
+
+            if (last < source.length) {
+                current().push({ type: 'text', value: source.substring(last) });
+            }
+
+            return root.children;
+        },
+
+        /**
+         * Render nodes with scope chain
+         *
+         * @param {Array} nodes Nodes
+         * @param {Array} scopes Scope chain (innermost last)
+         * @param {Object} opts Render options
+         * @return {string} Output
+         */
+        renderNodes(nodes, scopes, opts) {
+            let output = '';
+
+            nodes.forEach((node) => {
+                if (node.type === 'text') {
+                    output += node.value;
+                } else if (node.type === 'var') {
+                    output += this.renderVar(node.expr, scopes, opts);
+                } else if (node.type === 'if') {
+                    const value = this.lookup(node.path, scopes);
+                    const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+                    output += this.renderNodes(truthy ? node.children : node.elseChildren, scopes, opts);
+                } else if (node.type === 'each') {
+                    const list = this.lookup(node.path, scopes);
+
+                    if (Array.isArray(list) && list.length > 0) {
+                        list.forEach((item, index) => {
+                            output += this.renderNodes(node.children, scopes.concat([{ '@item': item, '@index': index }]), opts);
+                        });
+                    } else {
+                        output += this.renderNodes(node.elseChildren, scopes, opts);
+                    }
+                }
+            });
+
+            return output;
+        },
+
+        /**
+         * Render one {{ expression }}
+         *
+         * @param {string} expr Expression "path | helper:arg"
+         * @param {Array} scopes Scope chain
+         * @param {Object} opts Render options
+         * @return {string} Output
+         */
+        renderVar(expr, scopes, opts) {
+            const parts = this.splitPipes(expr);
+            let value = this.lookup(parts.shift(), scopes);
+            let raw = false;
+
+            parts.forEach((part) => {
+                const colon = part.indexOf(':');
+                const name = (colon === -1 ? part : part.substring(0, colon)).trim();
+                const arg = colon === -1 ? undefined : this.parseArg(part.substring(colon + 1));
+
+                if (name === 'raw') {
+                    raw = true;
+                } else if (typeof this.helpers[name] === 'function') {
+                    value = this.helpers[name](value, arg);
+                } else {
+                    log.warn('Unknown helper:', name);
+                }
+            });
+
+            const text = (value === undefined || value === null) ? '' : String(value);
+
+            if (!opts.escape) {
+                return text;
+            }
+
+            // Output is injected as trusted markup: row values never are
+            if (raw) {
+                return WPDTPanelRenderer.getConfig().enabled ? WPDTPanelRenderer.sanitize(text) : text;
+            }
+
+            return WPDTPanelRenderer.escapeHtml(text);
+        },
+
+        /**
+         * Split expression on "|" outside quotes
+         *
+         * @param {string} expr Expression
+         * @return {Array} Parts
+         */
+        splitPipes(expr) {
+            const parts = [];
+            let current = '';
+            let quote = null;
+
+            for (let i = 0; i < expr.length; i++) {
+                const char = expr[i];
+
+                if (quote) {
+                    quote = char === quote ? null : quote;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '|') {
+                    parts.push(current.trim());
+                    current = '';
+                    continue;
+                }
+
+                current += char;
+            }
+
+            parts.push(current.trim());
+            return parts;
+        },
+
+        /**
+         * Parse helper argument (quoted string or bare value)
+         *
+         * @param {string} value Raw argument
+         * @return {string} Argument
+         */
+        parseArg(value) {
+            const trimmed = value.trim();
+            const quoted = trimmed.match(/^(["'])([\s\S]*)\1$/);
+
+            return quoted ? quoted[2] : trimmed;
+        },
+
+        /**
+         * Resolve path in scope chain (innermost first)
+         *
+         * @param {string} path "field", "nested.field", "this", "@index"
+         * @param {Array} scopes Scope chain
+         * @return {*} Value
+         */
+        lookup(path, scopes) {
+            for (let i = scopes.length - 1; i >= 0; i--) {
+                const scope = scopes[i];
+                const isItem = Object.prototype.hasOwnProperty.call(scope, '@item');
+
+                if (path === 'this' || path === '.') {
+                    return isItem ? scope['@item'] : scope;
+                }
+
+                if (path === '@index') {
+                    if (isItem) {
+                        return scope['@index'];
+                    }
+                    continue;
+                }
+
+                const target = isItem ? scope['@item'] : scope;
+                const keys = path.replace(/^this\./, '').split('.');
+                let value = target;
+
+                for (let key of keys) {
+                    if (value === undefined || value === null || typeof value !== 'object' || !(key in value)) {
+                        value = undefined;
+                        break;
+                    }
+                    value = value[key];
+                }
+
+                if (value !== undefined) {
+                    return value;
+                }
+            }
+
+            return undefined;
+        }
+    };
+
+    // Expose to global scope
+    window.WPDTPanelTemplate = WPDTPanelTemplate;
+
+})(jQuery);
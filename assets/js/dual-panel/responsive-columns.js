@@ -0,0 +1,430 @@
+/**
+ * Responsive Columns - Dual Panel
+ *
+ * Breakpoint-aware column visibility untuk left panel DataTable.
+ *
+ * @package     WP_DataTable
+ * @subpackage  Assets/JS/DualPanel
+ * @version     0.1.0
+ * @author      arisciwek
+ *
+ * Path: /wp-datatable/assets/js/dual-panel/responsive-columns.js
+ *
+ * Description: Hide/show DataTable columns berdasarkan lebar left panel
+ *              yang diukur, bukan berdasarkan panel open/closed.
+ *              Columns disembunyikan satu per satu by priority saat
+ *              space menyempit (panel open, window resize, splitter drag)
+ *              dan muncul lagi saat space bertambah. Values dari hidden
+ *              columns tetap bisa dibaca lewat expandable row detail.
+ *
+ * How It Works:
+ * - Minimum width of every column is measured off-screen (header + cells
+ *   of the current page), again after each draw
+ * - Available width = DataTables wrapper width (ResizeObserver on the
+ *   left panel, window resize as fallback)
+ * - Columns are hidden by priority until the rest fits, shown again in
+ *   reverse order when there is room
+ * - While columns are hidden every row gets a toggle button in its first
+ *   visible cell; it opens a child row listing the hidden values
+ *
+ * Priority (column option or data-responsive-priority on the <th>):
+ * - No priority or 1 = always visible
+ * - 2, 3, ... = hideable; highest number hides first, ties hide rightmost first
+ * - Columns initialized with visible: false are left alone
+ *
+ * Usage in DataTable column definition:
+ * ```javascript
+ * columns: [
+ *     { data: 'name', responsivePriority: 1 },
+ *     { data: 'email', responsivePriority: 2 },
+ *     { data: 'created', responsivePriority: 3 } // hides first
+ * ]
+ * ```
+ *
+ * Configuration (wpdtConfig.layout):
+ * - responsiveColumns: true (false = columns never hidden)
+ *
+ * Events Triggered:
+ * - wpdt:columns-changed { entity, hidden } - Responsive visibility changed
+ *   (hidden = column indexes hidden for lack of space)
+ *
+ * Created by: WPDTPanelManager (one instance per layout)
+ *
+ * Changelog:
+ * 0.1.0 - 2026-10-19
+ * - Initial implementation
+ * - Replaces open/closed based toggleResponsiveColumns() in panel manager
+ */
+
+(function($) {
+    'use strict';
+
+    const log = WPDTLogger.create('Columns');
+
+    /**
+     * Responsive Columns Class
+     */
+    class WPDTResponsiveColumns {
+        /**
+         * @param {WPDTPanelManager} manager Owning panel manager
+         */
+        constructor(manager) {
+            this.manager = manager;
+            this.entity = manager.currentEntity;
+            this.leftPanel = manager.leftPanel;
+            this.api = null;
+            this.columns = [];
+            this.widths = null;
+            this.hidden = [];
+            this.lastWidth = null;
+            this.frame = null;
+            this.observer = null;
+
+            const layoutConfig = (typeof wpdtConfig !== 'undefined' && wpdtConfig.layout) ? wpdtConfig.layout : {};
+
+            // wp_localize_script turns false into ""
+            this.enabled = layoutConfig.responsiveColumns === undefined ||
+                (layoutConfig.responsiveColumns !== '' && !!layoutConfig.responsiveColumns);
+
+            this.init();
+        }
+
+        /**
+         * Initialize resize tracking and detail toggles
+         */
+        init() {
+            if (!this.enabled || this.leftPanel.length === 0) {
+                return;
+            }
+
+            const self = this;
+
+            if (window.ResizeObserver) {
+                this.observer = new ResizeObserver(() => this.schedule());
+                this.observer.observe(this.leftPanel[0]);
+            } else {
+                $(window).on('resize.wpdt-columns-' + this.entity, () => this.schedule());
+                $(document).on('wpdt:panel-resized.wpdt-columns-' + this.entity, () => this.schedule());
+            }
+
+            // Toggle is inside the row: keep the click from opening the panel
+            this.leftPanel.on('click', '.wpdt-row-detail-toggle', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                self.toggleDetail($(this).closest('tr'));
+            });
+        }
+
+        /**
+         * Start managing a DataTable (called by the panel manager once found)
+         *
+         * @param {Object} api DataTable API instance
+         */
+        attach(api) {
+            if (!this.enabled || this.api) {
+                return;
+            }
+
+            this.api = api;
+            this.columns = this.readColumns();
+
+            if (this.columns.length === 0) {
+                log.debug('No hideable columns for:', this.entity);
+                return;
+            }
+
+            // New rows (paging, sorting, ajax reload) change content widths
+            api.on('draw.wpdt-columns', () => {
+                this.widths = null;
+                this.fit(true);
+                this.renderToggles();
+            });
+
+            this.fit(true);
+            this.renderToggles();
+
+            log.debug('Managing columns for:', this.entity, this.columns);
+        }
+
+        /**
+         * Collect hideable columns in hide order
+         *
+         * @return {Array} [{ index, priority }] lowest priority (hidden first) first
+         */
+        readColumns() {
+            const api = this.api;
+            const columns = [];
+
+            api.settings()[0].aoColumns.forEach((column, index) => {
+                let priority = column.responsivePriority;
+
+                if (priority === undefined) {
+                    priority = $(api.column(index).header()).data('responsive-priority');
+                }
+
+                priority = parseInt(priority, 10);
+
+                if (isNaN(priority) || priority <= 1 || !api.column(index).visible()) {
+                    return;
+                }
+
+                columns.push({ index: index, priority: priority });
+            });
+
+            return columns.sort((a, b) => (b.priority - a.priority) || (b.index - a.index));
+        }
+
+        /**
+         * Fit columns on the next animation frame
+         */
+        schedule() {
+            if (!this.api || this.frame) {
+                return;
+            }
+
+            this.frame = window.requestAnimationFrame(() => {
+                this.frame = null;
+                this.fit();
+            });
+        }
+
+        /**
+         * Hide/show columns for the current width
+         *
+         * @param {boolean} force Fit even if the width did not change
+         */
+        fit(force) {
+            if (!this.api || this.columns.length === 0) {
+                return;
+            }
+
+            const available = $(this.api.table().container()).width();
+
+            // Hidden panel (maximized, collapsed) - keep the last state
+            if (!available || (!force && available === this.lastWidth)) {
+                return;
+            }
+
+            this.lastWidth = available;
+
+            const widths = this.widths || (this.widths = this.measure());
+            let total = 0;
+
+            for (const index in widths) {
+                total += widths[index];
+            }
+
+            const hidden = [];
+
+            for (const column of this.columns) {
+                if (total <= available) {
+                    break;
+                }
+
+                hidden.push(column.index);
+                total -= widths[column.index] || 0;
+            }
+
+            this.apply(hidden.sort((a, b) => a - b));
+        }
+
+        /**
+         * Apply a set of hidden columns
+         *
+         * @param {Array} hidden Column indexes to hide (ascending)
+         */
+        apply(hidden) {
+            if (hidden.join() === this.hidden.join()) {
+                return;
+            }
+
+            const api = this.api;
+
+            // Toggles live in the first visible cell, which may be hidden next
+            $(api.rows({ page: 'current' }).nodes()).find('.wpdt-row-detail-toggle').remove();
+
+            this.columns.forEach((column) => {
+                api.column(column.index).visible(hidden.indexOf(column.index) === -1, false);
+            });
+
+            this.hidden = hidden;
+            api.columns.adjust();
+
+            $(api.table().node()).toggleClass('wpdt-has-hidden-columns', hidden.length > 0);
+            this.renderToggles();
+            this.refreshDetails();
+
+            log.debug('Hidden columns:', hidden, 'width:', this.lastWidth);
+
+            $(document).trigger('wpdt:columns-changed', {
+                entity: this.entity,
+                hidden: hidden.slice()
+            });
+        }
+
+        /**
+         * Measure minimum width of every visible-by-default column
+         *
+         * Header and current page cells are cloned into an off-screen
+         * auto-width table next to the real one (same CSS applies).
+         *
+         * @return {Object} Widths keyed by column index
+         */
+        measure() {
+            const api = this.api;
+            const $table = $(api.table().node());
+            const indexes = api.columns().indexes().toArray().filter((index) => {
+                return api.column(index).visible() || this.hidden.indexOf(index) !== -1;
+            });
+
+            const $probe = $('<table>')
+                .attr('class', $table.attr('class'))
+                .attr('aria-hidden', 'true')
+                .css({ position: 'absolute', top: 0, left: '-99999px', width: 'auto', visibility: 'hidden' });
+
+            const $headRow = $('<tr>');
+            indexes.forEach((index) => {
+                $headRow.append($(api.column(index).header()).clone().css({ width: '', display: '' }));
+            });
+            $probe.append($('<thead>').append($headRow));
+
+            const $body = $('<tbody>');
+            api.rows({ page: 'current' }).indexes().each((rowIndex) => {
+                const $row = $('<tr>');
+                indexes.forEach((index) => {
+                    const node = api.cell(rowIndex, index).node();
+                    $row.append(node ? $(node).clone().css('display', '') : $('<td>'));
+                });
+                $body.append($row);
+            });
+            $probe.append($body);
+
+            $table.parent().append($probe);
+
+            const widths = {};
+            $headRow.children().each((position, cell) => {
+                widths[indexes[position]] = $(cell).outerWidth();
+            });
+
+            $probe.remove();
+            return widths;
+        }
+
+        /**
+         * Add/remove detail toggles on the current page rows
+         */
+        renderToggles() {
+            if (!this.api) {
+                return;
+            }
+
+            const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+            const $rows = $(this.api.rows({ page: 'current' }).nodes());
+
+            $rows.find('.wpdt-row-detail-toggle').remove();
+
+            if (this.hidden.length === 0) {
+                return;
+            }
+
+            $rows.each((index, row) => {
+                const $cell = $(row).children('td').first();
+
+                $('<button type="button">')
+                    .addClass('wpdt-row-detail-toggle')
+                    .attr({
+                        'aria-expanded': this.api.row(row).child.isShown() ? 'true' : 'false',
+                        'aria-label': i18n.rowDetails || 'Show hidden columns'
+                    })
+                    .prependTo($cell);
+            });
+        }
+
+        /**
+         * Show/hide the detail child row of a row
+         *
+         * @param {jQuery} $row Table row
+         */
+        toggleDetail($row) {
+            const row = this.api ? this.api.row($row) : null;
+
+            if (!row || row.index() === undefined) {
+                return;
+            }
+
+            if (row.child.isShown()) {
+                row.child.hide();
+            } else {
+                row.child(this.renderDetail(row.index()), 'wpdt-row-detail-row').show();
+            }
+
+            const shown = row.child.isShown();
+            $row.toggleClass('wpdt-row-expanded', shown)
+                .find('.wpdt-row-detail-toggle')
+                .attr('aria-expanded', shown ? 'true' : 'false');
+        }
+
+        /**
+         * Re-render open detail rows after visibility changed
+         */
+        refreshDetails() {
+            const api = this.api;
+
+            api.rows({ page: 'current' }).every((rowIndex) => {
+                const row = api.row(rowIndex);
+
+                if (!row.child.isShown()) {
+                    return;
+                }
+
+                if (this.hidden.length === 0) {
+                    row.child.hide();
+                    $(row.node()).removeClass('wpdt-row-expanded');
+                } else {
+                    row.child(this.renderDetail(rowIndex), 'wpdt-row-detail-row').show();
+                }
+            });
+        }
+
+        /**
+         * Build detail list of hidden column values
+         *
+         * Cell content comes from the (detached) cell nodes DataTables keeps
+         * for hidden columns, so renderers and action buttons carry over.
+         *
+         * @param {number} rowIndex DataTable row index
+         * @return {jQuery} Detail list
+         */
+        renderDetail(rowIndex) {
+            const api = this.api;
+            const $list = $('<dl>').addClass('wpdt-row-detail');
+
+            this.hidden.forEach((index) => {
+                const node = api.cell(rowIndex, index).node();
+                const $value = node ? $(node).clone() : $('<td>');
+
+                $value.find('.wpdt-row-detail-toggle').remove();
+
+                $list.append(
+                    $('<dt>').addClass('wpdt-row-detail-title').text($(api.column(index).header()).text().trim()),
+                    $('<dd>').addClass('wpdt-row-detail-value').append($value.contents())
+                );
+            });
+
+            return $list;
+        }
+
+        /**
+         * Get column indexes hidden for lack of space
+         *
+         * @return {Array} Column indexes
+         */
+        getHidden() {
+            return this.hidden.slice();
+        }
+    }
+
+    // Expose class (instantiated by panel manager)
+    window.WPDTResponsiveColumns = WPDTResponsiveColumns;
+
+})(jQuery);
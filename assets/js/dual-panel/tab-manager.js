@@ -6,7 +6,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Assets/JS/DualPanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/assets/js/dual-panel/tab-manager.js
@@ -20,21 +20,124 @@
  * - Hash-based tab state (#entity-123&tab=details)
  * - Smooth fade animations (CSS transitions)
  * - Event system untuk extensibility (wpdt:tabActivated)
- * - Keyboard navigation (left/right arrow keys)
+ * - WAI-ARIA tabs pattern (tablist/tab/tabpanel, roving tabindex)
+ * - Keyboard navigation (arrow keys, Home/End, optional manual activation)
  * - Generic entity support (not tied to specific entity type)
  * - AJAX tab content loading
+ * - Last active tab remembered per entity per user (tabs.rememberLastTab)
+ * - Autoload tab refresh: refresh button, TTL, invalidation on entity events
+ * - Count/warning/error badges on nav tabs
+ * - Deep-linkable state inside the active tab (nested table page, search, filters)
+ * - Client-side tab registration for add-ons (registerTab/removeTab/moveTab)
+ *
+ * Initial Tab (first match wins):
+ * - Hash (#entity-123&tab=details) or query string (?tab=details)
+ * - Last tab used for this entity type (localStorage, if it still exists)
+ * - First tab
  *
  * Entity Configuration:
  * - Set data-entity-type on .wpdt-panel element
  * - Tab views must have data-{entity}-id attribute
  * - AJAX handlers receive {entity}_id parameter
  *
- * Keyboard Navigation:
- * - Left Arrow: Previous tab
- * - Right Arrow: Next tab
- * - Tab wraps around (last → first, first → last)
+ * Autoload Tab Refresh:
+ * - Refresh button in every autoload tab of the root panel view
+ *   (tabs.refreshButton, or data-refresh-button="false" on the tab);
+ *   drill-down level tabs get none (refreshTab() only knows root tabs)
+ * - data-ttl="60": content older than 60s reloads when the tab is shown
+ *   (default tabs.ttl, 0 = never expires)
+ * - data-refresh-on="branch:updated branch:deleted": listed events reload
+ *   the tab (inactive tabs reload when shown next). wpdt:entity-updated /
+ *   -created / -deleted with { entity: 'branch' } match "branch:updated" etc.
+ * - Old content stays visible while refreshing; scroll position is kept
+ * - refreshTab(tabId) / invalidateTab(tabId) for custom code
+ *
+ * Autoload Requests:
+ * - One request per tab; a refresh aborts the pending one
+ * - All tab requests of the layout are aborted when the panel closes or
+ *   another record starts loading (tab containers are reused per record)
+ * - Responses are dropped (promise rejects with reason 'abort') if the
+ *   tab's data-{entity}-id changed or the requests were aborted meanwhile
+ *
+ * Tab Badges:
+ * - Panel payload: { badges: { branches: 12, invoices: { count: 3,
+ *   label: '3 overdue', type: 'warning' } } }
+ * - Lightweight endpoint: data-badges-action on .wpdt-tab-wrapper, called
+ *   with {entity}_id after each record load and when a tab's data-refresh-on
+ *   event fires; responds { badges: {...} }
+ * - Autoload tab response may carry { badge: ... } for its own tab
+ * - Value: number, text, or { count, label, type: count|warning|error, title };
+ *   0 / null / '' removes the badge
+ * - Badges are cleared when another record opens
+ *
+ * Registered Tabs (wpdtTabManager.registerTab):
+ * - Add-ons add tabs to any entity: label, order, permission, load()
+ * - Inserted into .wpdt-tab-wrapper on wpdt:panel-data-loaded; permission
+ *   (boolean or callback with the payload) is checked per record
+ * - load() returns HTML (through WPDTPanelRenderer), a DOM node / jQuery
+ *   object, or a promise of either; called when the tab is shown, after
+ *   each panel load and on refreshTab()
+ * - removeTab() / moveTab() also work on tabs rendered by the server;
+ *   server tabs keep their priority as order (data-order)
+ *
+ * Tab State (deep links):
+ * - Tab content registers key/values with setTabState(tabId, values)
+ * - The active tab's state is kept in the hash as {tabId}.{key}=value:
+ *   #customer-12&tab=invoices&invoices.page=3&invoices.status=unpaid
+ * - getTabState(tabId) returns it when content initializes (page load,
+ *   record re-render); back/forward triggers wpdt:tab-state-changed
+ * - bindDataTable(tabId, table) syncs page/search/order of a nested DataTable
+ * - State is dropped when another record opens
+ *
+ * Keyboard Navigation (tabs.enableKeyboard):
+ * - Left/Up Arrow: Previous tab, Right/Down Arrow: Next tab (wraps around)
+ * - Home / End: First / last tab
+ * - tabs.activation 'automatic' (default): moving focus selects the tab
+ * - tabs.activation 'manual': arrows only move focus, Enter/Space selects
+ * - Tab key leaves the tablist: only the selected tab is in the tab order
+ *   (roving tabindex), next stop is the tab panel
+ *
+ * ARIA:
+ * - .wpdt-tab-wrapper: role="tablist"
+ * - .nav-tab: role="tab", aria-selected, aria-controls, tabindex 0 / -1
+ * - .wpdt-tab-content: role="tabpanel", aria-labelledby, tabindex 0
+ * - Kept in sync on every switch and after panel content re-renders
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - wpdtTabManager.registerTab()/removeTab()/moveTab() for client-side tabs;
+ *   registry exposed before DOM ready
+ * - Autoload requests tracked per tab: aborted on panel close, record change
+ *   and refresh; stale responses (other record) are never injected
+ * - WAI-ARIA tabs pattern: roles, aria-selected/-controls, roving tabindex,
+ *   Home/End keys, tabs.activation 'manual', tabs.enableKeyboard honored;
+ *   keyboard activation replaces the history entry, focus returns to the
+ *   selected tab when the switch is cancelled
+ * - Tab state in the hash: setTabState()/getTabState(), bindDataTable()
+ *   for nested DataTables, wpdt:tab-state-changed on back/forward
+ * - Tab badges from panel payload, data-badges-action endpoint or autoload
+ *   response; setBadge()/setBadges()/refreshBadges()
+ * - Autoload tabs no longer loaded only once: refreshTab(), invalidateTab(),
+ *   refresh button, TTL (data-ttl / tabs.ttl) and data-refresh-on events
+ *   (refresh button only in root view tabs, not drill-down level tabs)
+ * - wpdt:tab-data-loaded triggered after autoload (refreshed flag)
+ * - Last active tab stored per entity type per user and restored when
+ *   the URL has no tab (tabs.rememberLastTab); unknown ids ignored
+ * - goTo()/switchTab()/autoLoadTabContent() return promises resolved once
+ *   tab content is loaded; whenLoaded() for the active tab
+ * - Concurrent autoloads of the same tab share one request
+ * - Autoloaded tab HTML passed through WPDTPanelRenderer
+ * - Unsaved forms guarded via wpdt:tab-switching (form-guard.js)
+ * - Tabs inside drill-down levels left to WPDTPanelStack
+ * - autoLoadTabContent() accepts entity type of a nested level
+ * - Console output through WPDTLogger ('Tab' namespace)
+ * - Tab state read/written through shared WPDTHashRouter
+ * - User tab switches push history, back/forward restores tab
+ * - One WPDTTabManager instance per .wpdt-datatable-layout
+ * - Tab lookups scoped to own layout's right panel
+ * - window.wpdtTabManager is now a lookup by entity (get)
+ * - Tab state written to own layout's hash segment only
+ *
  * 0.1.0 - 2025-11-08
  * - Ported dari wp-app-core/assets/js/datatable/wpapp-tab-manager.js
  * - Updated selectors: wpapp- → wpdt-
@@ -55,28 +158,107 @@
  *
  * Events Triggered:
  * - wpdt:tab-switching - Before tab switches
- * - wpdt:tab-switched - After tab switched
+ * - wpdt:tab-switched - After tab switched (again with refreshed: true after
+ *   a refresh replaced the active tab's content, so nested DataTables re-init)
+ * - wpdt:tab-data-loaded - Autoload content injected { entity, tabId, refreshed }
+ * - wpdt:tab-badges-updated - Badges rendered { entity, badges }
+ * - wpdt:tab-state-changed - Active tab state restored from history
+ *   { entity, tabId, state, previous }
  *
  * Usage:
  * ```javascript
  * jQuery(document).on('wpdt:tab-switched', function(e, data) {
  *     console.log('Tab switched to:', data.tabId);
  * });
+ *
+ * // Wait for autoloaded content
+ * wpdtTabManager.get('customer').goTo('branches').then(function() {
+ *     // #branches content is in the DOM
+ * });
+ *
+ * // Reload a tab after custom code changed its data
+ * wpdtTabManager.get('customer').refreshTab('branches');
+ *
+ * // Badge from custom code
+ * wpdtTabManager.get('customer').setBadge('invoices', { count: 3, label: '3 overdue', type: 'warning' });
+ *
+ * // Tab from an add-on plugin
+ * wpdtTabManager.registerTab('customer', 'loyalty', {
+ *     label: 'Loyalty',
+ *     order: 15,
+ *     permission: (ctx) => !!(ctx.data && ctx.data.can_view_loyalty),
+ *     load: (ctx) => jQuery.post(ajaxurl, { action: 'load_customer_loyalty_tab', customer_id: ctx.id })
+ *         .then((response) => response.data.html)
+ * });
+ *
+ * // Nested DataTable with deep-linkable page/search/order and a filter
+ * jQuery(document).on('wpdt:tab-switched', function(e, data) {
+ *     const tabs = wpdtTabManager.get('customer');
+ *     if (data.entity !== 'customer' || data.tabId !== 'invoices' ||
+ *         jQuery.fn.DataTable.isDataTable('#invoices-table')) {
+ *         return;
+ *     }
+ *
+ *     const table = jQuery('#invoices-table').DataTable({
+ *         ajax: { url: ajaxurl, data: (d) => { d.status = tabs.getTabState('invoices').status || ''; } }
+ *     });
+ *     tabs.bindDataTable('invoices', table);
+ *
+ *     jQuery('#invoice-status').val(tabs.getTabState('invoices').status || '').on('change', function() {
+ *         tabs.setTabState('invoices', { status: this.value || null, page: null });
+ *         table.ajax.reload();
+ *     });
+ * });
  * ```
  */
 
 (function($) {
     'use strict';
 
+    const log = WPDTLogger.create('Tab');
+
     /**
      * Tab Manager Class
+     *
+     * One instance per .wpdt-datatable-layout, scoped to the tabs
+     * inside that layout's right panel.
      */
     class WPDTTabManager {
-        constructor() {
+        /**
+         * @param {jQuery} $layout Layout element (.wpdt-datatable-layout)
+         */
+        constructor($layout) {
+            this.layout = $layout;
             this.currentTab = null;
             this.currentEntity = null;
             this.tabWrapper = null;
             this.tabContents = null;
+            this.currentId = null;
+            this.badgesRequest = null;
+            this.tabStates = {};
+            this.stateBindings = 0;
+
+            // Bumped when tab requests are aborted; older responses are stale
+            this.requestSession = 0;
+
+            // Last panel payload (registered tab permission callbacks and loaders)
+            this.panelData = null;
+
+            const tabsConfig = (typeof wpdtConfig !== 'undefined' && wpdtConfig.tabs) ? wpdtConfig.tabs : {};
+
+            // wp_localize_script turns false into ""
+            this.rememberLastTab = tabsConfig.rememberLastTab === undefined ||
+                (tabsConfig.rememberLastTab !== '' && !!tabsConfig.rememberLastTab);
+            this.refreshButton = tabsConfig.refreshButton === undefined ||
+                (tabsConfig.refreshButton !== '' && !!tabsConfig.refreshButton);
+            this.ttl = parseInt(tabsConfig.ttl, 10) || 0;
+            this.enableKeyboard = tabsConfig.enableKeyboard === undefined ||
+                (tabsConfig.enableKeyboard !== '' && !!tabsConfig.enableKeyboard);
+            this.manualActivation = tabsConfig.activation === 'manual';
+
+            // Event names bound for data-refresh-on, pending refresh timers by tab
+            this.refreshEvents = {};
+            this.refreshTimers = {};
 
             this.init();
         }
@@ -85,29 +267,42 @@
          * Initialize tab manager
          */
         init() {
-            this.tabWrapper = $('.wpdt-tab-wrapper');
+            this.currentEntity = this.layout.data('entity');
+            this.findTabs();
+
+            // Bind events (delegated on layout, so tabs loaded later still work)
+            this.bindEvents();
 
             if (this.tabWrapper.length === 0) {
-                // No tabs found
+                // No tabs found yet
                 return;
             }
 
-            this.tabContents = $('.wpdt-tab-content');
-            this.currentEntity = $('.wpdt-datatable-layout').data('entity');
-
-            // Bind events
-            this.bindEvents();
-
             // Check hash/query for active tab
             this.checkUrlForTab();
 
             // Debug mode
-            if (typeof wpdtConfig !== 'undefined' && wpdtConfig.debug) {
-                console.log('[WPDT Tab] Initialized', {
-                    entity: this.currentEntity,
-                    tabCount: this.tabWrapper.find('.nav-tab').length
-                });
-            }
+            log.debug('Initialized', {
+                entity: this.currentEntity,
+                tabCount: this.tabWrapper.find('.nav-tab').length
+            });
+        }
+
+        /**
+         * Resolve tab wrapper and contents inside this layout's right panel
+         */
+        findTabs() {
+            const $rightPanel = this.layout.find('.wpdt-right-panel').first();
+
+            this.tabWrapper = $rightPanel.find('.wpdt-tab-wrapper').first();
+
+            // Tabs of drill-down levels (panel-stack.js) are switched by the stack
+            this.tabContents = $rightPanel.find('.wpdt-tab-content').filter(function() {
+                return $(this).closest('.wpdt-panel-stack').length === 0;
+            });
+
+            this.syncAria();
+            this.bindRefreshEvents();
         }
 
         /**
@@ -117,7 +312,11 @@
             const self = this;
 
             // Tab click
-            this.tabWrapper.on('click', '.nav-tab', function(e) {
+            this.layout.on('click', '.wpdt-tab-wrapper .nav-tab', function(e) {
+                if (this.parentNode !== self.tabWrapper[0]) {
+                    return;
+                }
+
                 e.preventDefault();
 
                 const $tab = $(this);
@@ -128,60 +327,274 @@
                 }
             });
 
+            // Browser back/forward between tabs of the same record
+            $(document).on('wpdt:route-changed', function(e, data) {
+                if (!data || data.entity !== self.currentEntity || !data.state || !data.previous) {
+                    return;
+                }
+
+                // Record change is handled by panel manager (reload + reinit)
+                if (data.state.id !== data.previous.id) {
+                    return;
+                }
+
+                // State first: content initialized on wpdt:tab-switched reads it
+                const previous = self.tabStates;
+                self.tabStates = self.parseTabStates(data.state.params);
+
+                const tabId = data.state.params.tab;
+                if (tabId && tabId !== self.currentTab && self.getNavTab(tabId).length > 0) {
+                    self.switchTab(tabId, { updateUrl: false });
+                }
+
+                const activeTab = self.currentTab;
+                const before = previous[activeTab] || {};
+                const after = self.tabStates[activeTab] || {};
+
+                if (activeTab && JSON.stringify(before) !== JSON.stringify(after)) {
+                    $(document).trigger('wpdt:tab-state-changed', {
+                        entity: self.currentEntity,
+                        tabId: activeTab,
+                        state: $.extend({}, after),
+                        previous: $.extend({}, before)
+                    });
+                }
+            });
+
+            // Refresh button of autoload tabs
+            this.layout.on('click', '.wpdt-tab-refresh', function(e) {
+                e.preventDefault();
+
+                const $tab = $(this).closest('.wpdt-tab-content');
+                if (self.tabContents.is($tab)) {
+                    self.refreshTab($tab.attr('id'));
+                }
+            });
+
+            // Generic entity events match "{entity}:updated" etc. in data-refresh-on
+            const namespace = '.wpdt-tab-refresh-' + this.currentEntity;
+            const entityEvents = ['wpdt:entity-updated', 'wpdt:entity-created', 'wpdt:entity-deleted'];
+
+            $(document).on(entityEvents.map((name) => name + namespace).join(' '), function(e, data) {
+                if (data && data.entity) {
+                    self.handleRefreshEvent(data.entity + ':' + e.type.replace('wpdt:entity-', ''));
+                }
+            });
+
+            // Tab containers are reused by the next record - drop pending loads
+            $(document).on('wpdt:panel-loading', function(e, data) {
+                if (data && data.entity === self.currentEntity && String(data.id) !== String(self.currentId)) {
+                    self.abortTabRequests();
+                }
+            });
+
+            $(document).on('wpdt:panel-closed', function(e, data) {
+                if (data && data.entity === self.currentEntity) {
+                    self.abortTabRequests();
+                    self.currentId = null;
+                    self.panelData = null;
+                }
+            });
+
             // Listen to panel data loaded event to reinitialize
-            $(document).on('wpdt:panel-data-loaded', function() {
+            $(document).on('wpdt:panel-data-loaded', function(e, data) {
+                if (data && data.entity && data.entity !== self.currentEntity) {
+                    return;
+                }
+
+                // Tab state and badges belong to one record
+                const recordChanged = !!data && data.id !== undefined && String(data.id) !== String(self.currentId);
+                if (recordChanged) {
+                    self.abortTabRequests();
+                    self.currentId = data.id;
+                    self.tabStates = {};
+                }
+
+                // Registered tabs first, so a deep link to one of them resolves
+                self.panelData = data ? data.data : null;
+                self.applyRegisteredTabs();
+                self.invalidateRegisteredTabs(recordChanged);
+
                 self.reinit();
+                self.updateBadgesFromPanel(data, recordChanged);
             });
 
-            // Keyboard navigation (arrow keys)
-            this.tabWrapper.on('keydown', '.nav-tab', function(e) {
+            // Keyboard navigation (WAI-ARIA tabs pattern)
+            this.layout.on('keydown', '.wpdt-tab-wrapper .nav-tab', function(e) {
+                if (this.parentNode !== self.tabWrapper[0] || !self.enableKeyboard) {
+                    return;
+                }
+
+                if (e.altKey || e.ctrlKey || e.metaKey) {
+                    return;
+                }
+
                 const $tabs = self.tabWrapper.find('.nav-tab');
                 const $current = $(this);
                 const currentIndex = $tabs.index($current);
 
+                // Enter/Space select the focused tab (needed with manual activation)
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    self.switchTab($current.data('tab')).catch((error) => {
+                        if (error && error.reason === 'prevented') {
+                            self.focusActiveTab();
+                        }
+                    });
+                    return;
+                }
+
                 let $next = null;
 
-                // Left arrow or Up arrow
-                if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-                    e.preventDefault();
-                    $next = $tabs.eq(currentIndex - 1);
-                    if ($next.length === 0) {
-                        $next = $tabs.last(); // Wrap to last
-                    }
+                switch (e.key) {
+                    case 'ArrowLeft':
+                    case 'ArrowUp':
+                        $next = currentIndex > 0 ? $tabs.eq(currentIndex - 1) : $tabs.last(); // Wrap to last
+                        break;
+
+                    case 'ArrowRight':
+                    case 'ArrowDown':
+                        $next = currentIndex < $tabs.length - 1 ? $tabs.eq(currentIndex + 1) : $tabs.first(); // Wrap to first
+                        break;
+
+                    case 'Home':
+                        $next = $tabs.first();
+                        break;
+
+                    case 'End':
+                        $next = $tabs.last();
+                        break;
+
+                    default:
+                        return;
                 }
 
-                // Right arrow or Down arrow
-                if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-                    e.preventDefault();
-                    $next = $tabs.eq(currentIndex + 1);
-                    if ($next.length === 0) {
-                        $next = $tabs.first(); // Wrap to first
-                    }
+                e.preventDefault();
+
+                if ($next.length === 0) {
+                    return;
+                }
+
+                $next.trigger('focus');
+
+                // Arrowing across tabs is one navigation, not one history entry per tab
+                if (!self.manualActivation) {
+                    self.switchTab($next.data('tab'), { replace: true }).catch((error) => {
+                        if (error && error.reason === 'prevented') {
+                            self.focusActiveTab();
+                        }
+                    });
+                }
+            });
+        }
+
+        /**
+         * Apply tablist/tab/tabpanel semantics from the current active classes
+         *
+         * Only the selected tab is focusable (roving tabindex); the others
+         * are reached with the arrow keys.
+         */
+        syncAria() {
+            if (!this.tabWrapper || this.tabWrapper.length === 0) {
+                return;
+            }
+
+            const self = this;
+
+            const $tabs = this.tabWrapper.find('.nav-tab');
+
+            // Keep the tablist reachable while nothing is selected yet
+            const $focusable = $tabs.filter('.nav-tab-active').length > 0
+                ? $tabs.filter('.nav-tab-active')
+                : $tabs.first();
+
+            this.tabWrapper.attr('role', 'tablist');
+
+            $tabs.each(function() {
+                const $navTab = $(this);
+                const tabId = String($navTab.data('tab'));
+                const $content = self.getTabContent(tabId);
+                const selected = $navTab.hasClass('nav-tab-active');
+
+                if (!this.id) {
+                    this.id = 'wpdt-' + self.currentEntity + '-tab-' + tabId;
                 }
 
-                if ($next && $next.length > 0) {
-                    $next.focus().click();
+                $navTab.attr({
+                    role: 'tab',
+                    'aria-selected': selected ? 'true' : 'false',
+                    tabindex: $focusable.is(this) ? '0' : '-1'
+                });
+
+                if ($content.length > 0) {
+                    $navTab.attr('aria-controls', $content.attr('id'));
+                    $content.attr({
+                        role: 'tabpanel',
+                        'aria-labelledby': this.id,
+                        tabindex: '0'
+                    });
                 }
             });
         }
 
+        /**
+         * Move focus (and the roving tabindex) back to the selected tab
+         *
+         * Used when a keyboard switch was cancelled (e.g. unsaved form).
+         */
+        focusActiveTab() {
+            this.syncAria();
+            this.tabWrapper.find('.nav-tab[tabindex="0"]').first().trigger('focus');
+        }
+
+        /**
+         * Find tab nav link by tab ID
+         *
+         * @param {string} tabId Tab identifier
+         * @return {jQuery} Nav tab element
+         */
+        getNavTab(tabId) {
+            return this.tabWrapper.find('.nav-tab').filter(function() {
+                return String($(this).data('tab')) === String(tabId);
+            });
+        }
+
+        /**
+         * Find tab content container by tab ID
+         *
+         * @param {string} tabId Tab identifier
+         * @return {jQuery} Tab content element
+         */
+        getTabContent(tabId) {
+            return this.tabContents.filter(function() {
+                return this.id === String(tabId);
+            });
+        }
+
         /**
          * Switch to a specific tab
          *
          * @param {string} tabId Tab identifier
+         * @param {Object} options Switch options
+         *   @param {boolean} options.updateUrl Write tab to URL hash (default: true)
+         *   @param {boolean} options.replace Replace history entry instead of push (default: false)
+         *   @param {boolean} options.remember Store as last tab of the entity (default: true)
+         * @return {Promise} Resolves once the tab content is loaded
          */
-        switchTab(tabId) {
-            const $targetTab = $(`.nav-tab[data-tab="${tabId}"]`);
-            const $targetContent = $(`#${tabId}.wpdt-tab-content`);
+        switchTab(tabId, options) {
+            const opts = options || {};
+
+            const $targetTab = this.getNavTab(tabId);
+            const $targetContent = this.getTabContent(tabId);
 
             if ($targetTab.length === 0 || $targetContent.length === 0) {
-                console.warn('[WPDT Tab] Tab not found:', tabId);
-                return;
+                log.warn('Tab not found:', tabId);
+                return this.rejected('not-found', 'Tab not found: ' + tabId);
             }
 
-            // Check if already active
+            // Check if already active (content may still be loading)
             if ($targetTab.hasClass('nav-tab-active')) {
-                return;
+                return this.autoLoadTabContent($targetContent);
             }
 
             // Trigger switching event
@@ -194,7 +607,7 @@
 
             // If event prevented, stop
             if (switchingEvent.isDefaultPrevented()) {
-                return;
+                return this.rejected('prevented', 'Tab switch prevented');
             }
 
             // Remove active class from all tabs
@@ -211,9 +624,16 @@
 
             // Update current tab
             this.currentTab = tabId;
+            this.syncAria();
 
             // Update URL hash
-            this.updateUrlHash(tabId);
+            if (opts.updateUrl !== false) {
+                this.updateUrlHash(tabId, opts.replace);
+            }
+
+            if (opts.remember !== false) {
+                this.saveLastTab(tabId);
+            }
 
             // Trigger switched event
             $(document).trigger('wpdt:tab-switched', {
@@ -222,40 +642,89 @@
             });
 
             // Auto-load tab content if needed
-            this.autoLoadTabContent($targetContent);
+            const loaded = this.autoLoadTabContent($targetContent);
 
             // Debug
-            if (typeof wpdtConfig !== 'undefined' && wpdtConfig.debug) {
-                console.log('[WPDT Tab] Switched to:', tabId);
-            }
+            log.debug('Switched to:', tabId);
+
+            return loaded;
+        }
+
+        /**
+         * Rejected promise with reason (handled, so unused results stay quiet)
+         *
+         * @param {string} reason 'not-found', 'prevented', 'abort' or 'error'
+         * @param {string} message Error message
+         * @return {Promise} Rejected promise
+         */
+        rejected(reason, message) {
+            const promise = Promise.reject(this.createError(reason, message));
+            promise.catch(() => {});
+
+            return promise;
+        }
+
+        /**
+         * Create error for promise rejections
+         *
+         * @param {string} reason 'not-found', 'prevented', 'abort' or 'error'
+         * @param {string} message Error message
+         * @param {Object} extra Extra properties (entity, tabId)
+         * @return {Error} Error with reason and entity
+         */
+        createError(reason, message, extra) {
+            const error = new Error(message);
+
+            error.reason = reason;
+            error.entity = this.currentEntity;
+
+            return $.extend(error, extra);
         }
 
         /**
          * Auto-load tab content via AJAX if tab has wpdt-tab-autoload class
          *
+         * Requests already in flight for the same tab element are reused.
+         * Content loaded before (refresh, expired TTL) stays visible until
+         * the new content replaces it.
+         *
          * @param {jQuery} $tab Tab content element
+         * @param {string} entityOverride Entity type of a nested level (default: from .wpdt-panel)
+         * @return {Promise} Resolves once loaded (immediately for static/loaded tabs)
          */
-        autoLoadTabContent($tab) {
-            console.log('[WPDT Tab] autoLoadTabContent called');
-            console.log('[WPDT Tab] Tab element:', $tab);
-            console.log('[WPDT Tab] Has wpdt-tab-autoload:', $tab.hasClass('wpdt-tab-autoload'));
-            console.log('[WPDT Tab] Has loaded:', $tab.hasClass('loaded'));
+        autoLoadTabContent($tab, entityOverride) {
+            log.debug('autoLoadTabContent called');
+            log.debug('Tab element:', $tab);
+            log.debug('Has wpdt-tab-autoload:', $tab.hasClass('wpdt-tab-autoload'));
+            log.debug('Has loaded:', $tab.hasClass('loaded'));
+
+            const registered = $tab.hasClass('wpdt-tab-registered');
 
             // Check if tab needs auto-loading
-            if (!$tab.hasClass('wpdt-tab-autoload')) {
-                console.log('[WPDT Tab] Tab does NOT have wpdt-tab-autoload class - skipping');
-                return;
+            if (!$tab.hasClass('wpdt-tab-autoload') && !registered) {
+                log.debug('Tab does NOT have wpdt-tab-autoload class - skipping');
+                return Promise.resolve();
             }
 
-            // Check if already loaded
+            // Check if already loaded (and not expired)
             if ($tab.hasClass('loaded')) {
-                console.log('[WPDT Tab] Tab already loaded - skipping');
-                return;
+                if (!this.isExpired($tab)) {
+                    log.debug('Tab already loaded - skipping');
+                    return Promise.resolve();
+                }
+
+                log.debug('Tab content expired - reloading:', $tab.attr('id'));
+                $tab.removeClass('loaded');
+            }
+
+            // Tab added with wpdtTabManager.registerTab() - loader instead of AJAX
+            if (registered) {
+                return this.loadRegisteredTab($tab);
             }
 
             // Get entity type from panel (default to 'agency' for backward compatibility)
-            const $panel = $('.wpdt-panel');
-            const entityType = $panel.attr('data-entity-type') || this.currentEntity || 'agency';
+            const $panel = this.layout.find('.wpdt-panel').first();
+            const entityType = entityOverride || $panel.attr('data-entity-type') || this.currentEntity || 'agency';
             const entityIdAttr = 'data-' + entityType + '-id';
 
             // Get data attributes (use .attr() to avoid jQuery .data() caching)
@@ -264,7 +733,7 @@
             const contentTarget = $tab.attr('data-content-target');
             const errorMessage = $tab.attr('data-error-message') || 'Failed to load content';
 
-            console.log('[WPDT Tab] Data attributes:', {
+            log.debug('Data attributes:', {
                 entityType: entityType,
                 entityIdAttr: entityIdAttr,
                 entityId: entityId,
@@ -274,17 +743,38 @@
             });
 
             if (!loadAction || !entityId) {
-                console.error('[WPDT Tab] Missing required data attributes for auto-load');
-                console.error('[WPDT Tab] loadAction:', loadAction);
-                console.error('[WPDT Tab] ' + entityIdAttr + ':', entityId);
-                return;
+                log.error('Missing required data attributes for auto-load', {
+                    loadAction: loadAction,
+                    [entityIdAttr]: entityId
+                });
+                return this.rejected('error', 'Missing data-load-action or ' + entityIdAttr);
+            }
+
+            const inFlight = $tab.data('wpdtTabRequest');
+
+            if (inFlight) {
+                // Already loading (e.g. switchTab() and reinit() in the same render)
+                if (inFlight.entityId === entityId && inFlight.session === this.requestSession) {
+                    return inFlight.promise;
+                }
+
+                this.abortTabRequest($tab);
             }
 
-            console.log('[WPDT Tab] Starting AJAX request for:', loadAction);
+            log.debug('Starting AJAX request for:', loadAction);
+
+            this.renderRefreshButton($tab);
+
+            // Refresh: keep previous content on screen until replaced
+            const refreshing = contentTarget ? $tab.find(contentTarget).hasClass('loaded') : false;
+
+            if (refreshing) {
+                $tab.addClass('wpdt-tab-refreshing').attr('aria-busy', 'true');
+            } else {
+                $tab.find('.wpdt-tab-loading').show();
+                $tab.find('.wpdt-tab-loaded-content').hide();
+            }
 
-            // Show loading state
-            $tab.find('.wpdt-tab-loading').show();
-            $tab.find('.wpdt-tab-loaded-content').hide();
             $tab.find('.wpdt-tab-error').removeClass('visible');
 
             // Build AJAX data with dynamic entity ID parameter
@@ -294,139 +784,1310 @@
             };
             ajaxData[entityType + '_id'] = entityId;
 
+            // Autoloaded HTML shares the trust setting of its tab ("tabs.{id}")
+            const fragmentEntity = entityOverride || this.currentEntity;
+            const fragmentPath = 'tabs.' + $tab.attr('id');
+
+            const fail = (reason, message) => this.createError(reason, message, {
+                entity: fragmentEntity,
+                tabId: $tab.attr('id')
+            });
+
+            let resolveLoad;
+            let rejectLoad;
+            const promise = new Promise((resolve, reject) => {
+                resolveLoad = resolve;
+                rejectLoad = reject;
+            });
+
+            // Callers that don't wait (tab clicks) must not log uncaught rejections
+            promise.catch(() => {});
+
+            const self = this;
+            const request = {
+                entityId: entityId,
+                session: this.requestSession,
+                promise: promise,
+                xhr: null
+            };
+
+            $tab.data('wpdtTabRequest', request);
+
+            // Issued for another record (or aborted after the response arrived)
+            const isStale = () => request.session !== self.requestSession || $tab.attr(entityIdAttr) !== entityId;
+
             // Make AJAX request
-            $.ajax({
+            request.xhr = $.ajax({
                 url: wpdtConfig.ajaxUrl,
                 type: 'POST',
                 data: ajaxData,
+                complete: function() {
+                    if ($tab.data('wpdtTabRequest') !== request) {
+                        return;
+                    }
+
+                    $tab.removeData('wpdtTabRequest')
+                        .removeClass('wpdt-tab-refreshing')
+                        .removeAttr('aria-busy');
+                },
                 success: function(response) {
-                    console.log('[WPDT Tab] AJAX Success Response:', response);
+                    log.debug('AJAX Success Response:', response);
+
+                    if (isStale()) {
+                        log.debug('Dropping stale tab response:', $tab.attr('id'), entityType, entityId);
+                        rejectLoad(fail('abort', 'Stale response discarded'));
+                        return;
+                    }
+
                     $tab.find('.wpdt-tab-loading').hide();
 
                     if (response.success && response.data.html) {
                         // Load content into target
-                        console.log('[WPDT Tab] Loading HTML into:', contentTarget);
-                        console.log('[WPDT Tab] HTML length:', response.data.html.length);
+                        log.debug('Loading HTML into:', contentTarget);
+                        log.debug('HTML length:', response.data.html.length);
 
                         const $content = $tab.find(contentTarget);
-                        console.log('[WPDT Tab] Target element found:', $content.length);
+                        log.debug('Target element found:', $content.length);
+
+                        const scroll = refreshing ? self.saveScroll($tab) : null;
+
+                        // Tables of the old content are replaced with it
+                        if (refreshing && $.fn.DataTable) {
+                            $content.find('table').each(function() {
+                                if ($.fn.DataTable.isDataTable(this)) {
+                                    $(this).DataTable().destroy();
+                                }
+                            });
+                        }
 
-                        $content.html(response.data.html).addClass('loaded').show();
+                        $content.html(WPDTPanelRenderer.fragment(fragmentEntity, fragmentPath, response.data.html)).addClass('loaded').show();
 
-                        // Mark tab as loaded
-                        $tab.addClass('loaded');
+                        if (response.data.badge !== undefined && self.tabContents.is($tab)) {
+                            self.setBadge($tab.attr('id'), response.data.badge);
+                        }
 
-                        console.log('[WPDT Tab] Content loaded successfully for:', loadAction);
-                        console.log('[WPDT Tab] HTML preview:', response.data.html.substring(0, 200));
+                        self.finishTabLoad($tab, fragmentEntity, refreshing, scroll);
+
+                        log.debug('Content loaded successfully for:', loadAction);
+                        log.debug('HTML preview:', response.data.html.substring(0, 200));
+
+                        resolveLoad();
                     } else {
+                        const message = (response.data && response.data.message) || errorMessage;
+
                         // Show error
-                        $tab.find('.wpdt-error-message').text(response.data.message || errorMessage);
+                        $tab.find('.wpdt-error-message').text(message);
                         $tab.find('.wpdt-tab-error').addClass('visible');
 
-                        console.error('[WPDT Tab] Load failed:', response);
+                        log.error('Load failed:', response);
+                        rejectLoad(fail('error', message));
                     }
                 },
                 error: function(xhr, status, error) {
+                    if (status === 'abort' || isStale()) {
+                        rejectLoad(fail('abort', 'Request aborted'));
+                        return;
+                    }
+
                     $tab.find('.wpdt-tab-loading').hide();
+
                     $tab.find('.wpdt-error-message').text(errorMessage);
                     $tab.find('.wpdt-tab-error').addClass('visible');
 
-                    console.error('[WPDT Tab] AJAX error:', error);
+                    log.error('AJAX error:', error);
+                    rejectLoad(fail('error', errorMessage));
                 }
             });
+
+            return promise;
         }
 
         /**
-         * Update URL hash with tab ID
+         * Mark tab content loaded and notify listeners
          *
-         * @param {string} tabId Tab identifier
+         * @param {jQuery} $tab Tab content element
+         * @param {string} entity Entity type the content belongs to
+         * @param {boolean} refreshed Content replaced previously loaded content
+         * @param {Object|null} scroll Scroll position saved before replacing
          */
-        updateUrlHash(tabId) {
-            const currentHash = window.location.hash;
+        finishTabLoad($tab, entity, refreshed, scroll) {
+            const tabId = $tab.attr('id');
 
-            // Parse existing hash (e.g., #customer-123)
-            const hashParts = currentHash.substring(1).split('&');
-            const entityHash = hashParts[0]; // customer-123
+            // Mark tab as loaded
+            $tab.addClass('loaded').data('wpdtLoadedAt', Date.now());
+
+            $(document).trigger('wpdt:tab-data-loaded', {
+                entity: entity,
+                tabId: tabId,
+                refreshed: refreshed
+            });
 
-            // Create new hash with tab parameter
-            const newHash = entityHash ? `${entityHash}&tab=${tabId}` : `tab=${tabId}`;
+            // Nested DataTables are initialized on wpdt:tab-switched
+            if (refreshed && this.tabContents.is($tab) && tabId === this.currentTab) {
+                $(document).trigger('wpdt:tab-switched', {
+                    entity: this.currentEntity,
+                    tabId: tabId,
+                    refreshed: true
+                });
+            }
 
-            // Update hash without triggering hashchange event
-            history.replaceState(null, null, `#${newHash}`);
+            if (scroll) {
+                this.restoreScroll(scroll);
+            }
         }
 
         /**
-         * Check URL for tab parameter
+         * Load a tab added with wpdtTabManager.registerTab()
+         *
+         * The loader gets { entity, id, tabId, data, container } and returns
+         * HTML, a DOM node / jQuery object, or a promise of either (a jqXHR
+         * is aborted like autoload requests).
          *
-         * Supports both hash (#tab=details) and query string (?tab=details)
+         * @param {jQuery} $tab Tab content element
+         * @return {Promise} Resolves once the content is injected
          */
-        checkUrlForTab() {
-            let tabId = null;
+        loadRegisteredTab($tab) {
+            const tabId = $tab.attr('id');
+            const definition = WPDTTabRegistry.getTab(this.currentEntity, tabId);
 
-            // Check hash parameter (#entity-123&tab=details)
-            const hash = window.location.hash.substring(1);
-            if (hash) {
-                const hashParams = hash.split('&');
-                for (let param of hashParams) {
-                    if (param.startsWith('tab=')) {
-                        tabId = param.split('=')[1];
-                        break;
-                    }
-                }
+            if (!definition) {
+                return Promise.resolve();
             }
 
-            // Check query string (?tab=details)
-            if (!tabId) {
-                const urlParams = new URLSearchParams(window.location.search);
-                tabId = urlParams.get('tab');
-            }
+            const entityId = String(this.currentId);
+            const inFlight = $tab.data('wpdtTabRequest');
 
-            // Switch to tab if found
-            if (tabId) {
-                this.switchTab(tabId);
-            } else {
-                // Switch to first tab as default
-                const $firstTab = this.tabWrapper.find('.nav-tab').first();
-                if ($firstTab.length > 0) {
-                    this.switchTab($firstTab.data('tab'));
+            if (inFlight) {
+                if (inFlight.entityId === entityId && inFlight.session === this.requestSession) {
+                    return inFlight.promise;
                 }
-            }
-        }
-
-        /**
-         * Reinitialize after panel content changes
-         *
-         * Called after AJAX loads new panel content
-         */
-        reinit() {
-            // Update references
-            this.tabWrapper = $('.wpdt-tab-wrapper');
-            this.tabContents = $('.wpdt-tab-content');
 
-            if (this.tabWrapper.length === 0) {
-                return;
+                this.abortTabRequest($tab);
             }
 
-            // Rebind events (using event delegation, so not needed)
-            // this.bindEvents();
+            this.renderRefreshButton($tab);
 
-            // Check for tab in URL
-            this.checkUrlForTab();
+            const $content = $tab.find('.wpdt-tab-loaded-content');
+            const refreshing = $content.hasClass('loaded');
 
-            // Debug
-            if (typeof wpdtConfig !== 'undefined' && wpdtConfig.debug) {
-                console.log('[WPDT Tab] Reinitialized after panel load');
+            if (refreshing) {
+                $tab.addClass('wpdt-tab-refreshing').attr('aria-busy', 'true');
+            } else {
+                $tab.find('.wpdt-tab-loading').show();
+                $content.hide();
             }
-        }
 
-        /**
-         * Public API: Switch to tab programmatically
-         *
-         * @param {string} tabId Tab identifier
-         */
-        goTo(tabId) {
-            this.switchTab(tabId);
-        }
+            $tab.find('.wpdt-tab-error').removeClass('visible');
+
+            const fail = (reason, message) => this.createError(reason, message, { tabId: tabId });
+            const request = {
+                entityId: entityId,
+                session: this.requestSession,
+                promise: null,
+                xhr: null
+            };
+
+            const isStale = () => request.session !== this.requestSession || String(this.currentId) !== entityId;
+            const isCurrent = () => $tab.data('wpdtTabRequest') === request;
+
+            const done = () => {
+                if (isCurrent()) {
+                    $tab.removeData('wpdtTabRequest')
+                        .removeClass('wpdt-tab-refreshing')
+                        .removeAttr('aria-busy');
+                }
+            };
+
+            let result;
+
+            try {
+                result = definition.load({
+                    entity: this.currentEntity,
+                    id: this.currentId,
+                    tabId: tabId,
+                    data: this.panelData,
+                    container: $content[0]
+                });
+            } catch (error) {
+                result = Promise.reject(error);
+            }
+
+            if (result && typeof result.abort === 'function') {
+                request.xhr = result;
+            }
+
+            request.promise = Promise.resolve(result).then((content) => {
+                done();
+
+                if (isStale()) {
+                    log.debug('Dropping stale tab content:', tabId, entityId);
+                    throw fail('abort', 'Stale response discarded');
+                }
+
+                const scroll = refreshing ? this.saveScroll($tab) : null;
+
+                if ($.fn.DataTable) {
+                    $content.find('table').each(function() {
+                        if ($.fn.DataTable.isDataTable(this)) {
+                            $(this).DataTable().destroy();
+                        }
+                    });
+                }
+
+                // Nodes are built by the plugin itself; HTML goes through the renderer
+                if (typeof content === 'string') {
+                    $content.html(WPDTPanelRenderer.fragment(this.currentEntity, 'tabs.' + tabId, content));
+                } else {
+                    $content.empty().append(content || '');
+                }
+
+                $tab.find('.wpdt-tab-loading').hide();
+                $content.addClass('loaded').show();
+
+                this.finishTabLoad($tab, this.currentEntity, refreshing, scroll);
+            }, (error) => {
+                done();
+
+                if (isStale() || (error && error.statusText === 'abort')) {
+                    throw fail('abort', 'Request aborted');
+                }
+
+                const message = (error && error.message) || $tab.attr('data-error-message') || 'Failed to load content';
+
+                $tab.find('.wpdt-tab-loading').hide();
+                $tab.find('.wpdt-error-message').text(message);
+                $tab.find('.wpdt-tab-error').addClass('visible');
+
+                log.error('Registered tab loader failed:', tabId, error);
+                throw fail('error', message);
+            });
+
+            request.promise.catch(() => {});
+            $tab.data('wpdtTabRequest', request);
+
+            return request.promise;
+        }
+
+        /**
+         * Insert, remove and order tabs from wpdtTabManager.registerTab(),
+         * removeTab() and moveTab()
+         *
+         * Runs on every wpdt:panel-data-loaded (permission callbacks see the
+         * new payload) and when the registrations change while a record is open.
+         */
+        applyRegisteredTabs() {
+            this.findTabs();
+
+            if (this.tabWrapper.length === 0) {
+                return;
+            }
+
+            const entity = this.currentEntity;
+            const definitions = WPDTTabRegistry.tabs[entity] || {};
+            const removed = WPDTTabRegistry.removed[entity] || {};
+            const context = { entity: entity, id: this.currentId, data: this.panelData };
+
+            // Rendered order of server tabs (priority), read once before inserting
+            this.tabWrapper.children('.nav-tab').each(function(index) {
+                if ($(this).data('wpdtOrder') === undefined) {
+                    const order = parseFloat($(this).attr('data-order'));
+                    $(this).data('wpdtOrder', isNaN(order) ? (index + 1) * 10 : order);
+                }
+            });
+
+            Object.keys(removed).forEach((tabId) => this.removeTabElements(tabId));
+
+            Object.keys(definitions).forEach((tabId) => {
+                const definition = definitions[tabId];
+                const allowed = typeof definition.permission === 'function'
+                    ? !!definition.permission(context)
+                    : definition.permission !== false;
+
+                if (!allowed) {
+                    this.removeTabElements(tabId);
+                    return;
+                }
+
+                if (this.getNavTab(tabId).length === 0) {
+                    this.insertRegisteredTab(tabId, definition);
+                }
+            });
+
+            this.sortTabs();
+            this.findTabs();
+        }
+
+        /**
+         * Reload registered tabs when shown next (their content belongs to
+         * the previous payload)
+         *
+         * @param {boolean} clear Drop the content too (another record opened)
+         */
+        invalidateRegisteredTabs(clear) {
+            this.tabContents.filter('.wpdt-tab-registered').each((index, tab) => {
+                const $tab = $(tab);
+
+                this.invalidateTab(tab.id);
+
+                if (!clear) {
+                    return;
+                }
+
+                $tab.find('table').each(function() {
+                    if ($.fn.DataTable && $.fn.DataTable.isDataTable(this)) {
+                        $(this).DataTable().destroy();
+                    }
+                });
+
+                $tab.find('.wpdt-tab-loaded-content').removeClass('loaded').empty();
+            });
+        }
+
+        /**
+         * Re-apply registrations changed while a record is open
+         */
+        syncRegisteredTabs() {
+            if (this.currentId === null || this.currentId === undefined) {
+                return;
+            }
+
+            this.applyRegisteredTabs();
+
+            if (this.tabWrapper.length === 0) {
+                return;
+            }
+
+            // Active tab removed - fall back like on page load
+            if (!this.currentTab) {
+                this.checkUrlForTab();
+                return;
+            }
+
+            this.autoLoadTabContent(this.getTabContent(this.currentTab));
+        }
+
+        /**
+         * Create nav tab and content container of a registered tab
+         *
+         * @param {string} tabId Tab identifier
+         * @param {Object} definition Tab definition (see registerTab)
+         */
+        insertRegisteredTab(tabId, definition) {
+            const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+
+            $('<a href="#">')
+                .addClass('nav-tab wpdt-tab-registered')
+                .attr({ 'data-tab': tabId, 'data-entity': this.currentEntity })
+                .data('wpdtOrder', definition.order === undefined ? Infinity : definition.order)
+                .text(definition.label)
+                .appendTo(this.tabWrapper);
+
+            const $content = $('<div>')
+                .attr({ id: tabId, 'data-entity': this.currentEntity, 'data-tab-id': tabId })
+                .addClass('wpdt-tab-content wpdt-tab-registered')
+                .append(
+                    $('<div>').addClass('wpdt-tab-loading').append($('<p>').text(i18n.loading || 'Loading...')),
+                    $('<div>').addClass('wpdt-tab-loaded-content'),
+                    $('<div>').addClass('wpdt-tab-error').append($('<p>').addClass('wpdt-error-message'))
+                );
+
+            if (this.tabContents.length > 0) {
+                $content.insertAfter(this.tabContents.last());
+            } else {
+                $content.insertAfter(this.tabWrapper);
+            }
+
+            log.debug('Registered tab inserted:', this.currentEntity, tabId);
+        }
+
+        /**
+         * Remove nav tab and content container
+         *
+         * @param {string} tabId Tab identifier
+         */
+        removeTabElements(tabId) {
+            const $navTab = this.getNavTab(tabId);
+            const $content = this.getTabContent(tabId);
+
+            if ($navTab.length === 0 && $content.length === 0) {
+                return;
+            }
+
+            this.abortTabRequest($content);
+
+            $content.find('table').each(function() {
+                if ($.fn.DataTable && $.fn.DataTable.isDataTable(this)) {
+                    $(this).DataTable().destroy();
+                }
+            });
+
+            $navTab.remove();
+            $content.remove();
+
+            if (String(tabId) === String(this.currentTab)) {
+                this.currentTab = null;
+            }
+
+            this.findTabs();
+        }
+
+        /**
+         * Order nav tabs by moveTab() override, registered order or
+         * rendered position (ties keep DOM order)
+         */
+        sortTabs() {
+            const moved = WPDTTabRegistry.moved[this.currentEntity] || {};
+            const tabs = this.tabWrapper.children('.nav-tab').toArray().map((navTab, index) => {
+                const tabId = String($(navTab).data('tab'));
+
+                return {
+                    node: navTab,
+                    index: index,
+                    order: moved[tabId] !== undefined ? moved[tabId] : $(navTab).data('wpdtOrder')
+                };
+            });
+
+            tabs.sort((a, b) => {
+                if (a.order === b.order) {
+                    return a.index - b.index;
+                }
+
+                return a.order < b.order ? -1 : 1;
+            });
+
+            this.tabWrapper.append(tabs.map((tab) => tab.node));
+        }
+
+        /**
+         * Reload an autoload tab
+         *
+         * The active tab reloads now; other tabs are invalidated and reload
+         * when shown. A request still pending for the tab is aborted.
+         *
+         * @param {string} tabId Tab identifier
+         * @return {Promise} Resolves once reloaded (immediately for inactive/static tabs)
+         */
+        refreshTab(tabId) {
+            const $tab = this.getTabContent(tabId);
+
+            if ($tab.length === 0) {
+                return this.rejected('not-found', 'Tab not found: ' + tabId);
+            }
+
+            if (!$tab.hasClass('wpdt-tab-autoload') && !$tab.hasClass('wpdt-tab-registered')) {
+                return Promise.resolve();
+            }
+
+            this.abortTabRequest($tab);
+            this.invalidateTab(tabId);
+
+            if (String(tabId) !== String(this.currentTab)) {
+                return Promise.resolve();
+            }
+
+            return this.autoLoadTabContent($tab);
+        }
+
+        /**
+         * Mark an autoload tab stale (reloads when shown next)
+         *
+         * @param {string} tabId Tab identifier
+         */
+        invalidateTab(tabId) {
+            this.getTabContent(tabId).removeClass('loaded').removeData('wpdtLoadedAt');
+        }
+
+        /**
+         * Abort the pending autoload request of a tab
+         *
+         * @param {jQuery} $tab Tab content element
+         */
+        abortTabRequest($tab) {
+            const request = $tab.data('wpdtTabRequest');
+
+            if (request && request.xhr) {
+                request.xhr.abort();
+            }
+
+            // Loader promises settle later - clean up for them
+            $tab.removeData('wpdtTabRequest')
+                .removeClass('wpdt-tab-refreshing')
+                .removeAttr('aria-busy');
+        }
+
+        /**
+         * Abort all autoload requests of this layout (root and drill-down tabs)
+         * and the pending badges request
+         *
+         * Responses that arrive anyway are treated as stale.
+         */
+        abortTabRequests() {
+            this.requestSession++;
+
+            if (this.badgesRequest) {
+                this.badgesRequest.abort();
+                this.badgesRequest = null;
+            }
+
+            this.layout.find('.wpdt-tab-content').each((index, tab) => {
+                this.abortTabRequest($(tab));
+            });
+        }
+
+        /**
+         * Check if loaded tab content is older than its TTL
+         *
+         * @param {jQuery} $tab Tab content element
+         * @return {boolean} True if expired
+         */
+        isExpired($tab) {
+            const attr = parseInt($tab.attr('data-ttl'), 10);
+            const ttl = isNaN(attr) ? this.ttl : attr;
+            const loadedAt = $tab.data('wpdtLoadedAt');
+
+            return ttl > 0 && loadedAt !== undefined && Date.now() - loadedAt >= ttl * 1000;
+        }
+
+        /**
+         * Bind document events listed in data-refresh-on (once per name)
+         */
+        bindRefreshEvents() {
+            const names = {};
+
+            this.tabContents.each((index, tab) => {
+                this.getRefreshTokens($(tab)).forEach((name) => {
+                    names[name] = true;
+                });
+            });
+
+            Object.keys(names).forEach((name) => {
+                // "." would be read as a jQuery event namespace
+                if (this.refreshEvents[name] || name.indexOf('.') !== -1) {
+                    return;
+                }
+
+                this.refreshEvents[name] = true;
+                $(document).on(name + '.wpdt-tab-refresh-' + this.currentEntity, () => {
+                    this.handleRefreshEvent(name);
+                });
+            });
+        }
+
+        /**
+         * Event names a tab reloads on
+         *
+         * @param {jQuery} $tab Tab content element
+         * @return {Array} Event names
+         */
+        getRefreshTokens($tab) {
+            return ($tab.attr('data-refresh-on') || '').split(/[\s,]+/).filter(Boolean);
+        }
+
+        /**
+         * Refresh tabs listening to an event
+         *
+         * Debounced per tab: one save often fires several matching events
+         * (branch:updated and wpdt:entity-updated).
+         *
+         * @param {string} name Event name
+         */
+        handleRefreshEvent(name) {
+            if (!this.tabContents) {
+                return;
+            }
+
+            let matched = false;
+
+            this.tabContents.each((index, tab) => {
+                const $tab = $(tab);
+                const tabId = $tab.attr('id');
+
+                if (this.getRefreshTokens($tab).indexOf(name) === -1) {
+                    return;
+                }
+
+                matched = true;
+
+                log.debug('Refreshing tab on event:', tabId, name);
+
+                clearTimeout(this.refreshTimers[tabId]);
+                this.refreshTimers[tabId] = setTimeout(() => {
+                    delete this.refreshTimers[tabId];
+                    this.refreshTab(tabId);
+                }, 100);
+            });
+
+            // Badges of inactive tabs are only current through the endpoint
+            if (matched && this.getBadgesAction()) {
+                clearTimeout(this.refreshTimers['wpdt:badges']);
+                this.refreshTimers['wpdt:badges'] = setTimeout(() => {
+                    delete this.refreshTimers['wpdt:badges'];
+                    this.refreshBadges();
+                }, 100);
+            }
+        }
+
+        /**
+         * Apply badges after a panel render
+         *
+         * @param {Object} data wpdt:panel-data-loaded data
+         * @param {boolean} changed Another record than before
+         */
+        updateBadgesFromPanel(data, changed) {
+            if (!data || this.tabWrapper.length === 0) {
+                return;
+            }
+
+            if (data.data && data.data.badges) {
+                this.setBadges(data.data.badges, true);
+                return;
+            }
+
+            if (changed) {
+                this.clearBadges();
+            }
+
+            // Cache render is followed by its revalidation - fetch once
+            if (!data.revalidated) {
+                this.refreshBadges();
+            }
+        }
+
+        /**
+         * Badges endpoint of this layout
+         *
+         * @return {string|null} AJAX action
+         */
+        getBadgesAction() {
+            return (this.tabWrapper && this.tabWrapper.attr('data-badges-action')) || null;
+        }
+
+        /**
+         * Fetch badges from the lightweight endpoint
+         *
+         * @return {Promise} Resolves once badges are rendered (immediately without endpoint)
+         */
+        refreshBadges() {
+            const action = this.getBadgesAction();
+
+            if (!action || this.currentId === null || this.currentId === undefined) {
+                return Promise.resolve();
+            }
+
+            if (this.badgesRequest) {
+                this.badgesRequest.abort();
+            }
+
+            const $panel = this.layout.find('.wpdt-panel').first();
+            const entityType = $panel.attr('data-entity-type') || this.currentEntity;
+            const ajaxData = {
+                action: action,
+                nonce: wpdtConfig.nonce
+            };
+            ajaxData[entityType + '_id'] = this.currentId;
+
+            const promise = new Promise((resolve, reject) => {
+                const request = $.ajax({
+                    url: wpdtConfig.ajaxUrl,
+                    type: 'POST',
+                    data: ajaxData,
+                    success: (response) => {
+                        if (response.success && response.data) {
+                            this.setBadges(response.data.badges || {}, true);
+                            resolve();
+                        } else {
+                            log.warn('Badges load failed:', response);
+                            reject(this.createError('error', (response.data && response.data.message) || 'Failed to load badges'));
+                        }
+                    },
+                    error: (xhr, status, error) => {
+                        if (status !== 'abort') {
+                            log.warn('Badges AJAX error:', error);
+                        }
+                        reject(this.createError(status === 'abort' ? 'abort' : 'error', 'Failed to load badges'));
+                    },
+                    complete: () => {
+                        if (this.badgesRequest === request) {
+                            this.badgesRequest = null;
+                        }
+                    }
+                });
+
+                this.badgesRequest = request;
+            });
+
+            promise.catch(() => {});
+            return promise;
+        }
+
+        /**
+         * Render badges for several tabs
+         *
+         * @param {Object} badges Values keyed by tab ID
+         * @param {boolean} replace Remove badges of tabs not listed
+         */
+        setBadges(badges, replace) {
+            if (replace) {
+                this.tabWrapper.find('.nav-tab').each((index, navTab) => {
+                    const tabId = String($(navTab).data('tab'));
+
+                    if (!Object.prototype.hasOwnProperty.call(badges, tabId)) {
+                        this.renderBadge($(navTab), null);
+                    }
+                });
+            }
+
+            $.each(badges, (tabId, value) => {
+                this.renderBadge(this.getNavTab(tabId), value);
+            });
+
+            $(document).trigger('wpdt:tab-badges-updated', {
+                entity: this.currentEntity,
+                badges: badges
+            });
+        }
+
+        /**
+         * Render badge of one tab
+         *
+         * @param {string} tabId Tab identifier
+         * @param {number|string|Object|null} value Badge value (null removes)
+         */
+        setBadge(tabId, value) {
+            const badges = {};
+            badges[tabId] = value;
+
+            this.setBadges(badges, false);
+        }
+
+        /**
+         * Remove all badges
+         */
+        clearBadges() {
+            if (this.tabWrapper) {
+                this.tabWrapper.find('.nav-tab > .wpdt-tab-badge').remove();
+            }
+        }
+
+        /**
+         * Normalize badge value
+         *
+         * @param {number|string|Object|null} value Badge value
+         * @return {Object|null} { label, type, title } or null (no badge)
+         */
+        normalizeBadge(value) {
+            if (value === null || value === undefined || value === false || value === '') {
+                return null;
+            }
+
+            const badge = $.isPlainObject(value) ? value : { count: value };
+            const types = ['count', 'warning', 'error'];
+            const count = badge.count !== undefined ? badge.count : '';
+            const label = badge.label !== undefined && badge.label !== '' ? String(badge.label) : String(count);
+
+            if (label === '' || (badge.label === undefined && Number(count) === 0 && count !== '')) {
+                return null;
+            }
+
+            return {
+                label: label,
+                type: types.indexOf(badge.type) !== -1 ? badge.type : 'count',
+                title: badge.title || ''
+            };
+        }
+
+        /**
+         * Render badge element inside a nav tab
+         *
+         * @param {jQuery} $navTab Nav tab link
+         * @param {number|string|Object|null} value Badge value
+         */
+        renderBadge($navTab, value) {
+            if ($navTab.length === 0) {
+                return;
+            }
+
+            const badge = this.normalizeBadge(value);
+            let $badge = $navTab.children('.wpdt-tab-badge');
+
+            if (!badge) {
+                $badge.remove();
+                return;
+            }
+
+            if ($badge.length === 0) {
+                $badge = $('<span>').appendTo($navTab);
+            }
+
+            $badge.attr('class', 'wpdt-tab-badge wpdt-tab-badge-' + badge.type).text(badge.label);
+
+            if (badge.title) {
+                $badge.attr('title', badge.title);
+            } else {
+                $badge.removeAttr('title');
+            }
+        }
+
+        /**
+         * Add refresh button to an autoload tab (once)
+         *
+         * Root view tabs only: the click handler reloads through
+         * refreshTab(), which cannot reach drill-down level tabs.
+         *
+         * @param {jQuery} $tab Tab content element
+         */
+        renderRefreshButton($tab) {
+            if (!this.refreshButton || !this.tabContents || !this.tabContents.is($tab) ||
+                $tab.attr('data-refresh-button') === 'false' || $tab.children('.wpdt-tab-refresh').length > 0) {
+                return;
+            }
+
+            const i18n = (typeof wpdtConfig !== 'undefined' && wpdtConfig.i18n) ? wpdtConfig.i18n : {};
+            const label = i18n.refreshTab || 'Refresh';
+
+            $('<button type="button">')
+                .addClass('wpdt-tab-refresh button-link')
+                .attr({ 'aria-label': label, title: label })
+                .append($('<span>').addClass('dashicons dashicons-update').attr('aria-hidden', 'true'))
+                .prependTo($tab);
+        }
+
+        /**
+         * Remember scroll position around a tab (nearest scrolling ancestor or window)
+         *
+         * @param {jQuery} $tab Tab content element
+         * @return {Object} { element, top } (element null = window)
+         */
+        saveScroll($tab) {
+            let element = $tab[0].parentElement;
+
+            while (element && element !== document.body) {
+                const overflow = window.getComputedStyle(element).overflowY;
+
+                if ((overflow === 'auto' || overflow === 'scroll') && element.scrollHeight > element.clientHeight) {
+                    return { element: element, top: element.scrollTop };
+                }
+
+                element = element.parentElement;
+            }
+
+            return { element: null, top: window.scrollY || window.pageYOffset };
+        }
+
+        /**
+         * Restore scroll position saved by saveScroll()
+         *
+         * @param {Object} scroll Saved position
+         */
+        restoreScroll(scroll) {
+            if (scroll.element) {
+                scroll.element.scrollTop = scroll.top;
+            } else {
+                window.scrollTo(window.scrollX || window.pageXOffset, scroll.top);
+            }
+        }
+
+        /**
+         * Update URL hash with tab ID
+         *
+         * Only this layout's hash segment is updated (via WPDTHashRouter).
+         * Nothing is written while the entity has no segment (panel closed).
+         *
+         * @param {string} tabId Tab identifier
+         * @param {boolean} replace Use replaceState instead of pushState
+         */
+        updateUrlHash(tabId, replace) {
+            if (!window.WPDTHashRouter) {
+                return;
+            }
+
+            // Tab and its state in one history entry
+            const params = this.getStateParams(tabId);
+            params.tab = tabId;
+
+            WPDTHashRouter.update(this.currentEntity, params, { replace: !!replace });
+        }
+
+        /**
+         * Hash parameters for a tab's state
+         *
+         * State keys of other tabs are set to null (removed).
+         *
+         * @param {string} tabId Tab identifier
+         * @return {Object} Parameters for WPDTHashRouter.update()
+         */
+        getStateParams(tabId) {
+            const params = {};
+            const current = window.WPDTHashRouter ? WPDTHashRouter.getState(this.currentEntity) : null;
+
+            if (current) {
+                Object.keys(current.params).forEach((key) => {
+                    if (key.indexOf('.') > 0) {
+                        params[key] = null;
+                    }
+                });
+            }
+
+            $.each(this.tabStates[tabId] || {}, (key, value) => {
+                params[tabId + '.' + key] = value;
+            });
+
+            return params;
+        }
+
+        /**
+         * Read tab states from hash parameters
+         *
+         * @param {Object} params Hash parameters ({tabId}.{key} = value)
+         * @return {Object} States keyed by tab ID
+         */
+        parseTabStates(params) {
+            const states = {};
+
+            $.each(params || {}, (name, value) => {
+                const dot = name.indexOf('.');
+
+                if (dot <= 0 || dot === name.length - 1) {
+                    return;
+                }
+
+                const tabId = name.substring(0, dot);
+                states[tabId] = states[tabId] || {};
+                states[tabId][name.substring(dot + 1)] = value;
+            });
+
+            return states;
+        }
+
+        /**
+         * Public API: Get state registered for a tab
+         *
+         * @param {string} tabId Tab identifier
+         * @return {Object} Key/values (strings), empty if none
+         */
+        getTabState(tabId) {
+            return $.extend({}, this.tabStates[tabId] || {});
+        }
+
+        /**
+         * Public API: Merge state into a tab (written to the hash while active)
+         *
+         * Keys with null/undefined/'' are removed. Keys and values must not
+         * contain ";" or "&" after encoding, which WPDTHashRouter handles.
+         *
+         * @param {string} tabId Tab identifier
+         * @param {Object} values Key/values to merge
+         * @param {Object} options { replace: boolean } (default: push history entry)
+         */
+        setTabState(tabId, values, options) {
+            const opts = options || {};
+            const state = this.getTabState(tabId);
+
+            $.each(values || {}, (key, value) => {
+                if (value === undefined || value === null || value === '') {
+                    delete state[key];
+                } else {
+                    state[key] = String(value);
+                }
+            });
+
+            if (JSON.stringify(state) === JSON.stringify(this.tabStates[tabId] || {})) {
+                return;
+            }
+
+            this.tabStates[tabId] = state;
+
+            if (String(tabId) === String(this.currentTab) && window.WPDTHashRouter) {
+                WPDTHashRouter.update(this.currentEntity, this.getStateParams(tabId), { replace: !!opts.replace });
+            }
+        }
+
+        /**
+         * Public API: Keep a nested DataTable's page/search/order in the tab state
+         *
+         * Restores the stored state right away and on back/forward. Paging
+         * adds history entries; search and order replace the current one.
+         *
+         * @param {string} tabId Tab identifier
+         * @param {Object} table DataTable API instance
+         * @param {Object} options { prefix: 'inv-' (several tables in one tab),
+         *                           page, search, order: false to skip }
+         */
+        bindDataTable(tabId, table, options) {
+            const opts = $.extend({ prefix: '', page: true, search: true, order: true }, options);
+            const keys = {
+                page: opts.prefix + 'page',
+                search: opts.prefix + 'search',
+                order: opts.prefix + 'order'
+            };
+            const namespace = '.wpdt-tab-state-' + (++this.stateBindings);
+            const defaultOrder = this.stringifyOrder(table.order());
+
+            const read = () => {
+                const values = {};
+
+                if (opts.page) {
+                    const page = table.page.info().page + 1;
+                    values[keys.page] = page > 1 ? page : null;
+                }
+
+                if (opts.search) {
+                    values[keys.search] = table.search() || null;
+                }
+
+                if (opts.order) {
+                    const order = this.stringifyOrder(table.order());
+                    values[keys.order] = order !== defaultOrder ? order : null;
+                }
+
+                return values;
+            };
+
+            const apply = (state) => {
+                let changed = false;
+
+                if (opts.search && table.search() !== (state[keys.search] || '')) {
+                    table.search(state[keys.search] || '');
+                    changed = true;
+                }
+
+                if (opts.order) {
+                    const order = state[keys.order] || defaultOrder;
+
+                    if (order && order !== this.stringifyOrder(table.order())) {
+                        table.order(order.split(',').map((part) => part.split(':')).map((part) => [parseInt(part[0], 10), part[1]]));
+                        changed = true;
+                    }
+                }
+
+                if (opts.page) {
+                    const page = Math.max(0, (parseInt(state[keys.page], 10) || 1) - 1);
+
+                    if (page !== table.page.info().page) {
+                        table.page(page);
+                        changed = true;
+                    }
+                }
+
+                if (changed) {
+                    table.draw(false);
+                }
+            };
+
+            // State waiting for the first response (page() needs the record count)
+            let pending = null;
+
+            table.on('draw' + namespace, () => {
+                if (pending) {
+                    return;
+                }
+
+                const state = this.getTabState(tabId);
+                const values = read();
+                const pageChanged = opts.page && (state[keys.page] || null) !== (values[keys.page] ? String(values[keys.page]) : null);
+
+                this.setTabState(tabId, values, { replace: !pageChanged });
+            });
+
+            $(document).on('wpdt:tab-state-changed' + namespace, (e, data) => {
+                if (data && data.entity === this.currentEntity && String(data.tabId) === String(tabId)) {
+                    apply(data.state);
+                }
+            });
+
+            table.on('destroy' + namespace, () => {
+                table.off(namespace);
+                $(document).off(namespace);
+            });
+
+            if (table.settings()[0]._bInitComplete) {
+                apply(this.getTabState(tabId));
+                return;
+            }
+
+            pending = this.getTabState(tabId);
+            table.one('init' + namespace, () => {
+                const state = pending;
+                pending = null;
+                apply(state);
+            });
+        }
+
+        /**
+         * DataTable order as text ("2:desc,0:asc")
+         *
+         * @param {Array} order DataTable order ([[column, dir], ...])
+         * @return {string} Order text
+         */
+        stringifyOrder(order) {
+            return (order || []).map((item) => item[0] + ':' + item[1]).join(',');
+        }
+
+        /**
+         * Storage key for last tab (per entity per user)
+         *
+         * @return {string} localStorage key
+         */
+        lastTabKey() {
+            const userId = (typeof wpdtConfig !== 'undefined' && wpdtConfig.userId) ? wpdtConfig.userId : 0;
+            return 'wpdt:last-tab:' + userId + ':' + this.currentEntity;
+        }
+
+        /**
+         * Load last tab used for this entity type
+         *
+         * @return {string|null} Tab ID or null
+         */
+        loadLastTab() {
+            if (!this.rememberLastTab) {
+                return null;
+            }
+
+            try {
+                return window.localStorage.getItem(this.lastTabKey());
+            } catch (e) {
+                // Storage disabled (private mode, quota) - first tab
+                return null;
+            }
+        }
+
+        /**
+         * Save last tab used for this entity type
+         *
+         * @param {string} tabId Tab identifier
+         */
+        saveLastTab(tabId) {
+            if (!this.rememberLastTab) {
+                return;
+            }
+
+            try {
+                window.localStorage.setItem(this.lastTabKey(), String(tabId));
+            } catch (e) {
+                // Storage disabled - tab just isn't remembered
+            }
+        }
+
+        /**
+         * Check URL for tab parameter
+         *
+         * Supports both hash (#customer-123&tab=details) and query string (?tab=details).
+         * Without one, the last tab used for this entity type is restored.
+         */
+        checkUrlForTab() {
+            let tabId = null;
+
+            // Check this layout's hash segment (#entity-123&tab=details)
+            const state = window.WPDTHashRouter ? WPDTHashRouter.getState(this.currentEntity) : null;
+
+            if (state && state.params.tab) {
+                tabId = state.params.tab;
+            }
+
+            // Tab state from a shared link (read before content initializes)
+            if (state) {
+                $.extend(this.tabStates, this.parseTabStates(state.params));
+            }
+
+            // Check query string (?tab=details)
+            if (!tabId) {
+                const urlParams = new URLSearchParams(window.location.search);
+                tabId = urlParams.get('tab');
+            }
+
+            // Registered tabs are inserted once the record loads - keep the link
+            const pending = (id) => !!id && this.currentId === null &&
+                this.getNavTab(id).length === 0 && !!WPDTTabRegistry.getTab(this.currentEntity, id);
+
+            if (pending(tabId)) {
+                return;
+            }
+
+            // Switch to tab if found (replace history - not a user navigation)
+            if (tabId && this.getNavTab(tabId).length > 0) {
+                this.switchTab(tabId, { replace: true });
+                return;
+            }
+
+            // Last tab of this entity type (may not exist for this record)
+            const lastTab = this.loadLastTab();
+
+            if (pending(lastTab)) {
+                return;
+            }
+
+            if (lastTab && this.getNavTab(lastTab).length > 0) {
+                this.switchTab(lastTab, { replace: true, remember: false });
+                return;
+            }
+
+            if (lastTab) {
+                log.debug('Stored tab not available, using first tab:', lastTab);
+            }
+
+            // Switch to first tab as default (keeps the stored tab for other records)
+            const $firstTab = this.tabWrapper.find('.nav-tab').first();
+            if ($firstTab.length > 0) {
+                this.switchTab($firstTab.data('tab'), { replace: true, remember: false });
+            }
+        }
+
+        /**
+         * Reinitialize after panel content changes
+         *
+         * Called after AJAX loads new panel content
+         */
+        reinit() {
+            // Update references
+            this.findTabs();
+
+            if (this.tabWrapper.length === 0) {
+                return;
+            }
+
+            // Rebind events (using event delegation, so not needed)
+            // this.bindEvents();
+
+            // Check for tab in URL
+            this.checkUrlForTab();
+
+            // Panel re-render (refresh, cache revalidation) keeps the active tab,
+            // so switchTab() returns early - reload its content explicitly
+            if (this.currentTab) {
+                this.autoLoadTabContent(this.getTabContent(this.currentTab));
+            }
+
+            // Debug
+            log.debug('Reinitialized after panel load');
+        }
+
+        /**
+         * Public API: Switch to tab programmatically
+         *
+         * @param {string} tabId Tab identifier
+         * @param {Object} options Switch options (see switchTab)
+         * @return {Promise} Resolves once the tab content is loaded; rejects
+         *                   with error.reason 'not-found', 'prevented', 'abort' or 'error'
+         */
+        goTo(tabId, options) {
+            return this.switchTab(tabId, options);
+        }
+
+        /**
+         * Public API: Wait for a tab's content
+         *
+         * @param {string} tabId Tab identifier (default: active tab)
+         * @return {Promise} Resolves once loaded (immediately for static tabs)
+         */
+        whenLoaded(tabId) {
+            const id = tabId || this.currentTab;
+
+            if (!id || !this.tabContents) {
+                return Promise.resolve();
+            }
+
+            return this.autoLoadTabContent(this.getTabContent(id));
+        }
 
         /**
          * Public API: Get current active tab
@@ -451,12 +2112,244 @@
         }
     }
 
+    /**
+     * Tab Manager Registry
+     *
+     * Lookup of tab manager instances by entity and client-side tab
+     * registrations. Exposed as window.wpdtTabManager. Legacy
+     * goTo/getCurrent/getAll proxy to the first layout on the page.
+     */
+    const WPDTTabRegistry = {
+        /**
+         * Managers keyed by entity
+         *
+         * @var {Object}
+         */
+        instances: {},
+
+        /**
+         * Entities in registration (DOM) order
+         *
+         * @var {Array}
+         */
+        order: [],
+
+        /**
+         * Tab definitions from registerTab(), keyed by entity then tab ID
+         *
+         * @var {Object}
+         */
+        tabs: {},
+
+        /**
+         * Tabs removed with removeTab(), keyed by entity then tab ID
+         *
+         * @var {Object}
+         */
+        removed: {},
+
+        /**
+         * Order overrides from moveTab(), keyed by entity then tab ID
+         *
+         * @var {Object}
+         */
+        moved: {},
+
+        /**
+         * Register a manager instance
+         *
+         * @param {WPDTTabManager} manager Manager instance
+         */
+        register(manager) {
+            const entity = manager.currentEntity;
+
+            if (!entity || this.instances[entity]) {
+                return;
+            }
+
+            this.instances[entity] = manager;
+            this.order.push(entity);
+        },
+
+        /**
+         * Add a tab to an entity's detail panel
+         *
+         * Inserted on wpdt:panel-data-loaded (right away if a record is
+         * open). Content is loaded when the tab is shown and again after
+         * each panel load or refreshTab().
+         *
+         * @param {string} entity Entity type
+         * @param {string} tabId Tab identifier (letters, digits, - and _)
+         * @param {Object} definition Tab definition
+         *   @param {string} definition.label Nav tab text
+         *   @param {Function} definition.load Loader ({ entity, id, tabId, data, container })
+         *          returning HTML, a DOM node / jQuery object or a promise of either
+         *   @param {number} definition.order Position among tabs (server tabs use
+         *          their priority, default 10); default: after all tabs
+         *   @param {boolean|Function} definition.permission Show the tab; a function
+         *          gets { entity, id, data } per record (default: true)
+         * @return {boolean} True if registered
+         */
+        registerTab(entity, tabId, definition) {
+            const def = definition || {};
+
+            if (!entity || !/^[A-Za-z0-9_-]+$/.test(String(tabId)) || typeof def.load !== 'function') {
+                log.error('Invalid tab registration:', entity, tabId);
+                return false;
+            }
+
+            const manager = this.get(entity);
+
+            // Re-registration replaces the existing tab
+            if (manager && this.getTab(entity, tabId)) {
+                manager.removeTabElements(tabId);
+            }
+
+            this.tabs[entity] = this.tabs[entity] || {};
+            this.tabs[entity][tabId] = {
+                label: def.label || tabId,
+                load: def.load,
+                order: def.order,
+                permission: def.permission
+            };
+
+            if (this.removed[entity]) {
+                delete this.removed[entity][tabId];
+            }
+
+            if (manager) {
+                manager.syncRegisteredTabs();
+            }
+
+            return true;
+        },
+
+        /**
+         * Remove a tab (registered or rendered by the server)
+         *
+         * @param {string} entity Entity type
+         * @param {string} tabId Tab identifier
+         */
+        removeTab(entity, tabId) {
+            if (this.getTab(entity, tabId)) {
+                delete this.tabs[entity][tabId];
+            }
+
+            this.removed[entity] = this.removed[entity] || {};
+            this.removed[entity][tabId] = true;
+
+            const manager = this.get(entity);
+
+            if (manager) {
+                manager.removeTabElements(tabId);
+                manager.syncRegisteredTabs();
+            }
+        },
+
+        /**
+         * Change the position of a tab (registered or rendered by the server)
+         *
+         * @param {string} entity Entity type
+         * @param {string} tabId Tab identifier
+         * @param {number} order New position (see registerTab)
+         */
+        moveTab(entity, tabId, order) {
+            this.moved[entity] = this.moved[entity] || {};
+            this.moved[entity][tabId] = Number(order);
+
+            const manager = this.get(entity);
+
+            if (manager) {
+                manager.syncRegisteredTabs();
+            }
+        },
+
+        /**
+         * Get a tab definition from registerTab()
+         *
+         * @param {string} entity Entity type
+         * @param {string} tabId Tab identifier
+         * @return {Object|null} Tab definition
+         */
+        getTab(entity, tabId) {
+            return (this.tabs[entity] && this.tabs[entity][tabId]) || null;
+        },
+
+        /**
+         * Get manager by entity
+         *
+         * @param {string} entity Entity type
+         * @return {WPDTTabManager|null} Manager instance
+         */
+        get(entity) {
+            return this.instances[entity] || null;
+        },
+
+        /**
+         * Get first manager on the page
+         *
+         * @return {WPDTTabManager|null} Manager instance
+         */
+        getDefault() {
+            return this.order.length > 0 ? this.instances[this.order[0]] : null;
+        },
+
+        /**
+         * Legacy API: Switch tab on first layout
+         *
+         * @param {string} tabId Tab identifier
+         * @param {Object} options Switch options (see switchTab)
+         * @return {Promise} Resolves once the tab content is loaded
+         */
+        goTo(tabId, options) {
+            const manager = this.getDefault();
+
+            if (!manager) {
+                const error = new Error('No DataTable layout on this page');
+                const promise = Promise.reject(error);
+
+                error.reason = 'not-found';
+                promise.catch(() => {});
+
+                return promise;
+            }
+
+            return manager.goTo(tabId, options);
+        },
+
+        /**
+         * Legacy API: Current tab on first layout
+         *
+         * @return {string|null} Current tab ID
+         */
+        getCurrent() {
+            const manager = this.getDefault();
+            return manager ? manager.getCurrent() : null;
+        },
+
+        /**
+         * Legacy API: All tabs on first layout
+         *
+         * @return {Array} Array of tab IDs
+         */
+        getAll() {
+            const manager = this.getDefault();
+            return manager ? manager.getAll() : [];
+        }
+    };
+
     /**
      * Initialize on document ready
      */
+    // Global registry available right away: add-ons register tabs before DOM ready
+    window.wpdtTabManager = WPDTTabRegistry;
+    window.WPDTTabManager = WPDTTabManager;
+
     $(document).ready(function() {
-        // Create global instance
-        window.wpdtTabManager = new WPDTTabManager();
+        // One manager per layout
+        $('.wpdt-datatable-layout').each(function() {
+            WPDTTabRegistry.register(new WPDTTabManager($(this)));
+        });
     });
 
 })(jQuery);
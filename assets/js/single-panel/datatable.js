@@ -6,7 +6,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Assets\JS\SinglePanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/assets/js/single-panel/datatable.js
@@ -28,6 +28,10 @@
  * - wpdtConfig (localized via wp_localize_script)
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Console output through WPDTLogger ('SinglePanel' namespace)
+ * - Config no longer logged on init (contains nonce)
+ *
  * 0.1.0 - 2025-11-08
  * - Initial implementation
  * - Filter handling
@@ -38,6 +42,8 @@
 (function($) {
     'use strict';
 
+    const log = WPDTLogger.create('SinglePanel');
+
     /**
      * Single Panel DataTable Manager
      *
@@ -49,9 +55,7 @@
             this.dataTables = {};
             this.filters = {};
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Manager initialized', this.config);
-            }
+            log.debug('Manager initialized');
         }
 
         /**
@@ -64,9 +68,7 @@
 
             $(document).trigger('wpdt:singlePanelReady');
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Initialization complete');
-            }
+            log.debug('Initialization complete');
         }
 
         /**
@@ -95,9 +97,7 @@
                 }
             });
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Filter events bound');
-            }
+            log.debug('Filter events bound');
         }
 
         /**
@@ -128,9 +128,7 @@
                 });
             });
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Refresh events bound');
-            }
+            log.debug('Refresh events bound');
         }
 
         /**
@@ -144,7 +142,7 @@
             const entity = $panelContainer.data('entity');
 
             if (!entity) {
-                console.warn('[WPDT Single Panel] No entity found for filters');
+                log.warn('No entity found for filters');
                 return;
             }
 
@@ -163,12 +161,10 @@
             // Store filters
             this.filters[entity] = filterData;
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Applying filters', {
-                    entity: entity,
-                    filters: filterData
-                });
-            }
+            log.debug('Applying filters', {
+                entity: entity,
+                filters: filterData
+            });
 
             /**
              * Trigger filter applied event
@@ -195,7 +191,7 @@
             const entity = $panelContainer.data('entity');
 
             if (!entity) {
-                console.warn('[WPDT Single Panel] No entity found for filters');
+                log.warn('No entity found for filters');
                 return;
             }
 
@@ -205,9 +201,7 @@
             // Clear stored filters
             this.filters[entity] = {};
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Filters reset', { entity: entity });
-            }
+            log.debug('Filters reset', { entity: entity });
 
             /**
              * Trigger filters reset event
@@ -231,9 +225,7 @@
         registerDataTable(entity, dataTable) {
             this.dataTables[entity] = dataTable;
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] DataTable registered', { entity: entity });
-            }
+            log.debug('DataTable registered', { entity: entity });
         }
 
         /**
@@ -243,17 +235,13 @@
          */
         refreshDataTable(entity) {
             if (!this.dataTables[entity]) {
-                if (this.config.debug) {
-                    console.log('[WPDT Single Panel] No DataTable registered for entity:', entity);
-                }
+                log.debug('No DataTable registered for entity:', entity);
                 return;
             }
 
             const dataTable = this.dataTables[entity];
 
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Refreshing DataTable', { entity: entity });
-            }
+            log.debug('Refreshing DataTable', { entity: entity });
 
             // Trigger refresh
             if (dataTable.ajax && typeof dataTable.ajax.reload === 'function') {
@@ -289,9 +277,7 @@
             }
 
             // Auto-refresh is handled via event listeners bound in bindRefreshEvents()
-            if (this.config.debug) {
-                console.log('[WPDT Single Panel] Auto-refresh enabled', this.config.autoRefresh);
-            }
+            log.debug('Auto-refresh enabled', this.config.autoRefresh);
         }
     }
 
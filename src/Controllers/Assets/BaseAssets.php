@@ -4,7 +4,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Controllers/Assets
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/src/Controllers/Assets/BaseAssets.php
@@ -15,7 +15,7 @@
  *
  * Shared Functionality:
  * - Common asset registration (DataTables.js, jQuery)
- * - Common localize data (ajaxUrl, nonce, debug)
+ * - Common localize data (ajaxUrl, nonce, debug, logLevel, userId)
  * - Helper methods untuk asset loading
  * - Default implementations
  *
@@ -26,6 +26,10 @@
  * - get_name(): Strategy identifier
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Added common logger.js (wpdt-logger) to common dependencies
+ * - Added logLevel to localize data (WPDT_LOG_LEVEL constant)
+ *
  * 0.1.0 - 2025-11-08
  * - Initial implementation
  * - Provide common asset loading helpers
@@ -50,6 +54,7 @@ abstract class BaseAssets implements AssetStrategyInterface {
      *
      * Load assets yang dibutuhkan semua strategies:
      * - jQuery (WordPress core)
+     * - Logger (shared leveled console output)
      * - DataTables.js (if needed)
      *
      * @return void
@@ -58,6 +63,15 @@ abstract class BaseAssets implements AssetStrategyInterface {
         // jQuery (WordPress core)
         wp_enqueue_script('jquery');
 
+        // Logger - Leveled, namespaced console output with ring buffer
+        wp_enqueue_script(
+            'wpdt-logger',
+            $this->get_plugin_url() . 'assets/js/common/logger.js',
+            ['jquery'],
+            $this->get_version(),
+            true
+        );
+
         // DataTables.js (enqueue if not already loaded)
         if (!wp_script_is('datatables', 'enqueued')) {
             wp_enqueue_script(
@@ -93,6 +107,8 @@ abstract class BaseAssets implements AssetStrategyInterface {
             'ajaxUrl' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('wpdt_nonce'),
             'debug' => defined('WP_DEBUG') && WP_DEBUG,
+            'logLevel' => defined('WPDT_LOG_LEVEL') ? WPDT_LOG_LEVEL : '', // debug|info|warn|error|silent
+            'userId' => get_current_user_id(),
             'i18n' => $this->get_i18n_strings(),
         ];
     }
@@ -4,7 +4,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Controllers/Assets
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/src/Controllers/Assets/DualPanelAssets.php
@@ -15,6 +15,15 @@
  *
  * Assets Loaded:
  * - CSS: dual-panel.css (layout, animations, responsive)
+ * - JS: hash-router.js (shared URL hash state)
+ * - JS: panel-cache.js (LRU cache for panel payloads)
+ * - JS: panel-splitter.js (resizable split, persisted widths)
+ * - JS: responsive-columns.js (width-driven column visibility, row detail)
+ * - JS: panel-renderer.js (escaping, HTML allowlist sanitizer)
+ * - JS: panel-stack.js (nested entity drill-down)
+ * - JS: panel-actions.js (ajax/confirm/modal/redirect/download actions)
+ * - JS: form-guard.js (unsaved changes guard)
+ * - JS: panel-template.js (inline load method templates)
  * - JS: panel-manager.js (panel interactions, AJAX)
  * - JS: tab-manager.js (tab navigation, keyboard support)
  * - JS: auto-refresh.js (event-driven table refresh)
@@ -36,6 +45,28 @@
  * - Layout configuration
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Added panel-cache.js (payload cache, panel.cache config)
+ * - Added panel.prefetch config (hover/focus prefetch)
+ * - Added panel-splitter.js (layout.resizable, min/max widths)
+ * - Added panel.closeOnPopout config
+ * - Added hash-router.js (shared by panel and tab managers)
+ * - Added panel-stack.js (drill-down for nested entities)
+ * - Added panel-renderer.js (panel.sanitize config, trusted fragments)
+ * - Added panel-actions.js (declarative panel action behaviors)
+ * - Added form-guard.js (panel.formGuard config, unsaved changes prompt)
+ * - Added panel-template.js (panel.loadMethod 'inline' templates)
+ * - Added layout.mobileBreakpoint config (full-screen overlay)
+ * - Added panelLoaded i18n string (live region announcement)
+ * - Scripts that log depend on wpdt-logger (BaseAssets)
+ * - Added responsive-columns.js (layout.responsiveColumns, rowDetails i18n)
+ * - tabs.rememberLastTab now used by tab-manager.js
+ * - Added tabs.refreshButton / tabs.ttl config and refreshTab i18n
+ * - Added tabs.activation config; tabs.enableKeyboard now used by tab-manager.js
+ * - panel-renderer.js depends on wpdt-logger (sanitizer warnings)
+ * - Added panel.sanitize.trustTabs (default true, server-built tabs as-is)
+ * - Added panel.nestedActions (drill-down AJAX action per nested entity)
+ *
  * 0.1.0 - 2025-11-08
  * - Initial implementation
  * - Dual panel asset loading
@@ -90,11 +121,84 @@ class DualPanelAssets extends BaseAssets {
         $plugin_url = $this->get_plugin_url();
         $version = $this->get_version();
 
+        // Hash Router - Shared URL hash state for panels and tabs
+        wp_enqueue_script(
+            'wpdt-hash-router',
+            $plugin_url . 'assets/js/dual-panel/hash-router.js',
+            ['jquery'],
+            $version,
+            true
+        );
+
+        // Panel Cache - LRU cache for panel payloads (stale-while-revalidate)
+        wp_enqueue_script(
+            'wpdt-panel-cache',
+            $plugin_url . 'assets/js/dual-panel/panel-cache.js',
+            ['jquery'],
+            $version,
+            true
+        );
+
+        // Panel Splitter - Draggable divider between left and right panel
+        wp_enqueue_script(
+            'wpdt-panel-splitter',
+            $plugin_url . 'assets/js/dual-panel/panel-splitter.js',
+            ['jquery'],
+            $version,
+            true
+        );
+
+        // Responsive Columns - Column visibility from measured left panel width
+        wp_enqueue_script(
+            'wpdt-responsive-columns',
+            $plugin_url . 'assets/js/dual-panel/responsive-columns.js',
+            ['jquery', 'wpdt-logger', 'datatables'],
+            $version,
+            true
+        );
+
+        // Panel Renderer - Escaping and HTML sanitizer for panel payloads
+        wp_enqueue_script(
+            'wpdt-panel-renderer',
+            $plugin_url . 'assets/js/dual-panel/panel-renderer.js',
+            ['jquery', 'wpdt-logger'],
+            $version,
+            true
+        );
+
+        // Panel Template - Client-side templates for inline load method
+        wp_enqueue_script(
+            'wpdt-panel-template',
+            $plugin_url . 'assets/js/dual-panel/panel-template.js',
+            ['jquery', 'wpdt-logger', 'wpdt-panel-renderer'],
+            $version,
+            true
+        );
+
+        // Panel Stack - Drill-down levels for nested entities
+        wp_enqueue_script(
+            'wpdt-panel-stack',
+            $plugin_url . 'assets/js/dual-panel/panel-stack.js',
+            ['jquery', 'wpdt-logger', 'wpdt-hash-router', 'wpdt-panel-renderer'],
+            $version,
+            true
+        );
+
+        // Panel Actions - Declarative behavior for panel action buttons
+        // WPModal is optional (checked at runtime, see modal-integration.js)
+        wp_enqueue_script(
+            'wpdt-panel-actions',
+            $plugin_url . 'assets/js/dual-panel/panel-actions.js',
+            ['jquery', 'wpdt-logger', 'wpdt-panel-renderer'],
+            $version,
+            true
+        );
+
         // Panel Manager - Core panel interactions and AJAX
         wp_enqueue_script(
             'wpdt-panel-manager',
             $plugin_url . 'assets/js/dual-panel/panel-manager.js',
-            ['jquery', 'datatables'],
+            ['jquery', 'wpdt-logger', 'datatables', 'wpdt-hash-router', 'wpdt-panel-cache', 'wpdt-panel-splitter', 'wpdt-responsive-columns', 'wpdt-panel-renderer', 'wpdt-panel-template', 'wpdt-panel-stack', 'wpdt-panel-actions'],
             $version,
             true
         );
@@ -103,7 +207,7 @@ class DualPanelAssets extends BaseAssets {
         wp_enqueue_script(
             'wpdt-action-buttons-handler',
             $plugin_url . 'assets/js/dual-panel/action-buttons-handler.js',
-            ['jquery', 'datatables'],
+            ['jquery', 'wpdt-logger', 'datatables'],
             $version,
             true
         );
@@ -114,7 +218,7 @@ class DualPanelAssets extends BaseAssets {
         wp_enqueue_script(
             'wpdt-modal-integration',
             $plugin_url . 'assets/js/dual-panel/modal-integration.js',
-            ['jquery', 'wpdt-action-buttons-handler'],
+            ['jquery', 'wpdt-logger', 'wpdt-action-buttons-handler'],
             $version,
             true
         );
@@ -123,7 +227,16 @@ class DualPanelAssets extends BaseAssets {
         wp_enqueue_script(
             'wpdt-tab-manager',
             $plugin_url . 'assets/js/dual-panel/tab-manager.js',
-            ['jquery', 'wpdt-panel-manager'],
+            ['jquery', 'wpdt-logger', 'wpdt-hash-router', 'wpdt-panel-renderer', 'wpdt-panel-manager'],
+            $version,
+            true
+        );
+
+        // Form Guard - Confirm before unsaved panel/tab/modal forms are lost
+        wp_enqueue_script(
+            'wpdt-form-guard',
+            $plugin_url . 'assets/js/dual-panel/form-guard.js',
+            ['jquery'],
             $version,
             true
         );
@@ -132,7 +245,7 @@ class DualPanelAssets extends BaseAssets {
         wp_enqueue_script(
             'wpdt-auto-refresh',
             $plugin_url . 'assets/js/dual-panel/auto-refresh.js',
-            ['jquery', 'datatables'],
+            ['jquery', 'wpdt-logger', 'datatables'],
             $version,
             true
         );
@@ -176,17 +289,49 @@ class DualPanelAssets extends BaseAssets {
                 'type' => 'dual-panel',
                 'leftPanelWidth' => '45%',
                 'rightPanelWidth' => '55%',
+                'resizable' => true,
+                'minLeftPanelWidth' => '25%',
+                'maxLeftPanelWidth' => '75%',
+                'mobileBreakpoint' => 782, // px, panel becomes a full-screen overlay below
+                'responsiveColumns' => true, // hide columns by responsivePriority when the left panel is too narrow
                 'enableAnimation' => true,
                 'animationDuration' => 300,
             ],
             'panel' => [
                 'enableHashRouting' => true,
                 'closeOnEscape' => true,
-                'loadMethod' => 'ajax', // or 'inline'
+                'loadMethod' => 'ajax', // or 'inline' (per layout: load_method in DashboardTemplate config)
+                'closeOnPopout' => true,
+                'nestedActions' => [], // ['branch' => 'get_branch_details'] drill-down actions by entity
+                'cache' => [
+                    'enabled' => true,
+                    'maxEntries' => 20,
+                    'maxAge' => 600, // seconds, 0 = no limit
+                ],
+                'prefetch' => [
+                    'enabled' => true,
+                    'delay' => 150, // ms of hover/focus before fetching
+                    'maxConcurrent' => 2,
+                    'freshFor' => 10, // seconds a prefetched payload skips revalidation
+                ],
+                'sanitize' => [
+                    'enabled' => true,
+                    'trustTabs' => true, // false: sanitize tabs.* too (autoload tabs then need trusted)
+                    'allowedTags' => [], // extra tags on top of panel-renderer.js defaults
+                    'allowedAttributes' => [], // ['tag' => ['attr'], '*' => ['attr']]
+                    'trusted' => [], // ['customer' => ['tabs.branches']] skips sanitizing
+                ],
+                'formGuard' => [
+                    'enabled' => true,
+                    'scopes' => ['.wpdt-right-panel', '#wpmodal'], // containers whose forms are tracked
+                ],
             ],
             'tabs' => [
                 'enableKeyboard' => true,
-                'rememberLastTab' => true,
+                'activation' => 'automatic', // 'manual' = arrow keys move focus, Enter/Space select
+                'rememberLastTab' => true, // per entity per user, in localStorage
+                'refreshButton' => true, // refresh button in autoload tabs
+                'ttl' => 0, // seconds before autoload tab content reloads when shown, 0 = never
                 'animateSwitch' => true,
             ],
             'autoRefresh' => [
@@ -220,6 +365,18 @@ class DualPanelAssets extends BaseAssets {
             'openPanel' => __('Open Panel', 'wp-datatable'),
             'previousTab' => __('Previous Tab', 'wp-datatable'),
             'nextTab' => __('Next Tab', 'wp-datatable'),
+            'previousRecord' => __('Previous record', 'wp-datatable'),
+            'nextRecord' => __('Next record', 'wp-datatable'),
+            'resizePanels' => __('Resize panels', 'wp-datatable'),
+            'rowDetails' => __('Show hidden columns', 'wp-datatable'),
+            'refreshTab' => __('Refresh', 'wp-datatable'),
+            'popupBlocked' => __('Pop-up blocked by the browser', 'wp-datatable'),
+            'back' => __('Back', 'wp-datatable'),
+            'actionFailed' => __('Action failed', 'wp-datatable'),
+            'unsavedChanges' => __('You have unsaved changes. Discard them?', 'wp-datatable'),
+            'breadcrumbs' => __('Breadcrumbs', 'wp-datatable'),
+            /* translators: %s: record title */
+            'panelLoaded' => __('%s loaded', 'wp-datatable'),
             'loadingPanel' => __('Loading panel...', 'wp-datatable'),
             'errorLoadingPanel' => __('Error loading panel', 'wp-datatable'),
             'noDataAvailable' => __('No data available', 'wp-datatable'),
@@ -4,7 +4,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Controllers/Assets
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/src/Controllers/Assets/SinglePanelAssets.php
@@ -34,6 +34,9 @@
  * - Refresh settings
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Single panel script depends on wpdt-logger (BaseAssets)
+ *
  * 0.1.0 - 2025-11-08
  * - Initial implementation
  * - Single panel asset loading
@@ -91,7 +94,7 @@ class SinglePanelAssets extends BaseAssets {
         wp_enqueue_script(
             'wpdt-single-panel-datatable',
             $plugin_url . 'assets/js/single-panel/datatable.js',
-            ['jquery', 'datatables'],
+            ['jquery', 'wpdt-logger', 'datatables'],
             $version,
             true
         );
@@ -7,7 +7,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Templates\DualPanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/src/Templates/dual-panel/DashboardTemplate.php
@@ -22,6 +22,9 @@
  *              - Auto-asset loading (Plug & Play pattern)
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Added load_method config (per layout ajax/inline panel loading)
+ *
  * 0.1.0 - 2025-11-08
  * - Ported dari wp-app-core/src/Views/DataTable/Templates/DashboardTemplate.php
  * - Updated namespace: WPAppCore\Views\DataTable\Templates → WPDataTable\Templates\DualPanel
@@ -43,6 +46,7 @@
  *     'ajax_action' => 'get_customer_details',
  *     'has_stats' => true,
  *     'has_tabs' => true,
+ *     'load_method' => 'inline', // optional: render panel from row data (panel-template.js)
  *     'nonce' => wp_create_nonce('customer_nonce')
  * ]);
  * ```
@@ -235,6 +239,7 @@ class DashboardTemplate {
             'ajax_action' => '',
             'has_stats' => false,
             'has_tabs' => false,
+            'load_method' => '', // '' = wpdtConfig.panel.loadMethod, 'ajax' or 'inline'
             'nonce' => '',
         ];
 
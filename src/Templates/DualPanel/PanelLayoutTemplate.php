@@ -8,7 +8,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Templates\DualPanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/src/Templates/dual-panel/PanelLayoutTemplate.php
@@ -25,6 +25,12 @@
  * - Loading states: Placeholder saat load via AJAX
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Added previous/next record buttons in panel header
+ * - Added maximize and pop-out buttons in panel header
+ * - Added data-load-method on layout (config load_method: ajax|inline)
+ * - Added back button for the mobile full-screen overlay
+ *
  * 0.1.0 - 2025-11-08
  * - Ported dari wp-app-core/src/Views/DataTable/Templates/PanelLayoutTemplate.php
  * - Updated namespace: WPAppCore\Views\DataTable\Templates → WPDataTable\Templates\DualPanel
@@ -65,7 +71,10 @@ class PanelLayoutTemplate {
             <div class="wpdt-datatable-layout"
                  data-entity="<?php echo esc_attr($entity); ?>"
                  data-ajax-action="<?php echo esc_attr($config['ajax_action']); ?>"
-                 data-has-tabs="<?php echo $config['has_tabs'] ? 'true' : 'false'; ?>">
+                 data-has-tabs="<?php echo $config['has_tabs'] ? 'true' : 'false'; ?>"
+                 <?php if (!empty($config['load_method'])): ?>
+                 data-load-method="<?php echo esc_attr($config['load_method']); ?>"
+                 <?php endif; ?>>
 
             <!-- Sliding Panel Row Container -->
             <div class="wpdt-row" id="wpdt-<?php echo esc_attr($entity); ?>-container">
@@ -148,12 +157,40 @@ class PanelLayoutTemplate {
         ?>
         <!-- Panel Header -->
         <div class="wpdt-panel-header">
+            <button type="button" class="wpdt-panel-overlay-back"
+                    aria-label="<?php esc_attr_e('Back to list', 'wp-datatable'); ?>">
+                <span class="dashicons dashicons-arrow-left-alt2"></span>
+            </button>
             <h2 class="wpdt-panel-title">
                 <span class="wpdt-entity-name"></span>
             </h2>
             <div class="wpdt-panel-actions">
                 <!-- Action buttons will be dynamically inserted here -->
             </div>
+            <div class="wpdt-panel-nav">
+                <button type="button" class="wpdt-panel-prev"
+                        aria-label="<?php esc_attr_e('Previous record', 'wp-datatable'); ?>"
+                        title="<?php esc_attr_e('Previous record (Alt+Up)', 'wp-datatable'); ?>">
+                    <span class="dashicons dashicons-arrow-up-alt2"></span>
+                </button>
+                <button type="button" class="wpdt-panel-next"
+                        aria-label="<?php esc_attr_e('Next record', 'wp-datatable'); ?>"
+                        title="<?php esc_attr_e('Next record (Alt+Down)', 'wp-datatable'); ?>">
+                    <span class="dashicons dashicons-arrow-down-alt2"></span>
+                </button>
+            </div>
+            <div class="wpdt-panel-modes">
+                <button type="button" class="wpdt-panel-maximize" aria-pressed="false"
+                        aria-label="<?php esc_attr_e('Maximize panel', 'wp-datatable'); ?>"
+                        title="<?php esc_attr_e('Maximize panel', 'wp-datatable'); ?>">
+                    <span class="dashicons dashicons-editor-expand"></span>
+                </button>
+                <button type="button" class="wpdt-panel-popout"
+                        aria-label="<?php esc_attr_e('Open in new window', 'wp-datatable'); ?>"
+                        title="<?php esc_attr_e('Open in new window', 'wp-datatable'); ?>">
+                    <span class="dashicons dashicons-external"></span>
+                </button>
+            </div>
             <button type="button" class="wpdt-panel-close" aria-label="<?php esc_attr_e('Close', 'wp-datatable'); ?>">
                 <span class="dashicons dashicons-no-alt"></span>
             </button>
@@ -10,7 +10,7 @@
  *
  * @package     WP_DataTable
  * @subpackage  Templates\DualPanel
- * @version     0.1.0
+ * @version     0.2.0
  * @author      arisciwek
  *
  * Path: /wp-datatable/src/Templates/dual-panel/TabSystemTemplate.php
@@ -21,13 +21,23 @@
  *
  * Features:
  * - WordPress-style horizontal tabs
- * - Keyboard navigation (left/right arrow keys)
+ * - WAI-ARIA tabs markup (tablist/tab/tabpanel, roving tabindex)
+ * - Keyboard navigation (arrow keys, Home/End)
  * - Hash-based routing (#entity-123&tab=details)
  * - Priority-based tab sorting
  * - Direct inclusion pattern (legacy)
  * - Hook-based AJAX pattern (modern)
  *
  * Changelog:
+ * 0.2.0 - 2026-10-19
+ * - Optional 'refresh_on' and 'ttl' tab keys (data-refresh-on / data-ttl,
+ *   used by tab-manager.js to reload autoload tabs)
+ * - Filter wpdt_tab_badges_action (data-badges-action, tab badges endpoint)
+ * - ARIA roles, aria-selected/-controls/-labelledby and tabindex rendered
+ *   server side (kept in sync by tab-manager.js)
+ * - data-order (priority) on nav tabs, used to position tabs added with
+ *   wpdtTabManager.registerTab()
+ *
  * 0.1.0 - 2025-11-08
  * - Ported dari wp-app-core/src/Views/DataTable/Templates/TabSystemTemplate.php
  * - Updated namespace: WPAppCore\Views\DataTable\Templates → WPDataTable\Templates\DualPanel
@@ -61,6 +71,15 @@
  *     ]
  * ]
  * ```
+ *
+ * Optional Refresh Keys (autoload tabs):
+ * ```php
+ * 'branches' => [
+ *     'title' => 'Branches',
+ *     'refresh_on' => ['branch:created', 'branch:updated', 'branch:deleted'],
+ *     'ttl' => 300 // seconds
+ * ]
+ * ```
  */
 
 namespace WPDataTable\Templates\DualPanel;
@@ -162,18 +181,37 @@ class TabSystemTemplate {
      * @return void
      */
     private static function render_tab_navigation($tabs, $entity) {
+        /**
+         * Filter: AJAX action returning tab badges
+         *
+         * Called by tab-manager.js with {entity}_id, responds
+         * wp_send_json_success(['badges' => ['branches' => 12]]).
+         *
+         * @param string $action AJAX action (empty = badges from panel payload only)
+         * @param string $entity Entity name
+         *
+         * @return string AJAX action
+         */
+        $badges_action = apply_filters('wpdt_tab_badges_action', '', $entity);
         ?>
-        <div class="nav-tab-wrapper wpdt-tab-wrapper">
+        <div class="nav-tab-wrapper wpdt-tab-wrapper" role="tablist"<?php if ($badges_action): ?> data-badges-action="<?php echo esc_attr($badges_action); ?>"<?php endif; ?>>
             <?php
             $is_first = true;
             foreach ($tabs as $tab_id => $tab):
                 $active_class = $is_first ? 'nav-tab-active' : '';
                 $title = isset($tab['title']) ? $tab['title'] : ucfirst($tab_id);
+                $priority = isset($tab['priority']) ? $tab['priority'] : 10;
                 ?>
                 <a href="#"
+                   id="<?php echo esc_attr(self::get_nav_tab_id($tab_id, $entity)); ?>"
                    class="nav-tab <?php echo esc_attr($active_class); ?>"
+                   role="tab"
+                   aria-controls="<?php echo esc_attr($tab_id); ?>"
+                   aria-selected="<?php echo $is_first ? 'true' : 'false'; ?>"
+                   tabindex="<?php echo $is_first ? '0' : '-1'; ?>"
                    data-tab="<?php echo esc_attr($tab_id); ?>"
-                   data-entity="<?php echo esc_attr($entity); ?>">
+                   data-entity="<?php echo esc_attr($entity); ?>"
+                   data-order="<?php echo esc_attr($priority); ?>">
                     <?php echo esc_html($title); ?>
                 </a>
                 <?php
@@ -184,6 +222,19 @@ class TabSystemTemplate {
         <?php
     }
 
+    /**
+     * Get nav tab element ID
+     *
+     * Same format as tab-manager.js uses for tabs without an ID.
+     *
+     * @param string $tab_id Tab identifier
+     * @param string $entity Entity name
+     * @return string Element ID
+     */
+    private static function get_nav_tab_id($tab_id, $entity) {
+        return 'wpdt-' . $entity . '-tab-' . $tab_id;
+    }
+
     /**
      * Render tab content containers
      *
@@ -202,12 +253,19 @@ class TabSystemTemplate {
             $active_class = $is_first ? 'active' : '';
             $container_count++;
 
+            $refresh_on = isset($tab['refresh_on']) ? implode(' ', (array) $tab['refresh_on']) : '';
+
             error_log("Creating container #{$container_count}: #{$tab_id} (active: " . ($is_first ? 'yes' : 'no') . ")");
             ?>
             <div id="<?php echo esc_attr($tab_id); ?>"
                  class="wpdt-tab-content <?php echo esc_attr($active_class); ?>"
                  data-entity="<?php echo esc_attr($entity); ?>"
-                 data-tab-id="<?php echo esc_attr($tab_id); ?>">
+                 data-tab-id="<?php echo esc_attr($tab_id); ?>"
+                 role="tabpanel"
+                 aria-labelledby="<?php echo esc_attr(self::get_nav_tab_id($tab_id, $entity)); ?>"
+                 tabindex="0"
+                 <?php if ($refresh_on !== ''): ?>data-refresh-on="<?php echo esc_attr($refresh_on); ?>"<?php endif; ?>
+                 <?php if (isset($tab['ttl'])): ?>data-ttl="<?php echo esc_attr(absint($tab['ttl'])); ?>"<?php endif; ?>>
 
                 <?php
                 error_log("Container #{$tab_id} HTML created");